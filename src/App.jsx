@@ -1,407 +1,37 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
-import { Play, Heart, Zap, Shield, Map as MapIcon, RotateCcw, Crosshair, Pizza, Grape, Box, ShoppingBag, Bomb, Cookie, Trophy, Info, Wind, Briefcase, FileText, Key, Lock, ArrowRight, Target } from 'lucide-react';
+import React, { useState, useEffect, useRef, useEffectEvent } from 'react';
+import { Play, Heart, Zap, Shield, Map as MapIcon, RotateCcw, Crosshair, Pizza, Grape, Box, ShoppingBag, Bomb, Cookie, Trophy, Info, Wind, Briefcase, FileText, Key, Lock, ArrowRight, Target, Pause, SkipForward, Download, Film, X, Ghost, Sparkles, ShieldCheck, Backpack, Skull, Tent, Store, Coins, ListOrdered, Upload } from 'lucide-react';
+import { TILE_SIZE, STEP_MS, MAX_FRAME_MS, FALLBACK_THEME, HIDDEN_BUILDING_ID, THEMES, THEME_COLORS, ROOM_VARIANTS, COLORS, CHARACTERS, DIFFICULTY_PROFILES, DEFAULT_DIFFICULTY, CHECKPOINTS, BOSS_SLAM_RADIUS, HAZARDS } from './game/constants.js';
+import { randomSeed, seedToCode, codeToSeed, SEED_CODE_LENGTH } from './game/random.js';
+import { createInput, createPlayerStats, createRunState, enterBuilding as enterRunBuilding, visitNode, reviveRun, areSpikesRaised, getActiveRoom, getDoorTile, step } from './game/engine.js';
+import { ITEMS, BUFFS, canApplyItem, isAtLimit, getShopPrice } from './game/items.js';
+import { getAbility, isCharacterUnlocked, getUnlockHint } from './game/characters.js';
+import { LORE_FILES, getLoreFile } from './game/lore.js';
+import { ENDING_PAGES, createEndingContext, runEnding, getEndingText, loadUnlockedEndings, unlockEndings } from './game/endings.js';
+import { loadLeaderboard, addLeaderboardEntry, createLeaderboardEntry, encodeLeaderboard, importLeaderboard } from './game/leaderboard.js';
+import { ACHIEVEMENTS, checkAchievements, loadUnlockedAchievements, unlockAchievements } from './game/achievements.js';
+import { summarizeRun, loadLifetimeStats, addLifetimeStats } from './game/telemetry.js';
+import { loadRun, writeRun, clearRun, toSaveData, restoreRunState } from './game/save.js';
+import { quantizeInput, createRecording, recordBuildingEntry, recordNodeVisit, recordRevive, recordInput, encodeReplay, decodeReplay, createReplayPlayer, advanceReplay } from './game/replay.js';
 
 /**
  * ==========================================
- * CONSTANTS & CONFIGURATION
+ * REACT COMPONENTS
  * ==========================================
  */
-const TILE_SIZE = 48; 
-const PLAYER_SIZE = 32;
-const FPS = 60;
-const FALLBACK_THEME = 'ballroom'; 
-const BOMB_COST = 1; 
-const HIDDEN_BUILDING_ID = 999; // Special ID for the hidden level
-
-const THEMES = ['bathroom', 'ballroom', 'living_room', 'warehouse', 'dungeon', 'garden'];
-
-const THEME_COLORS = {
-    bathroom: { bg: '#e0f7fa', wall: '#006064', floor: '#b2ebf2', door: '#00bcd4' },
-    ballroom: { bg: '#3e2723', wall: '#4e342e', floor: '#5d4037', door: '#d7ccc8' },
-    living_room: { bg: '#fff3e0', wall: '#e65100', floor: '#ffcc80', door: '#ff9800' },
-    warehouse: { bg: '#cfd8dc', wall: '#37474f', floor: '#90a4ae', door: '#607d8b' },
-    dungeon: { bg: '#212121', wall: '#000000', floor: '#424242', door: '#757575' },
-    garden: { bg: '#e8f5e9', wall: '#1b5e20', floor: '#66bb6a', door: '#81c784' }
-};
-
-const ROOM_VARIANTS = [
-    { w: 15, h: 11 }, 
-    { w: 11, h: 9 },  
-    { w: 19, h: 13 }, 
-    { w: 15, h: 15 }, 
-];
-
-const GLOBAL_ITEM_LIMITS = {
-    pizzaBox: 3,
-    sodaCarrier: 3,
-    rollerSkates: 2,
-    cookieBag: 2,
-    file: 5,
-    key: 1
-};
-
-const COLORS = {
-  background: '#2c3e50', 
-  wall: '#34495e',
-  floor: '#95a5a6',
-  door: '#e67e22',
-  bossDoor: '#e74c3c', 
-  furniture: '#7f8c8d',
-  player: '#2ecc71',
-  enemy: '#c0392b',
-  projectile: '#f1c40f',
-  pizza: '#f39c12',
-  pizzaBox: '#d35400',
-  soda: '#8e44ad', 
-  sodaCarrier: '#9b59b6',
-  rollerSkates: '#3498db',
-  cookieBag: '#795548',
-  file: '#ecf0f1',
-  key: '#f1c40f',
-  shockwave: '#8e44ad', 
-  uiBg: 'rgba(0,0,0,0.7)',
-  minimapBg: 'rgba(0, 0, 0, 0.6)',
-  minimapRoom: '#444',
-  minimapExplored: '#3498db',
-  minimapActive: '#ecf0f1',
-  minimapItem: '#f1c40f',
-  minimapBoss: '#e74c3c',
-  reticle: '#ff0000' // Target indicator color
-};
-
-const CHARACTERS = [
-  {
-    id: 'runner',
-    name: 'Swift Scout',
-    description: 'Fast, moderate MP.',
-    speed: 4, 
-    maxHp: 3,
-    maxMp: 3,
-    fireRate: 400,
-    damage: 1,
-    color: '#1abc9c',
-  },
-  {
-    id: 'tank',
-    name: 'Heavy Guard',
-    description: 'Tough, low MP capacity.',
-    speed: 3, 
-    maxHp: 5,
-    maxMp: 2,
-    fireRate: 600,
-    damage: 1,
-    color: '#8e44ad',
-  }
-];
-
-const DIFFICULTY_SCALE = {
-  roomsMultiplier: 1.5,
-  enemyCountMultiplier: 1.2,
-  enemySpeedBase: 1.2, 
-};
-
-/**
- * ==========================================
- * UTILITIES & GENERATORS
- * ==========================================
- */
-
-const mulberry32 = (a) => {
-    return function() {
-      var t = a += 0x6D2B79F5;
-      t = Math.imul(t ^ t >>> 15, t | 1);
-      t ^= t + Math.imul(t ^ t >>> 7, t | 61);
-      return ((t ^ t >>> 14) >>> 0) / 4294967296;
-    }
-}
-
-const getSeededInt = (rng, min, max) => Math.floor(rng() * (max - min + 1)) + min;
-const getRandomInt = (min, max) => Math.floor(Math.random() * (max - min + 1)) + min;
-
-// Distribute special items globally across buildings
-const generateWorldMap = () => {
-  const columnsConfig = [1, 2, 2, 2, 1]; 
-  const buildings = [];
-  let idCounter = 0;
-
-  // Create Special Item Pool (Exclude Key initially to place it specifically)
-  let itemPool = [];
-  Object.entries(GLOBAL_ITEM_LIMITS).forEach(([type, count]) => {
-      if (type === 'key') return; 
-      for(let i=0; i<count; i++) itemPool.push(type);
-  });
-  
-  // Shuffle Pool
-  for (let i = itemPool.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [itemPool[i], itemPool[j]] = [itemPool[j], itemPool[i]];
-  }
-
-  // 1. Generate Standard Columns
-  columnsConfig.forEach((count, colIndex) => {
-      for(let i=0; i<count; i++) {
-          buildings.push({
-              id: idCounter++,
-              column: colIndex, 
-              level: colIndex + 1, 
-              theme: THEMES[(colIndex + i) % THEMES.length],
-              cleared: false,
-              locked: colIndex !== 0, 
-              hidden: false,
-              specialItems: [], 
-              x: 0, y: 0 
-          });
-      }
-  });
-
-  // 2. Generate Hidden Building (Left of Start)
-  buildings.push({
-      id: HIDDEN_BUILDING_ID,
-      column: -1, // Left of column 0
-      level: 6,   // Same difficulty as last level
-      theme: 'dungeon',
-      cleared: false,
-      locked: true,
-      hidden: true, // Not visible initially
-      specialItems: [],
-      x: 0, y: 0
-  });
-
-  // 3. Place Key: Ensure it is NOT in the last column and NOT in the hidden building
-  const lastColIdx = columnsConfig.length - 1;
-  const keyCandidates = buildings.filter(b => b.id !== HIDDEN_BUILDING_ID && b.column < lastColIdx);
-  
-  if (keyCandidates.length > 0) {
-      // Pick random valid building
-      const kIdx = Math.floor(Math.random() * keyCandidates.length);
-      keyCandidates[kIdx].specialItems.push('key');
-  }
-
-  // 4. Assign remaining items to buildings (Round Robin)
-  let bIdx = 0;
-  while(itemPool.length > 0) {
-      // Skip hidden building for random loot distribution
-      if (buildings[bIdx].id !== HIDDEN_BUILDING_ID) {
-          buildings[bIdx].specialItems.push(itemPool.pop());
-      }
-      bIdx = (bIdx + 1) % buildings.length;
-  }
-  
-  return buildings;
-};
-
-// Layout Generator + Reachability Check
-const generateRoomLayout = (width, height, seed, doors, isBossRoom) => {
-  const rng = mulberry32(seed);
-  const grid = [];
-  const midX = Math.floor(width / 2);
-  const midY = Math.floor(height / 2);
-
-  // 1. Generate Base Grid
-  for (let y = 0; y < height; y++) {
-    const row = [];
-    for (let x = 0; x < width; x++) {
-      let type = 'floor';
-      if (x === 0 || x === width - 1 || y === 0 || y === height - 1) {
-        type = 'wall';
-      } else {
-        // Safe Zones Logic
-        let isSafe = false;
-        if (Math.abs(x - midX) <= 1 && Math.abs(y - midY) <= 1) isSafe = true;
-        if (doors.top !== null && x === midX && y < midY) isSafe = true;
-        if (doors.bottom !== null && x === midX && y > midY) isSafe = true;
-        if (doors.left !== null && y === midY && x < midX) isSafe = true;
-        if (doors.right !== null && y === midY && x > midX) isSafe = true;
-        
-        if (isBossRoom) {
-            const bossDoorX = midX + 2;
-            if (y === midY && x > midX && x <= bossDoorX) isSafe = true; 
-            if (x === bossDoorX && y < midY) isSafe = true; 
-        }
-
-        if (!isSafe && rng() < 0.15) { 
-            type = 'furniture';
-        }
-      }
-      row.push({ type, x, y });
-    }
-    grid.push(row);
-  }
-
-  // 2. Flood Fill to find valid item spots
-  const reachable = [];
-  const visited = new Set();
-  const queue = [{x: midX, y: midY}];
-  visited.add(`${midX},${midY}`);
-
-  const dirs = [{x:0, y:1}, {x:0, y:-1}, {x:1, y:0}, {x:-1, y:0}];
-
-  while(queue.length > 0) {
-      const curr = queue.shift();
-      reachable.push(curr);
-
-      for(let d of dirs) {
-          const nx = curr.x + d.x;
-          const ny = curr.y + d.y;
-          if (nx >= 0 && ny >= 0 && nx < width && ny < height) {
-              const tile = grid[ny][nx];
-              if (tile.type === 'floor' && !visited.has(`${nx},${ny}`)) {
-                  visited.add(`${nx},${ny}`);
-                  queue.push({x: nx, y: ny});
-              }
-          }
-      }
-  }
 
-  return { grid, reachable };
+// Lucide icons by the names used in the item, buff, ability and achievement registries
+const REGISTRY_ICONS = { Box, ShoppingBag, Wind, Cookie, FileText, Key, Pizza, Grape, Shield, Zap, Lock, Ghost, Sparkles, ShieldCheck, Coins, Bomb, Target, Heart, Skull, Crosshair, Trophy };
+const RegistryIcon = ({ name, ...props }) => {
+  const Icon = REGISTRY_ICONS[name] || Box;
+  return <Icon {...props} />;
 };
 
-const pickItemLocation = (rng, reachableTiles) => {
-    if (reachableTiles.length === 0) return null;
-    const idx = getSeededInt(rng, 0, reachableTiles.length - 1);
-    const tile = reachableTiles[idx];
-    reachableTiles.splice(idx, 1); 
-    return tile;
+// Render position between an entity's previous and current simulation step
+const lerpPos = (e, alpha) => {
+  if (e.prevX === undefined) return { x: e.x, y: e.y };
+  return { x: e.prevX + (e.x - e.prevX) * alpha, y: e.prevY + (e.y - e.prevY) * alpha };
 };
 
-// ROBUST GRID-BASED GENERATOR
-const generateBuilding = (buildingId, difficulty, theme, rootSeed, assignedSpecialItems) => {
-  const buildingSeed = rootSeed + (buildingId * 777); 
-  const rng = mulberry32(buildingSeed);
-  const numRooms = Math.max(2, Math.floor(4 + difficulty * DIFFICULTY_SCALE.roomsMultiplier)); 
-  
-  // 1. Grid Phase
-  const roomPositions = [{ id: 0, x: 0, y: 0 }];
-  const occupied = new Map();
-  occupied.set("0,0", 0);
-  const connections = new Set(); 
-
-  const dirs = [ { x: 0, y: -1 }, { x: 1, y: 0 }, { x: 0, y: 1 }, { x: -1, y: 0 } ];
-
-  for (let i = 1; i < numRooms; i++) {
-      let placed = false;
-      let attempts = 0;
-      while(attempts < 50 && !placed) {
-          const parentId = getSeededInt(rng, 0, roomPositions.length - 1);
-          const parent = roomPositions[parentId];
-          const validDirs = dirs.filter(d => !occupied.has(`${parent.x + d.x},${parent.y + d.y}`));
-          if (validDirs.length > 0) {
-              const move = validDirs[getSeededInt(rng, 0, validDirs.length - 1)];
-              const newX = parent.x + move.x; const newY = parent.y + move.y;
-              roomPositions.push({ id: i, x: newX, y: newY });
-              occupied.set(`${newX},${newY}`, i);
-              const linkId = parent.id < i ? `${parent.id}-${i}` : `${i}-${parent.id}`;
-              connections.add(linkId);
-              placed = true;
-          }
-          attempts++;
-      }
-      if (!placed) {
-          for(let parent of roomPositions) {
-              const valid = dirs.find(d => !occupied.has(`${parent.x + d.x},${parent.y + d.y}`));
-              if(valid) {
-                  const newX = parent.x + valid.x; const newY = parent.y + valid.y;
-                  roomPositions.push({ id: i, x: newX, y: newY });
-                  occupied.set(`${newX},${newY}`, i);
-                  connections.add(parent.id < i ? `${parent.id}-${i}` : `${i}-${parent.id}`);
-                  placed = true; break;
-              }
-          }
-      }
-  }
-
-  // 2. Object Phase
-  const roomIdsForItems = roomPositions.map(r => r.id).filter(id => id !== 0 && id !== numRooms - 1);
-  if (roomIdsForItems.length === 0) roomIdsForItems.push(0);
-
-  // Distribute items deterministically to valid rooms first
-  const itemsPerRoom = {};
-  const itemsToPlace = [...assignedSpecialItems];
-  
-  while(itemsToPlace.length > 0) {
-      // Pick a random room from valid list for this specific item
-      const rIdx = getSeededInt(rng, 0, roomIdsForItems.length - 1);
-      const roomId = roomIdsForItems[rIdx];
-      
-      if (!itemsPerRoom[roomId]) itemsPerRoom[roomId] = [];
-      itemsPerRoom[roomId].push(itemsToPlace.pop());
-  }
-
-  const rooms = roomPositions.map(pos => {
-      const roomSeed = Math.floor(rng() * 1000000); 
-      const size = ROOM_VARIANTS[getSeededInt(rng, 0, ROOM_VARIANTS.length - 1)];
-      
-      const doors = { top: null, right: null, bottom: null, left: null };
-      
-      const myConns = Array.from(connections).filter(c => c.startsWith(`${pos.id}-`) || c.endsWith(`-${pos.id}`));
-      myConns.forEach(conn => {
-          const otherId = conn.split('-').find(id => Number(id) !== pos.id);
-          const otherPos = roomPositions.find(p => p.id === Number(otherId));
-          if (otherPos.y < pos.y) doors.top = otherPos.id;
-          if (otherPos.y > pos.y) doors.bottom = otherPos.id;
-          if (otherPos.x < pos.x) doors.left = otherPos.id;
-          if (otherPos.x > pos.x) doors.right = otherPos.id;
-      });
-
-      const isBoss = (pos.id === numRooms - 1);
-      
-      const layoutData = generateRoomLayout(size.w, size.h, roomSeed, doors, isBoss);
-      const reachable = layoutData.reachable;
-
-      const items = [];
-      const itemRng = mulberry32(roomSeed + 999);
-
-      // A. Special Items (Deterministic)
-      if (itemsPerRoom[pos.id]) {
-          itemsPerRoom[pos.id].forEach(specialType => {
-             const spot = pickItemLocation(itemRng, reachable);
-             if (spot) {
-                 items.push({ id: Math.floor(itemRng()*100000), type: specialType, x: spot.x * TILE_SIZE + 12, y: spot.y * TILE_SIZE + 12, w: 24, h: 24, isUnlimited: false });
-             } else {
-                 // Fallback if flood fill failed (should not happen, but safe fallback to center)
-                 items.push({ id: Math.floor(itemRng()*100000), type: specialType, x: (size.w/2) * TILE_SIZE + 12, y: (size.h/2) * TILE_SIZE + 12, w: 24, h: 24, isUnlimited: false });
-             }
-          });
-      }
-
-      // B. Random Consumables (Unlimited)
-      if (!isBoss && itemRng() < 0.3) {
-          const spot = pickItemLocation(itemRng, reachable);
-          if (spot) {
-              const rand = itemRng();
-              const type = rand < 0.5 ? 'pizza' : 'soda';
-              // Note: IDs are deterministic, so we can track them
-              items.push({ id: Math.floor(itemRng()*100000), type, x: spot.x * TILE_SIZE + 12, y: spot.y * TILE_SIZE + 12, w: 24, h: 24, isUnlimited: true });
-          }
-      }
-
-      return {
-          id: pos.id,
-          x: pos.x, y: pos.y,
-          width: size.w, height: size.h,
-          doors,
-          doorStyles: {
-            top: getSeededInt(rng, 1, 5), bottom: getSeededInt(rng, 1, 5),
-            left: getSeededInt(rng, 1, 5), right: getSeededInt(rng, 1, 5),
-          },
-          layout: layoutData, 
-          seed: roomSeed,
-          type: isBoss ? 'boss' : 'normal',
-          cleared: false,
-          explored: false,
-          items
-      };
-  });
-
-  return { rooms, startRoomId: 0, theme };
-};
-
-/**
- * ==========================================
- * GAME ENGINE & REACT COMPONENTS
- * ==========================================
- */
-
 const VirtualJoystick = ({ onMove }) => {
   const stickRef = useRef(null);
   const [active, setActive] = useState(false);
@@ -444,56 +74,199 @@ const VirtualJoystick = ({ onMove }) => {
   );
 };
 
+// Route map layout: one column of nodes every MAP_COL_W px, rows MAP_ROW_H apart
+const MAP_COL_W = 170;
+const MAP_ROW_H = 140;
+const NODE_ICONS = { battle: MapIcon, elite: Skull, shop: Store, rest: Tent };
+
+// Pixel positions of the visible route nodes; shorter columns are centred vertically
+const layoutRouteMap = (worldMap) => {
+  const visible = worldMap.filter(b => !b.hidden);
+  const byId = Object.fromEntries(worldMap.map(b => [b.id, b]));
+  const minCol = Math.min(...visible.map(b => b.column));
+  const maxCol = Math.max(...visible.map(b => b.column));
+  const columnSize = (col) => worldMap.filter(b => b.column === col).length;
+  const maxRows = Math.max(...visible.map(b => columnSize(b.column)));
+  const pos = (b) => ({
+    x: (b.column - minCol + 0.5) * MAP_COL_W,
+    y: (maxRows - columnSize(b.column)) * MAP_ROW_H / 2 + (b.row + 0.5) * MAP_ROW_H
+  });
+  return { visible, byId, width: (maxCol - minCol + 1) * MAP_COL_W, height: maxRows * MAP_ROW_H, pos };
+};
+
+// Taken edges are green, ones you can take now blue, the rest grey
+const routeEdgeStyle = (from, to) => from.cleared && to.cleared ? { stroke: '#22c55e', width: 4 }
+  : from.cleared && !to.locked ? { stroke: '#60a5fa', width: 4 } : { stroke: '#4b5563', width: 2 };
+
+// Run time as m:ss (h:mm:ss past an hour)
+const formatDuration = (ms) => {
+  const total = Math.floor(ms / 1000);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor(total / 60) % 60;
+  const s = String(total % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+};
+
+// How a route node is named to the player; the hidden building sits outside the level columns
+const buildingName = (node) => {
+  if (!node) return 'Unknown Building';
+  if (node.id === HIDDEN_BUILDING_ID) return 'Hidden Building';
+  return `Level ${node.level} ${node.type === 'elite' ? 'Elite ' : ''}Building`;
+};
+
+const formatAccuracy = (hit, fired) => fired > 0 ? `${Math.round(hit / fired * 100)}%` : '-';
+
+// One figure on the run summary screen
+const StatCard = ({ label, value, note }) => (
+  <div className="bg-white/5 border border-gray-700 rounded-lg px-4 py-3">
+    <div className="text-xs uppercase tracking-widest text-gray-400">{label}</div>
+    <div className="text-2xl font-bold font-mono">{value}</div>
+    {note && <div className="text-xs text-gray-400">{note}</div>}
+  </div>
+);
+
+// One entry in the inventory overlay
+const InventoryRow = ({ def, note }) => (
+  <div className="flex items-start gap-3 mb-3">
+    <div className="w-9 h-9 shrink-0 rounded flex items-center justify-center" style={{ background: def.color }}>
+      <RegistryIcon name={def.icon} size={20} className="text-white" />
+    </div>
+    <div className="flex-1">
+      <div className="font-bold text-sm flex justify-between gap-2"><span>{def.name}</span>{note && <span className="text-gray-400 font-mono">{note}</span>}</div>
+      {def.description && <div className="text-xs text-gray-400">{def.description}</div>}
+    </div>
+  </div>
+);
+
 export default function App() {
   const [gameState, setGameState] = useState('START'); 
   const [selectedChar, setSelectedChar] = useState(CHARACTERS[0]);
+  const [selectedDifficulty, setSelectedDifficulty] = useState(DEFAULT_DIFFICULTY);
+  const [checkpointMode, setCheckpointMode] = useState(false); // Start runs in checkpoint mode
+  // React mirrors of the engine run state, refreshed by syncRun() for the UI
   const [worldMap, setWorldMap] = useState([]);
   const [currentBuildingId, setCurrentBuildingId] = useState(0);
-  const [playerStats, setPlayerStats] = useState({ 
-      hp: 3, maxHp: 3, mp: 3, maxMp: 3, score: 0, speed: 4, damage: 1,
-      keys: 0, files: 0
-  });
-  const [activeRoomId, setActiveRoomId] = useState(0);
-  const [rootSeed, setRootSeed] = useState(Date.now());
-  const [highScore, setHighScore] = useState(0);
-  const [startBgLoaded, setStartBgLoaded] = useState(false);
-  const [endingPage, setEndingPage] = useState(0);
+  const [playerStats, setPlayerStats] = useState(() => createPlayerStats(CHARACTERS[0]));
+  const [rootSeed, setRootSeed] = useState(randomSeed);
+  const [seedInput, setSeedInput] = useState(''); // Optional seed code typed on CHAR_SELECT
+  const [highScore, setHighScore] = useState(() => parseInt(localStorage.getItem('escape_island_highscore') || '0', 10));
+  // Difficulty the high score was set on; older high scores predate the modes and were Normal
+  const [highScoreDifficulty, setHighScoreDifficulty] = useState(() => localStorage.getItem('escape_island_highscore_difficulty') || DEFAULT_DIFFICULTY);
+  const [startBgUrl, setStartBgUrl] = useState(null);
+  const [ending, setEnding] = useState(null); // { ctx, path } of the ending being shown
+  const [endingPage, setEndingPage] = useState(0); // Index into ending.path
+  const [unlockedEndings, setUnlockedEndings] = useState(loadUnlockedEndings);
+  const [galleryOpen, setGalleryOpen] = useState(false);
+  const [leaderboard, setLeaderboard] = useState(loadLeaderboard);
+  const [leaderboardOpen, setLeaderboardOpen] = useState(false); // Over START or GAMEOVER
+  const [leaderboardChar, setLeaderboardChar] = useState(null); // Character id the board is filtered to, null for all
+  const [lastEntry, setLastEntry] = useState(null); // Board entry of the run that just ended, highlighted
+  const [runSummary, setRunSummary] = useState(null); // summarizeRun() of the run that just ended, plus `escaped`
+  const [lifetimeStats, setLifetimeStats] = useState(loadLifetimeStats);
+  const [unlockedAchievements, setUnlockedAchievements] = useState(loadUnlockedAchievements);
+  const [toasts, setToasts] = useState([]); // { key, id } achievement toasts on screen
+  const [leaderboardError, setLeaderboardError] = useState(null);
   const [messageData, setMessageData] = useState(null); // { title, text, nextState }
+  const [savedRun, setSavedRun] = useState(null); // Autosave offered by "Continue"
+  const [prevGameState, setPrevGameState] = useState(null);
+  const [bossHud, setBossHud] = useState(null); // { name, hp, maxHp, phase } while a boss is alive
+  const [runChar, setRunChar] = useState(null); // Character of the current run
+  const [runDifficulty, setRunDifficulty] = useState(DEFAULT_DIFFICULTY); // Difficulty profile id of the current run
+  const [canRevive, setCanRevive] = useState(false); // A checkpoint is waiting if the player dies
+  const [abilityCooldown, setAbilityCooldown] = useState(0); // Steps until the ability is ready again
+  const [replaySpeed, setReplaySpeed] = useState(1); // Engine steps per animation frame
+  const [replayPaused, setReplayPaused] = useState(false);
+  const [replayProgress, setReplayProgress] = useState({ frame: 0, total: 0, done: false });
+  const [replayError, setReplayError] = useState(null);
+  const [paused, setPaused] = useState(false); // Pause / inventory overlay while PLAYING
+  const [journalOpen, setJournalOpen] = useState(false); // Case-file journal on the MAP screen
+  const [shopNodeId, setShopNodeId] = useState(null); // Shop node being browsed on the MAP screen
 
   const canvasRef = useRef(null);
   const requestRef = useRef();
   
   const assets = useRef({}); 
   const assetStatus = useRef({});
-  // Store IDs of all collected items to prevent regeneration
-  const collectedItemsRef = useRef(new Set());
-
-  const gameData = useRef({
-    player: { x: 0, y: 0, vx: 0, vy: 0, cooldown: 0, bombCooldown: 0, facing: {x:1, y:0}, frameIndex: 0, frameTimer: 0, state: 'idle' },
-    building: null,
-    projectiles: [],
-    enemies: [],
-    items: [],
-    particles: [],
-    shockwaves: [], 
-    input: { x: 0, y: 0, fire: false, bomb: false },
-    currentTarget: null, // Track currently targeted enemy for rendering
-    lastTime: 0
-  });
 
-  // --- PERSISTENCE ---
-  useEffect(() => {
-      const saved = localStorage.getItem('escape_island_highscore');
-      if (saved) setHighScore(parseInt(saved, 10));
-  }, []);
+  // Engine run state (see game/engine.js), null until a run starts
+  const gameData = useRef(null);
+  const inputRef = useRef(createInput());
+  // Inputs of the current run, null for runs resumed from a save (they can't be replayed)
+  const recordingRef = useRef(null);
+  const [hasRecording, setHasRecording] = useState(false); // Whether recordingRef holds this run's replay
+  const replayRef = useRef(null); // Active replay player while in REPLAY
+  const replayFileRef = useRef(null);
+  const leaderboardFileRef = useRef(null);
+  const toastKeyRef = useRef(0);
+  const lastFrameTimeRef = useRef(null);
+  const accumulatorRef = useRef(0); // Unsimulated time carried over between frames (ms)
 
-  const saveScore = (score) => {
+  // --- PERSISTENCE ---
+  const saveScore = (score, difficultyId) => {
       if (score > highScore) {
           setHighScore(score);
+          setHighScoreDifficulty(difficultyId);
           localStorage.setItem('escape_island_highscore', score.toString());
+          localStorage.setItem('escape_island_highscore_difficulty', difficultyId);
       }
   };
 
+  // Unlocks the achievements that `events` earn and pops a toast for each
+  const awardAchievements = (events) => {
+      const earned = checkAchievements(events, gameData.current, unlockedAchievements);
+      if (earned.length === 0) return;
+      setUnlockedAchievements(unlockAchievements(earned));
+      earned.forEach(id => {
+          const key = toastKeyRef.current++;
+          setToasts(t => [...t, { key, id }]);
+          setTimeout(() => setToasts(t => t.filter(toast => toast.key !== key)), 4000);
+      });
+  };
+
+  // A death ends the run: high score, leaderboard and stats, and nothing left to continue
+  const endRun = (g) => {
+      saveScore(g.playerStats.score, g.difficultyId);
+      recordRun(g);
+      clearRun();
+  };
+
+  // Puts a finished run on the leaderboard and into the lifetime totals; `endingPath` is set when the run escaped
+  const recordRun = (g, endingPath = null) => {
+      const entry = createLeaderboardEntry(g, endingPath);
+      setLeaderboard(addLeaderboardEntry(entry));
+      setLastEntry(entry);
+      const summary = summarizeRun(g);
+      setRunSummary({ ...summary, escaped: !!endingPath });
+      setLifetimeStats(addLifetimeStats(summary, !!endingPath));
+      awardAchievements([{ type: 'runEnded', escaped: !!endingPath, endingPath }]);
+  };
+
+  const exportLeaderboard = () => {
+    const blob = new Blob([encodeLeaderboard(leaderboard)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'escape-island-leaderboard.json';
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const mergeLeaderboard = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // Allow re-importing the same file
+    if (!file) return;
+    const merged = importLeaderboard(await file.text());
+    if (!merged) { setLeaderboardError('That file is not an exported leaderboard.'); return; }
+    setLeaderboardError(null);
+    setLeaderboard(merged);
+  };
+
+  // Refresh the "Continue" offer whenever we land on the title screen
+  if (gameState !== prevGameState) {
+      setPrevGameState(gameState);
+      if (gameState === 'START') setSavedRun(loadRun());
+  }
+
   // --- IMAGE LOADING ---
   const loadImage = (key, src) => {
     if (assetStatus.current[key]) return;
@@ -523,7 +296,7 @@ export default function App() {
             assetStatus.current[key] = 'loaded';
             
             if (key === 'bg_start') {
-                setStartBgLoaded(true);
+                setStartBgUrl(c.toDataURL());
             }
         };
         
@@ -558,22 +331,59 @@ export default function App() {
       setGameState('CHAR_SELECT');
   }
 
+  // Copies the parts of the run state the UI renders into React state
+  const syncRun = () => {
+      const g = gameData.current;
+      setRootSeed(g.rootSeed);
+      setWorldMap(g.worldMap);
+      setPlayerStats({ ...g.playerStats });
+      setCurrentBuildingId(g.currentBuildingId);
+      const boss = g.mode === 'PLAYING' ? g.enemies.find(e => e.isBoss) : null;
+      setBossHud(boss ? { name: boss.name, hp: Math.max(0, boss.hp), maxHp: boss.maxHp, phase: boss.phase } : null);
+      setRunChar(g.char);
+      setRunDifficulty(g.difficultyId);
+      setCanRevive(!!g.checkpoint);
+      setAbilityCooldown(g.player.abilityCooldown);
+  };
+
   const startGame = () => {
-    const seed = Date.now();
-    setRootSeed(seed);
-    collectedItemsRef.current = new Set(); // Reset collected items
-    const map = generateWorldMap(); 
-    setWorldMap(map);
-    setPlayerStats({ 
-        hp: selectedChar.maxHp, maxHp: selectedChar.maxHp, 
-        mp: selectedChar.maxMp, maxMp: selectedChar.maxMp,
-        speed: selectedChar.speed, damage: selectedChar.damage,
-        keys: 0, files: 0, score: 0 
-    });
+    const seed = seedInput.trim() ? codeToSeed(seedInput) : randomSeed();
+    if (seed === null) return;
+    clearRun(); // A new run replaces any previous autosave
+    gameData.current = createRunState(selectedChar, seed, selectedDifficulty, checkpointMode);
+    recordingRef.current = createRecording(seed, selectedChar.id, selectedDifficulty, checkpointMode);
+    setHasRecording(true);
+    syncRun();
     setGameState('MAP');
-    
-    loadImage(`char_${selectedChar.id}_idle`, `./assets/char_${selectedChar.id}_idle.png`);
-    loadImage(`char_${selectedChar.id}_run`, `./assets/char_${selectedChar.id}_run.png`);
+    loadRunAssets(selectedChar);
+  };
+
+  const continueGame = () => {
+    const save = loadRun();
+    if (!save) { setSavedRun(null); return; }
+    gameData.current = restoreRunState(save);
+    recordingRef.current = null;
+    setHasRecording(false);
+    const g = gameData.current;
+
+    setSelectedChar(g.char);
+    syncRun();
+    loadRunAssets(g.char);
+
+    if (g.mode === 'PLAYING') {
+        loadThemeAssets(g.building.theme);
+        setPaused(false);
+        setGameState('PLAYING');
+    } else if (g.mode === 'DEAD') {
+        setGameState('GAMEOVER'); // Died with a checkpoint left, still deciding
+    } else {
+        setGameState('MAP');
+    }
+  };
+
+  const loadRunAssets = (char) => {
+    loadImage(`char_${char.id}_idle`, `./assets/char_${char.id}_idle.png`);
+    loadImage(`char_${char.id}_run`, `./assets/char_${char.id}_run.png`);
 
     ROOM_VARIANTS.forEach(size => {
         loadImage(`bg_${FALLBACK_THEME}_${size.w}_${size.h}`, `./assets/bg_${FALLBACK_THEME}_${size.w}_${size.h}.png`);
@@ -585,433 +395,176 @@ export default function App() {
     loadImage(`enemy_${FALLBACK_THEME}`, `./assets/enemy_${FALLBACK_THEME}.png`);
   };
 
-  const enterBuilding = (buildingId) => {
-    setCurrentBuildingId(buildingId);
-    const buildingNode = worldMap.find(b => b.id === buildingId);
-    const theme = buildingNode ? buildingNode.theme : 'dungeon';
-    const difficulty = buildingNode.id === HIDDEN_BUILDING_ID ? 5 : buildingNode.column; // Hidden is hard
-    
-    // Generate building deterministically
-    const building = generateBuilding(buildingId, difficulty, theme, rootSeed, [...buildingNode.specialItems]); 
-    
-    // Filter out already collected items (Global Persistence)
-    building.rooms.forEach(room => {
-        room.items = room.items.filter(item => !collectedItemsRef.current.has(item.id));
+  const loadThemeAssets = (theme) => {
+    if (theme === FALLBACK_THEME) return;
+    ROOM_VARIANTS.forEach(size => {
+        loadImage(`bg_${theme}_${size.w}_${size.h}`, `./assets/bg_${theme}_${size.w}_${size.h}.png`);
     });
-
-    gameData.current.building = building;
-    setActiveRoomId(building.startRoomId);
-    
-    if (theme !== FALLBACK_THEME) {
-        ROOM_VARIANTS.forEach(size => {
-            loadImage(`bg_${theme}_${size.w}_${size.h}`, `./assets/bg_${theme}_${size.w}_${size.h}.png`);
-        });
-        loadImage(`door_exit_${theme}`, `./assets/door_exit_${theme}.png`);
-        for(let i=1; i<=5; i++) {
-            loadImage(`door_${theme}_${i}`, `./assets/door_${theme}_${i}.png`);
-        }
-        loadImage(`enemy_${theme}`, `./assets/enemy_${theme}.png`);
+    loadImage(`door_exit_${theme}`, `./assets/door_exit_${theme}.png`);
+    for(let i=1; i<=5; i++) {
+        loadImage(`door_${theme}_${i}`, `./assets/door_${theme}_${i}.png`);
     }
+    loadImage(`enemy_${theme}`, `./assets/enemy_${theme}.png`);
+  };
 
-    const startRoom = building.rooms.find(r => r.id === building.startRoomId);
-    gameData.current.player.x = (Math.floor(startRoom.width / 2) * TILE_SIZE) + (TILE_SIZE - PLAYER_SIZE) / 2;
-    gameData.current.player.y = (Math.floor(startRoom.height / 2) * TILE_SIZE) + (TILE_SIZE - PLAYER_SIZE) / 2;
-    gameData.current.projectiles = [];
-    gameData.current.particles = [];
-    gameData.current.shockwaves = [];
-    
-    setupRoom(building.startRoomId, building);
+  const enterBuilding = (buildingId) => {
+    const g = gameData.current;
+    enterRunBuilding(g, buildingId);
+    if (recordingRef.current) recordBuildingEntry(recordingRef.current, buildingId);
+    loadThemeAssets(g.building.theme);
+    syncRun();
+    setPaused(false);
     setGameState('PLAYING');
   };
 
-  const setupRoom = (roomId, buildingData) => {
-    const room = buildingData.rooms.find(r => r.id === roomId);
-    room.explored = true;
-    
-    gameData.current.enemies = [];
-    gameData.current.items = [...room.items]; 
-
-    const buildingNode = worldMap.find(b => b.id === currentBuildingId);
-    const difficulty = buildingNode.id === HIDDEN_BUILDING_ID ? 5 : buildingNode.column;
-    const isStartRoom = roomId === buildingData.startRoomId && difficulty === 0;
-
-    if (!room.cleared && !isStartRoom && room.type !== 'boss') {
-      const enemyCount = Math.floor(2 + difficulty * DIFFICULTY_SCALE.enemyCountMultiplier);
-      for (let i = 0; i < enemyCount; i++) {
-        let ex, ey, valid = false;
-        while (!valid) {
-           ex = getRandomInt(2, room.width - 2) * TILE_SIZE;
-           ey = getRandomInt(2, room.height - 2) * TILE_SIZE;
-           if (!checkWallCollision(ex, ey, room)) {
-                const dist = Math.hypot(ex - gameData.current.player.x, ey - gameData.current.player.y);
-                if (dist > 150) valid = true;
-           }
-        }
-        
-        const moveSpeed = (1.0 + difficulty * 0.25) * DIFFICULTY_SCALE.enemySpeedBase;
-
-        gameData.current.enemies.push({
-          x: ex, y: ey,
-          w: 32, h: 32,
-          hp: 2 + difficulty,
-          maxHp: 2 + difficulty,
-          state: 'CHASE', 
-          timer: 0,
-          frameIndex: 0,
-          frameTimer: 0,
-          speed: moveSpeed,
-          color: COLORS.enemy
-        });
-      }
-    }
+  // Checkpoint mode: undo a death by retrying the building or going back to the map
+  const reviveFromDeath = (choice) => {
+    const g = gameData.current;
+    const events = reviveRun(g, choice);
+    if (events.length === 0) return;
+    awardAchievements(events);
+    if (recordingRef.current) recordRevive(recordingRef.current, g.currentBuildingId, choice);
+    syncRun();
+    writeRun(toSaveData(g));
+    setPaused(false);
+    setGameState(choice === 'retry' ? 'PLAYING' : 'MAP');
   };
 
-  // --- GAME LOOP ---
-
-  const update = (dt) => {
-    if (gameState !== 'PLAYING') return;
+  const giveUp = () => {
+    if (canRevive) endRun(gameData.current);
+    setGameState('SUMMARY');
+  };
 
+  // Rest and shop nodes are resolved right on the map. Returns false if nothing happened.
+  const visitMapNode = (nodeId, choice = null) => {
     const g = gameData.current;
-    const building = g.building;
-    const currentRoom = building.rooms.find(r => r.id === activeRoomId);
-    
-    // Player
-    const speed = playerStats.speed;
-    const nextX = g.player.x + g.input.x * speed;
-    const nextY = g.player.y + g.input.y * speed;
-
-    const isMoving = g.input.x !== 0 || g.input.y !== 0;
-    g.player.state = isMoving ? 'run' : 'idle';
-    if (isMoving) {
-        g.player.frameTimer++;
-        if (g.player.frameTimer > 10) { 
-            g.player.frameIndex = (g.player.frameIndex + 1) % 4; 
-            g.player.frameTimer = 0;
-        }
-    } else {
-        g.player.frameIndex = 0;
-    }
-
-    if (!checkWallCollision(nextX, g.player.y, currentRoom)) g.player.x = nextX;
-    if (!checkWallCollision(g.player.x, nextY, currentRoom)) g.player.y = nextY;
-
-    if (g.input.x !== 0 || g.input.y !== 0) {
-      g.player.facing = { x: g.input.x, y: g.input.y };
-    }
-
-    // Transitions
-    const doorHit = checkDoorCollision(g.player.x, g.player.y, currentRoom);
-    if (doorHit) {
-      if (doorHit === 'boss') { completeLevel(); return; }
-      else {
-        const nextRoomId = currentRoom.doors[doorHit];
-        if (nextRoomId !== null) { transitionRoom(doorHit, nextRoomId); return; }
-      }
-    }
-
-    // Determine Closest Enemy for Auto-Aim
-    let closestEnemy = null;
-    let minDst = 1000; // Targeting Range
-    g.enemies.forEach(e => {
-        // Removed check for STUNNED state to allow persistent targeting
-        const dist = Math.hypot(e.x - g.player.x, e.y - g.player.y);
-        if (dist < minDst) {
-            minDst = dist;
-            closestEnemy = e;
-        }
-    });
-    g.currentTarget = closestEnemy; // Save for rendering reticle
-
-    // Projectile Combat
-    if (g.input.fire && g.player.cooldown <= 0) {
-      let vx = 0, vy = 0;
-      
-      // Auto-Aim Logic
-      if (closestEnemy) {
-          const angle = Math.atan2(closestEnemy.y - g.player.y, closestEnemy.x - g.player.x);
-          const bulletSpeed = 10;
-          vx = Math.cos(angle) * bulletSpeed;
-          vy = Math.sin(angle) * bulletSpeed;
-      } else {
-          // Fallback to manual facing
-          // Normalize facing vector first to ensure consistent speed
-          const len = Math.sqrt(g.player.facing.x * g.player.facing.x + g.player.facing.y * g.player.facing.y) || 1;
-          vx = (g.player.facing.x / len) * 10;
-          vy = (g.player.facing.y / len) * 10;
-      }
+    const events = visitNode(g, nodeId, choice);
+    if (events.length === 0) return false;
+    awardAchievements(events);
+    if (recordingRef.current) recordNodeVisit(recordingRef.current, nodeId, choice);
+    syncRun();
+    writeRun(toSaveData(g));
+    return true;
+  };
 
-      g.projectiles.push({
-        x: g.player.x + 16, y: g.player.y + 16,
-        vx, vy,
-        life: 60 
-      });
-      g.player.cooldown = selectedChar.fireRate / (1000/60);
-      // playSound('shoot'); 
-    }
-    if (g.player.cooldown > 0) g.player.cooldown--;
-
-    // BOMB ATTACK
-    if (g.input.bomb && g.player.bombCooldown <= 0) {
-        if (playerStats.mp >= BOMB_COST) {
-            setPlayerStats(prev => ({...prev, mp: prev.mp - BOMB_COST}));
-            g.player.bombCooldown = 60; 
-            g.shockwaves.push({ x: g.player.x + 16, y: g.player.y + 16, r: 10, maxR: 500, alpha: 1.0 });
-            // playSound('explosion');
-            g.enemies.forEach(e => {
-                e.hp -= 2;
-                e.state = 'STUNNED';
-                e.timer = 120; 
-                createParticles(e.x, e.y, COLORS.shockwave);
-            });
-        }
+  const openMapNode = (node) => {
+    if (node.type === 'shop') { setShopNodeId(node.id); return; }
+    if (node.type === 'rest') {
+        if (!visitMapNode(node.id)) return;
+        setMessageData({ title: "Rest Stop", text: "You hide out in an empty shed and catch your breath. HP and MP fully restored.", nextState: 'MAP' });
+        setGameState('MESSAGE');
+        return;
     }
-    if (g.player.bombCooldown > 0) g.player.bombCooldown--;
+    enterBuilding(node.id);
+  };
 
-    // Update Shockwaves
-    g.shockwaves.forEach(s => {
-        s.r += 15; 
-        s.alpha -= 0.03; 
-    });
-    g.shockwaves = g.shockwaves.filter(s => s.alpha > 0);
-
-    // Update Projectiles
-    g.projectiles = g.projectiles.filter(p => p.life > 0);
-    g.projectiles.forEach(p => {
-      p.x += p.vx; p.y += p.vy; p.life--;
-      if (checkWallCollision(p.x, p.y, currentRoom)) p.life = 0;
-      g.enemies.forEach(e => {
-        if (checkCollision({x: p.x, y: p.y, w: 10, h: 10}, e)) {
-          e.state = 'STUNNED'; e.timer = 60; 
-          e.hp -= playerStats.damage; // Use player damage stats
-          p.life = 0;
-          createParticles(e.x, e.y, COLORS.enemy);
-        }
-      });
-    });
+  // --- REPLAY ---
+
+  const startReplay = (rec) => {
+    const player = createReplayPlayer(rec);
+    replayRef.current = player;
+    gameData.current = player.state;
+    setSelectedChar(player.state.char);
+    loadRunAssets(player.state.char);
+    THEMES.forEach(loadThemeAssets);
+    syncRun();
+    setReplaySpeed(1);
+    setReplayPaused(false);
+    setReplayProgress({ frame: 0, total: player.totalFrames, done: player.done });
+    setGameState('REPLAY');
+  };
 
-    // Check Deaths
-    const deadEnemies = g.enemies.filter(e => e.hp <= 0);
-    if (deadEnemies.length > 0) {
-        setPlayerStats(prev => ({...prev, score: prev.score + (deadEnemies.length * 100)}));
-        if (g.enemies.filter(e => e.hp > 0).length === 0) currentRoom.cleared = true;
+  const advanceReplayFrames = (count) => {
+    const player = replayRef.current;
+    if (!player || player.done) return;
+    let changed = false;
+    for (let i = 0; i < count && !player.done; i++) {
+        if (advanceReplay(player).length > 0) changed = true;
     }
-    g.enemies = g.enemies.filter(e => e.hp > 0);
-
-    // Enemy AI
-    g.enemies.forEach(e => {
-      e.frameTimer++;
-      if (e.frameTimer > 10) { e.frameIndex = (e.frameIndex + 1) % 4; e.frameTimer = 0; }
-
-      if (e.state === 'STUNNED') {
-        e.timer--; if (e.timer <= 0) e.state = 'CHASE'; return;
-      }
-      const dist = Math.hypot(g.player.x - e.x, g.player.y - e.y);
-      if (e.state === 'CHASE') {
-        if (dist < 40) { e.state = 'PREPARE'; e.timer = 30 + (currentBuildingId * 5); } 
-        else {
-            const angle = Math.atan2(g.player.y - e.y, g.player.x - e.x);
-            const nextEX = e.x + Math.cos(angle) * (e.speed * 0.5); 
-            const nextEY = e.y + Math.sin(angle) * (e.speed * 0.5);
-            if (!checkWallCollision(nextEX, e.y, currentRoom)) e.x = nextEX;
-            if (!checkWallCollision(e.x, nextEY, currentRoom)) e.y = nextEY;
-        }
-      } else if (e.state === 'PREPARE') {
-        e.timer--; if (e.timer <= 0) { e.state = 'ATTACK'; if (dist < 50) takeDamage(); e.timer = 60; }
-      } else if (e.state === 'ATTACK') {
-        e.timer--; if (e.timer <= 0) e.state = 'CHASE';
-      }
-    });
+    if (changed) syncRun();
+    setReplayProgress({ frame: player.frame, total: player.totalFrames, done: player.done });
+  };
 
-    // Items
-    g.items = g.items.filter(item => {
-        if (checkCollision({x: item.x, y: item.y, w: item.w, h: item.h}, {x: g.player.x, y: g.player.y, w: 32, h: 32})) {
-            let consumed = false;
-            if (item.type === 'pizza') {
-                if (playerStats.hp < playerStats.maxHp) {
-                    setPlayerStats(prev => ({ ...prev, hp: Math.min(prev.hp + 1, prev.maxHp) })); consumed = true;
-                }
-            } else if (item.type === 'pizzaBox') {
-                setPlayerStats(prev => ({ ...prev, maxHp: prev.maxHp + 1, hp: prev.hp + 1 })); consumed = true;
-            } else if (item.type === 'soda') {
-                if (playerStats.mp < playerStats.maxMp) {
-                    setPlayerStats(prev => ({ ...prev, mp: Math.min(prev.mp + 1, prev.maxMp) })); consumed = true;
-                }
-            } else if (item.type === 'sodaCarrier') {
-                setPlayerStats(prev => ({ ...prev, maxMp: prev.maxMp + 1, mp: prev.mp + 1 })); consumed = true;
-            } else if (item.type === 'rollerSkates') {
-                setPlayerStats(prev => ({ ...prev, speed: prev.speed + 1 })); consumed = true;
-            } else if (item.type === 'cookieBag') {
-                setPlayerStats(prev => ({ ...prev, damage: prev.damage + 1 })); consumed = true;
-            } else if (item.type === 'file') {
-                setPlayerStats(prev => ({ ...prev, files: prev.files + 1 })); consumed = true;
-            } else if (item.type === 'key') {
-                setPlayerStats(prev => ({ ...prev, keys: prev.keys + 1 })); consumed = true;
-            }
+  const exitReplay = () => {
+    replayRef.current = null;
+    gameData.current = null;
+    setGameState('START');
+  };
 
-            if (consumed) {
-                createParticles(item.x, item.y, COLORS[item.type] || COLORS.pizza);
-                // Add to global collection (persistence)
-                collectedItemsRef.current.add(item.id);
-                // Remove locally
-                const persistentRoom = g.building.rooms.find(r => r.id === activeRoomId);
-                if (persistentRoom && persistentRoom.items) {
-                    persistentRoom.items = persistentRoom.items.filter(i => i.id !== item.id);
-                }
-                return false; 
-            }
-        }
-        return true;
-    });
+  const exportReplay = () => {
+    const rec = recordingRef.current;
+    if (!rec) return;
+    const blob = new Blob([encodeReplay(rec)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `escape-island-${seedToCode(rec.seed)}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
 
-    g.particles.forEach(p => { p.x += p.vx; p.y += p.vy; p.life--; });
-    g.particles = g.particles.filter(p => p.life > 0);
+  const importReplay = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // Allow re-importing the same file
+    if (!file) return;
+    const rec = decodeReplay(await file.text());
+    if (!rec) { setReplayError('That file is not a valid replay.'); return; }
+    setReplayError(null);
+    startReplay(rec);
   };
 
-  const takeDamage = () => {
-      setPlayerStats(prev => {
-          const newHp = prev.hp - 1;
-          if (newHp <= 0) {
-              saveScore(prev.score);
+  // --- ENGINE EVENTS ---
+
+  const handleEvents = (events) => {
+      const g = gameData.current;
+      syncRun();
+      awardAchievements(events);
+      events.forEach(ev => {
+          if (ev.type === 'roomEntered') {
+              writeRun(toSaveData(g));
+          } else if (ev.type === 'playerDied') {
+              // A death that checkpoints can still undo only ends the run if the player gives up;
+              // until then the save keeps it, so reloading comes back to this screen
+              if (g.checkpoint) writeRun(toSaveData(g));
+              else endRun(g);
               setGameState('GAMEOVER');
+          } else if (ev.type === 'levelComplete') {
+              handleLevelComplete(ev);
+          } else if (ev.type === 'itemCollected' && ev.item.type === 'file') {
+              // Read the document right away; the run waits on the MESSAGE screen
+              const doc = getLoreFile(ev.item.docId);
+              if (doc && g.mode === 'PLAYING') {
+                  setMessageData({ title: `Case File: ${doc.title}`, text: doc.text, nextState: 'PLAYING' });
+                  setGameState('MESSAGE');
+              }
           }
-          return { ...prev, hp: newHp };
       });
-      createParticles(gameData.current.player.x, gameData.current.player.y, '#ff0000');
-      // playSound('hit');
-      gameData.current.player.x -= gameData.current.player.facing.x * 50;
-      gameData.current.player.y -= gameData.current.player.facing.y * 50;
-  };
-
-  const checkWallCollision = (x, y, room) => {
-    const gridX = Math.floor((x + 16) / TILE_SIZE); 
-    const gridY = Math.floor((y + 16) / TILE_SIZE);
-    if (gridY < 0 || gridY >= room.height || gridX < 0 || gridX >= room.width) return true;
-    const tile = room.layout.grid[gridY][gridX];
-    if (tile.type === 'wall' || tile.type === 'furniture') {
-        const isDoor = Object.entries(room.doors).some(([dir, id]) => {
-           if (!id && id !== 0) return false;
-           if (dir === 'top' && gridY === 0 && gridX === Math.floor(room.width/2)) return true;
-           if (dir === 'bottom' && gridY === room.height-1 && gridX === Math.floor(room.width/2)) return true;
-           if (dir === 'left' && gridX === 0 && gridY === Math.floor(room.height/2)) return true;
-           if (dir === 'right' && gridX === room.width-1 && gridY === Math.floor(room.height/2)) return true;
-           return false;
-        });
-        
-        if (room.type === 'boss') {
-           // Boss door offset logic: Top wall, midX + 2
-           const bossDoorX = Math.floor(room.width/2) + 2;
-           if (gridY === 0 && gridX === bossDoorX) return false;
-        }
-        return !isDoor;
-    }
-    return false;
-  };
-
-  const checkDoorCollision = (x, y, room) => {
-      const cx = x + 16; const cy = y + 16;
-      const midX = (room.width * TILE_SIZE) / 2;
-      
-      // Standard Doors
-      if (room.doors.top !== null && cy < TILE_SIZE && Math.abs(cx - midX) < TILE_SIZE) return 'top';
-      if (room.doors.bottom !== null && cy > (room.height-1)*TILE_SIZE && Math.abs(cx - midX) < TILE_SIZE) return 'bottom';
-      if (room.doors.left !== null && cx < TILE_SIZE) return 'left';
-      if (room.doors.right !== null && cx > (room.width-1)*TILE_SIZE) return 'right';
-
-      if (room.type === 'boss') {
-          // Boss Exit: Top Wall, Offset +2
-          const bossDoorPixelX = (Math.floor(room.width/2) + 2) * TILE_SIZE + (TILE_SIZE/2);
-          if (cy < TILE_SIZE && Math.abs(cx - bossDoorPixelX) < TILE_SIZE) return 'boss';
-      }
-      return null;
   };
 
-  const transitionRoom = (direction, nextRoomId) => {
-    const nextRoom = gameData.current.building.rooms.find(r => r.id === nextRoomId);
-    setActiveRoomId(nextRoomId);
+  const handleLevelComplete = ({ buildingId, revealedHidden, isFinal }) => {
     const g = gameData.current;
-    
-    // STUCK FIX: Calculate safe positions aligned to grid center
-    // We target the center of the door tile (e.g., width/2) then step 1.5 tiles in
-    const midX = Math.floor(nextRoom.width / 2);
-    const midY = Math.floor(nextRoom.height / 2);
-    
-    // Ensure centering within the tile by adding (TILE_SIZE - PLAYER_SIZE) / 2
-    const centerOffset = (TILE_SIZE - PLAYER_SIZE) / 2;
 
-    if (direction === 'top') {
-        g.player.x = (midX * TILE_SIZE) + centerOffset;
-        g.player.y = ((nextRoom.height - 2) * TILE_SIZE) + centerOffset;
-    }
-    if (direction === 'bottom') {
-        g.player.x = (midX * TILE_SIZE) + centerOffset;
-        g.player.y = (1.5 * TILE_SIZE); 
-    }
-    if (direction === 'left') {
-        g.player.x = ((nextRoom.width - 2) * TILE_SIZE) + centerOffset;
-        g.player.y = (midY * TILE_SIZE) + centerOffset;
-    }
-    if (direction === 'right') {
-        g.player.x = (1.5 * TILE_SIZE);
-        g.player.y = (midY * TILE_SIZE) + centerOffset;
+    // ENDING: we just cleared the final column
+    if (isFinal) {
+        saveScore(g.playerStats.score, g.difficultyId);
+        clearRun(); // The run is over, nothing left to continue
+        const ctx = createEndingContext({ worldMap: g.worldMap, playerStats: g.playerStats, charId: g.char.id });
+        const path = runEnding(ctx);
+        recordRun(g, path);
+        setEnding({ ctx, path });
+        setUnlockedEndings(unlockEndings(path));
+        setEndingPage(0);
+        setGameState('ENDING');
+        return;
     }
 
-    g.particles = []; g.projectiles = [];
-    // Reset Target
-    g.currentTarget = null;
-    setupRoom(nextRoomId, g.building);
-  };
-
-  const checkCollision = (rect1, rect2) => {
-      return (rect1.x < rect2.x + rect2.w && rect1.x + rect1.w > rect2.x && rect1.y < rect2.y + rect2.h && rect1.y + rect1.h > rect2.y);
-  };
-  
-  const createParticles = (x, y, color) => {
-      for(let i=0; i<5; i++) {
-          gameData.current.particles.push({x, y, vx: (Math.random() - 0.5) * 5, vy: (Math.random() - 0.5) * 5, life: 20, color});
-      }
-  };
-
-  const completeLevel = () => {
-    // Current building completed
-    const currentBuilding = worldMap.find(b => b.id === currentBuildingId);
-    
-    // Logic: Clear current, unlock all buildings in NEXT column
-    const nextCol = currentBuilding.column + 1;
-    let maxCol = 0;
-    
-    // Calculate max column first to ensure reliability
-    worldMap.forEach(b => {
-        if (b.column > maxCol) maxCol = b.column;
-    });
-    
-    const newMap = worldMap.map(b => {
-        if (b.id === currentBuildingId) {
-            return { ...b, cleared: true };
-        }
-        // Don't auto-unlock hidden building via column progression
-        if (b.column === nextCol && b.id !== HIDDEN_BUILDING_ID) {
-            return { ...b, locked: false };
-        }
-        return b;
-    });
-
-    // 1. FIRST BUILDING SPECIAL MESSAGE & UNLOCK HIDDEN
-    if (currentBuilding.id === 0) {
-        const hasKey = playerStats.keys > 0;
-        
-        // If have key, also unlock hidden building in new map
-        if (hasKey) {
-            const hiddenIndex = newMap.findIndex(b => b.id === HIDDEN_BUILDING_ID);
-            if (hiddenIndex !== -1) {
-                newMap[hiddenIndex].locked = false;
-                newMap[hiddenIndex].hidden = false;
-            }
-        }
+    writeRun(toSaveData(g));
 
-        setWorldMap(newMap);
+    // FIRST BUILDING SPECIAL MESSAGE
+    if (buildingId === 0) {
         setMessageData({
-            title: hasKey ? "Hidden Path Revealed" : "Escaped!",
-            text: hasKey 
+            title: revealedHidden ? "Hidden Path Revealed" : "Escaped!",
+            text: revealedHidden 
                 ? "Now you have the key, you can release all the kids!"
                 : "You escaped from the building, you are the only hope of the kids in the building.",
             nextState: 'MAP'
@@ -1020,34 +573,65 @@ export default function App() {
         return;
     }
 
-    setWorldMap(newMap);
-
-    // 2. ENDING LOGIC
-    // If we just cleared the Final Column (Column 4)
-    if (currentBuilding.column === maxCol) {
-        saveScore(playerStats.score);
-        setEndingPage(0);
-        setGameState('ENDING');
-    } else {
-        setGameState('MAP'); 
-    }
+    setGameState('MAP'); 
   };
 
   // --- RENDERING ---
 
-  const draw = (ctx) => {
+  // `alpha` is how far we are between the last two simulation steps (0..1)
+  const draw = (ctx, alpha = 1) => {
     ctx.fillStyle = COLORS.background;
     ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
-    if (gameState !== 'PLAYING') return;
-    
     const g = gameData.current;
-    const room = g.building.rooms.find(r => r.id === activeRoomId);
+    if ((gameState !== 'PLAYING' && gameState !== 'REPLAY') || !g || !g.building) return;
+    
+    const room = getActiveRoom(g);
     const theme = g.building.theme;
     const themeColors = THEME_COLORS[theme] || THEME_COLORS[FALLBACK_THEME];
 
+    // Terrain, hazards and room objects drawn over the floor
+    const spikesUp = areSpikesRaised(g);
+    const drawTerrain = (tile, tx, ty) => {
+        if (tile.type === 'pit') { ctx.fillStyle = COLORS.pit; ctx.fillRect(tx, ty, TILE_SIZE, TILE_SIZE); ctx.strokeStyle = 'rgba(255,255,255,0.08)'; ctx.strokeRect(tx + 3, ty + 3, TILE_SIZE - 6, TILE_SIZE - 6); }
+        else if (tile.type === 'water') { ctx.fillStyle = COLORS.water; ctx.fillRect(tx, ty, TILE_SIZE, TILE_SIZE); }
+        else if (tile.type === 'ice') {
+            ctx.fillStyle = COLORS.ice; ctx.fillRect(tx, ty, TILE_SIZE, TILE_SIZE);
+            ctx.strokeStyle = 'rgba(255,255,255,0.9)'; ctx.lineWidth = 2;
+            ctx.beginPath(); ctx.moveTo(tx + 8, ty + 20); ctx.lineTo(tx + 20, ty + 8); ctx.moveTo(tx + 24, ty + 40); ctx.lineTo(tx + 40, ty + 24); ctx.stroke();
+            ctx.lineWidth = 1;
+        } else if (tile.type === 'spikes') {
+            // Raised spikes are tall and red-tipped; lowered ones are just studs
+            ctx.fillStyle = 'rgba(0,0,0,0.2)'; ctx.fillRect(tx + 2, ty + 2, TILE_SIZE - 4, TILE_SIZE - 4);
+            for (let i = 0; i < 3; i++) {
+                for (let j = 0; j < 3; j++) {
+                    const sx = tx + 8 + i * 16; const sy = ty + 12 + j * 14;
+                    ctx.fillStyle = spikesUp ? COLORS.spikes : 'rgba(0,0,0,0.35)';
+                    ctx.beginPath();
+                    if (spikesUp) { ctx.moveTo(sx - 5, sy + 6); ctx.lineTo(sx, sy - 8); ctx.lineTo(sx + 5, sy + 6); }
+                    else ctx.arc(sx, sy, 2.5, 0, Math.PI * 2);
+                    ctx.fill();
+                    if (spikesUp) { ctx.fillStyle = COLORS.enemy; ctx.fillRect(sx - 1, sy - 8, 2, 3); }
+                }
+            }
+        } else if (tile.type === 'bush') {
+            ctx.fillStyle = COLORS.bush;
+            [[14, 18, 12], [32, 16, 11], [24, 32, 14]].forEach(([bx, by, r]) => { ctx.beginPath(); ctx.arc(tx + bx, ty + by, r, 0, Math.PI * 2); ctx.fill(); });
+            ctx.strokeStyle = 'rgba(0,0,0,0.2)'; ctx.stroke();
+        } else if (tile.type === 'crate') {
+            ctx.fillStyle = COLORS.crate; ctx.fillRect(tx + 4, ty + 4, TILE_SIZE - 8, TILE_SIZE - 8);
+            ctx.strokeStyle = '#5d2e0c'; ctx.lineWidth = 3;
+            ctx.strokeRect(tx + 4, ty + 4, TILE_SIZE - 8, TILE_SIZE - 8);
+            ctx.beginPath(); ctx.moveTo(tx + 6, ty + 6); ctx.lineTo(tx + TILE_SIZE - 6, ty + TILE_SIZE - 6); ctx.stroke();
+            if (tile.hp < HAZARDS.crateHp) { ctx.lineWidth = 1; ctx.beginPath(); ctx.moveTo(tx + 30, ty + 8); ctx.lineTo(tx + 24, ty + 18); ctx.lineTo(tx + 32, ty + 26); ctx.stroke(); }
+            ctx.lineWidth = 1;
+        }
+    };
+
     const bgImg = getThemeAsset('bg', theme, `${room.width}_${room.height}`);
     if (bgImg) {
         ctx.drawImage(bgImg, 0, 0, room.width * TILE_SIZE, room.height * TILE_SIZE);
+        // Template terrain and hazards aren't part of the backdrop art
+        room.layout.grid.forEach(row => row.forEach(tile => drawTerrain(tile, tile.x * TILE_SIZE, tile.y * TILE_SIZE)));
     } else {
         // Fallback: Grid with Theme Colors
         if (room.layout) {
@@ -1056,20 +640,21 @@ export default function App() {
                     const tx = tile.x * TILE_SIZE; const ty = tile.y * TILE_SIZE;
                     if (tile.type === 'wall') { ctx.fillStyle = themeColors.wall; ctx.fillRect(tx, ty, TILE_SIZE, TILE_SIZE); } 
                     else if (tile.type === 'furniture') { ctx.fillStyle = COLORS.furniture; ctx.fillRect(tx + 4, ty + 4, TILE_SIZE - 8, TILE_SIZE - 8); } 
-                    else { ctx.fillStyle = themeColors.floor; ctx.fillRect(tx, ty, TILE_SIZE, TILE_SIZE); ctx.strokeStyle = 'rgba(0,0,0,0.05)'; ctx.strokeRect(tx, ty, TILE_SIZE, TILE_SIZE); }
+                    else if (tile.type === 'pit') drawTerrain(tile, tx, ty);
+                    else { ctx.fillStyle = themeColors.floor; ctx.fillRect(tx, ty, TILE_SIZE, TILE_SIZE); ctx.strokeStyle = 'rgba(0,0,0,0.05)'; ctx.strokeRect(tx, ty, TILE_SIZE, TILE_SIZE); drawTerrain(tile, tx, ty); }
                 });
             });
         }
     }
 
     // Doors
-    const drawDoor = (x, y, dir, isBoss) => {
+    const drawDoor = (x, y, door, isBoss) => {
         let doorImg;
         if (isBoss) {
             doorImg = getThemeAsset('door', theme, 'exit'); 
             if (!doorImg) doorImg = getThemeAsset('door_exit', theme); 
         } else {
-            doorImg = getThemeAsset('door', theme, room.doorStyles[dir]);
+            doorImg = getThemeAsset('door', theme, door.style);
         }
         if (doorImg) ctx.drawImage(doorImg, x, y, TILE_SIZE, TILE_SIZE);
         else {
@@ -1077,273 +662,377 @@ export default function App() {
             ctx.fillRect(x, y, TILE_SIZE, TILE_SIZE);
             ctx.strokeStyle = '#fff'; ctx.strokeRect(x, y, TILE_SIZE, TILE_SIZE);
         }
+        if (!isBoss && door.lockId !== null) drawLock(ctx, x, y, TILE_SIZE);
     };
-    const midX = Math.floor(room.width/2) * TILE_SIZE;
-    const midY = Math.floor(room.height/2) * TILE_SIZE;
-    if (room.doors.top !== null) drawDoor(midX, 0, 'top', false);
-    if (room.doors.bottom !== null) drawDoor(midX, (room.height-1)*TILE_SIZE, 'bottom', false);
-    if (room.doors.left !== null) drawDoor(0, midY, 'left', false);
-    if (room.doors.right !== null) drawDoor((room.width-1)*TILE_SIZE, midY, 'right', false);
+    room.doors.forEach(door => {
+        const t = getDoorTile(room, door);
+        const x = t.x * TILE_SIZE; const y = t.y * TILE_SIZE;
+        if (door.hidden) {
+            // Undiscovered secret door: just a hairline crack in the wall
+            ctx.strokeStyle = 'rgba(0,0,0,0.35)'; ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(x + 14, y + 6); ctx.lineTo(x + 22, y + 20); ctx.lineTo(x + 18, y + 28); ctx.lineTo(x + 30, y + 42);
+            ctx.moveTo(x + 22, y + 20); ctx.lineTo(x + 34, y + 16);
+            ctx.stroke();
+        } else {
+            drawDoor(x, y, door, false);
+        }
+    });
     
     if (room.type === 'boss') {
         // Boss Door at Top, Offset +2
         const bossDoorX = (Math.floor(room.width/2) + 2) * TILE_SIZE;
-        drawDoor(bossDoorX, 0, 'top', true);
+        drawDoor(bossDoorX, 0, null, true);
+        if (!room.cleared) {
+            // Sealed until the boss falls: darken and bar the exit
+            ctx.fillStyle = 'rgba(0,0,0,0.6)'; ctx.fillRect(bossDoorX, 0, TILE_SIZE, TILE_SIZE);
+            ctx.strokeStyle = '#bdc3c7'; ctx.lineWidth = 4;
+            ctx.beginPath();
+            for (let i = 1; i <= 3; i++) { ctx.moveTo(bossDoorX + i * TILE_SIZE / 4, 4); ctx.lineTo(bossDoorX + i * TILE_SIZE / 4, TILE_SIZE - 4); }
+            ctx.stroke();
+            ctx.lineWidth = 1;
+        }
     }
 
     // Items
     g.items.forEach(item => {
-        let color = COLORS.pizza;
-        if (item.type === 'pizzaBox') color = COLORS.pizzaBox;
-        else if (item.type === 'soda') color = COLORS.soda;
-        else if (item.type === 'sodaCarrier') color = COLORS.sodaCarrier;
-        else if (item.type === 'rollerSkates') color = COLORS.rollerSkates;
-        else if (item.type === 'cookieBag') color = COLORS.cookieBag;
-        else if (item.type === 'file') color = COLORS.file;
-        else if (item.type === 'key') color = COLORS.key;
-        
+        const def = ITEMS[item.type];
+        if (!def) return;
+
         // Draw Item Body
-        ctx.fillStyle = color; 
+        ctx.fillStyle = def.color; 
         ctx.fillRect(item.x, item.y, item.w, item.h);
         
         // Simple Icon/Text overlay
         ctx.fillStyle = 'white'; 
         ctx.font = '10px sans-serif';
-        let label = '';
-        if(item.type === 'pizzaBox') label = '+HP';
-        else if(item.type === 'soda') label = 'MP';
-        else if(item.type === 'sodaCarrier') label = '+MP';
-        else if(item.type === 'rollerSkates') label = 'SPD';
-        else if(item.type === 'cookieBag') label = 'DMG';
-        else if(item.type === 'file') label = 'FILE';
-        else if(item.type === 'key') label = 'KEY';
-        
-        if (label) ctx.fillText(label, item.x, item.y - 5);
+        if (def.label) ctx.fillText(def.label, item.x, item.y - 5);
     });
 
     // Enemies
     const enemyImg = getThemeAsset('enemy', theme);
     g.enemies.forEach(e => {
-        if (enemyImg) {
-             const frameW = enemyImg.width / 4; const frameH = enemyImg.height; 
-             ctx.drawImage(enemyImg, e.frameIndex * frameW, 0, frameW, frameH, e.x, e.y, 32, 32);
+        const { x: ex, y: ey } = lerpPos(e, alpha);
+        if (e.isBoss) { drawBoss(ctx, e, ex, ey, theme); return; }
+        const cx = ex + e.w / 2; const cy = ey + e.h / 2;
+
+        // Telegraphs: chargers show their dash lane, shooters flash before firing
+        if (e.state === 'WINDUP') {
+            ctx.save();
+            ctx.translate(cx, cy); ctx.rotate(e.angle);
+            ctx.fillStyle = COLORS.telegraph; ctx.fillRect(0, -e.h / 2, 180, e.h);
+            ctx.restore();
+        } else if (e.state === 'AIM') {
+            ctx.strokeStyle = COLORS.enemyProjectile; ctx.lineWidth = 2;
+            ctx.beginPath(); ctx.arc(cx, cy, e.w / 2 + 4, 0, Math.PI * 2); ctx.stroke();
+            ctx.lineWidth = 1;
+        }
+
+        const typeImg = e.type === 'chaser' ? enemyImg : getThemeAsset('enemy', theme, e.type);
+        if (typeImg) {
+             const frameW = typeImg.width / 4; const frameH = typeImg.height; 
+             ctx.drawImage(typeImg, e.frameIndex * frameW, 0, frameW, frameH, ex, ey, e.w, e.h);
         } else {
-            ctx.fillStyle = e.state === 'STUNNED' ? '#95a5a6' : COLORS.enemy;
-            ctx.beginPath(); ctx.arc(e.x + 16, e.y + 16, 14, 0, Math.PI * 2); ctx.fill();
+            ctx.fillStyle = e.state === 'STUNNED' ? '#95a5a6' : e.color;
+            if (e.type === 'turret') {
+                ctx.fillRect(ex + 2, ey + 2, e.w - 4, e.h - 4);
+                ctx.fillStyle = '#2c3e50'; ctx.beginPath(); ctx.arc(cx, cy, 6, 0, Math.PI * 2); ctx.fill();
+            } else {
+                ctx.beginPath(); ctx.arc(cx, cy, e.w / 2 - 2, 0, Math.PI * 2); ctx.fill();
+                if (e.type === 'shooter') { ctx.fillStyle = '#fff'; ctx.beginPath(); ctx.arc(cx, cy, 4, 0, Math.PI * 2); ctx.fill(); }
+                if (e.type === 'charger') { ctx.strokeStyle = '#fff'; ctx.lineWidth = 2; ctx.beginPath(); ctx.moveTo(cx - 6, cy - 4); ctx.lineTo(cx, cy + 4); ctx.lineTo(cx + 6, cy - 4); ctx.stroke(); ctx.lineWidth = 1; }
+            }
         }
-        ctx.fillStyle = 'red'; ctx.fillRect(e.x, e.y - 10, 32, 4);
-        ctx.fillStyle = 'green'; ctx.fillRect(e.x, e.y - 10, 32 * (e.hp / e.maxHp), 4);
+        ctx.fillStyle = 'red'; ctx.fillRect(ex, ey - 10, e.w, 4);
+        ctx.fillStyle = 'green'; ctx.fillRect(ex, ey - 10, e.w * (e.hp / e.maxHp), 4);
     });
 
     // TARGET RETICLE (Auto-Aim Visual)
     if (g.currentTarget) {
+        const target = lerpPos(g.currentTarget, alpha);
         ctx.strokeStyle = COLORS.reticle;
         ctx.lineWidth = 2;
         ctx.setLineDash([4, 2]); // Dashed line
         ctx.beginPath();
         // Rotating circle effect can be added with time, simple circle for now
-        ctx.arc(g.currentTarget.x + 16, g.currentTarget.y + 16, 24, 0, Math.PI * 2);
+        ctx.arc(target.x + 16, target.y + 16, 24, 0, Math.PI * 2);
         ctx.stroke();
         ctx.setLineDash([]); // Reset dash
     }
 
-    // Player
-    const charKey = `char_${selectedChar.id}_${g.player.state}`;
+    // Decoy: a flat cardboard stand-in that fades out as it runs down
+    if (g.decoy) {
+        ctx.save();
+        ctx.globalAlpha = Math.min(1, g.decoy.life / 60);
+        ctx.fillStyle = COLORS.decoy; ctx.fillRect(g.decoy.x + 4, g.decoy.y, 24, 32);
+        ctx.strokeStyle = g.char.color; ctx.lineWidth = 2; ctx.strokeRect(g.decoy.x + 4, g.decoy.y, 24, 32);
+        ctx.restore();
+    }
+
+    // Snares: a ring of teeth on the floor
+    g.traps.forEach(t => {
+        ctx.strokeStyle = COLORS.trap; ctx.lineWidth = 3;
+        ctx.beginPath(); ctx.arc(t.x, t.y, 10, 0, Math.PI * 2); ctx.stroke();
+        ctx.fillStyle = COLORS.trap;
+        for (let i = 0; i < 6; i++) {
+            const a = (i / 6) * Math.PI * 2;
+            ctx.fillRect(t.x + Math.cos(a) * 10 - 2, t.y + Math.sin(a) * 10 - 2, 4, 4);
+        }
+    });
+
+    // Player (blinks while invulnerable after a hit)
+    const { x: px, y: py } = lerpPos(g.player, alpha);
+    ctx.save();
+    if (g.player.invuln > 0 && Math.floor(g.player.invuln / 4) % 2 === 0) ctx.globalAlpha = 0.25;
+    const charKey = `char_${g.char.id}_${g.player.state}`;
     const charImg = assets.current[charKey];
     if (charImg) {
         const frameW = charImg.width / 4; const frameH = charImg.height;
         ctx.save();
         if (g.player.facing.x < 0) {
-            ctx.translate(g.player.x + 32, g.player.y); ctx.scale(-1, 1);
+            ctx.translate(px + 32, py); ctx.scale(-1, 1);
             ctx.drawImage(charImg, g.player.frameIndex * frameW, 0, frameW, frameH, 0, 0, 32, 32);
         } else {
-            ctx.drawImage(charImg, g.player.frameIndex * frameW, 0, frameW, frameH, g.player.x, g.player.y, 32, 32);
+            ctx.drawImage(charImg, g.player.frameIndex * frameW, 0, frameW, frameH, px, py, 32, 32);
         }
         ctx.restore();
     } else {
-        ctx.fillStyle = selectedChar.color; ctx.fillRect(g.player.x, g.player.y, 32, 32);
+        ctx.fillStyle = g.char.color; ctx.fillRect(px, py, 32, 32);
         ctx.fillStyle = 'white';
         const faceX = g.player.facing.x || 0; const faceY = g.player.facing.y || 0;
-        ctx.fillRect(g.player.x + 10 + faceX * 6, g.player.y + 8 + faceY * 6, 4, 4);
-        ctx.fillRect(g.player.x + 20 + faceX * 6, g.player.y + 8 + faceY * 6, 4, 4);
+        ctx.fillRect(px + 10 + faceX * 6, py + 8 + faceY * 6, 4, 4);
+        ctx.fillRect(px + 20 + faceX * 6, py + 8 + faceY * 6, 4, 4);
     }
+    ctx.restore();
 
     // Projectiles & Shockwaves & Particles
-    g.projectiles.forEach(p => { 
+    g.projectiles.forEach(proj => { 
+        const p = lerpPos(proj, alpha);
         ctx.fillStyle = '#d2691e'; ctx.beginPath(); ctx.arc(p.x, p.y, 6, 0, Math.PI * 2); ctx.fill();
         ctx.fillStyle = '#3e2723'; 
         ctx.beginPath(); ctx.arc(p.x-2, p.y-1, 1.5, 0, Math.PI*2); ctx.fill();
         ctx.beginPath(); ctx.arc(p.x+2, p.y+2, 1.5, 0, Math.PI*2); ctx.fill();
         ctx.beginPath(); ctx.arc(p.x+1, p.y-3, 1.5, 0, Math.PI*2); ctx.fill();
     });
+    g.enemyProjectiles.forEach(proj => {
+        const p = lerpPos(proj, alpha);
+        ctx.fillStyle = proj.color; ctx.beginPath(); ctx.arc(p.x, p.y, proj.r, 0, Math.PI * 2); ctx.fill();
+        ctx.strokeStyle = '#fff'; ctx.lineWidth = 1; ctx.stroke();
+    });
     g.shockwaves.forEach(s => {
         ctx.beginPath(); ctx.arc(s.x, s.y, s.r, 0, Math.PI * 2);
-        ctx.fillStyle = `rgba(142, 68, 173, ${s.alpha})`; ctx.fill();
-        ctx.strokeStyle = `rgba(255, 255, 255, ${s.alpha})`; ctx.lineWidth = 2; ctx.stroke();
+        ctx.globalAlpha = s.alpha;
+        ctx.fillStyle = s.color || COLORS.shockwave; ctx.fill();
+        ctx.strokeStyle = '#ffffff'; ctx.lineWidth = 2; ctx.stroke();
+        ctx.globalAlpha = 1.0;
     });
     g.particles.forEach(p => { ctx.fillStyle = p.color; ctx.globalAlpha = p.life / 20; ctx.fillRect(p.x, p.y, 4, 4); ctx.globalAlpha = 1.0; });
 
-    if (g.building) drawMiniMap(ctx, g.building, activeRoomId);
+    drawMiniMap(ctx, g.building, g.activeRoomId);
+  };
+
+  const drawBoss = (ctx, boss, bx, by, theme) => {
+    const cx = bx + boss.w / 2; const cy = by + boss.h / 2;
+
+    // Telegraph: show where the next attack lands, filling up as it gets closer
+    if (boss.state === 'TELEGRAPH' && boss.attack) {
+        const progress = 1 - boss.timer / boss.attack.duration;
+        ctx.fillStyle = COLORS.telegraph;
+        ctx.strokeStyle = COLORS.bossBar; ctx.lineWidth = 2;
+        if (boss.attack.type === 'slam') {
+            ctx.beginPath(); ctx.arc(cx, cy, BOSS_SLAM_RADIUS, 0, Math.PI * 2); ctx.stroke();
+            ctx.beginPath(); ctx.arc(cx, cy, BOSS_SLAM_RADIUS * progress, 0, Math.PI * 2); ctx.fill();
+        } else if (boss.attack.type === 'charge') {
+            ctx.save();
+            ctx.translate(cx, cy); ctx.rotate(boss.attack.angle);
+            ctx.strokeRect(0, -boss.h / 2, 300, boss.h);
+            ctx.fillRect(0, -boss.h / 2, 300 * progress, boss.h);
+            ctx.restore();
+        } else if (boss.attack.type === 'summon') {
+            [-1, 1].forEach(side => {
+                ctx.beginPath(); ctx.arc(cx + side * boss.w, cy, 16 + 8 * progress, 0, Math.PI * 2); ctx.fill();
+            });
+        }
+        ctx.lineWidth = 1;
+    }
+
+    const bossImg = getThemeAsset('boss', theme) || getThemeAsset('enemy', theme);
+    if (bossImg) {
+        const frameW = bossImg.width / 4; const frameH = bossImg.height;
+        ctx.drawImage(bossImg, boss.frameIndex * frameW, 0, frameW, frameH, bx, by, boss.w, boss.h);
+    } else {
+        ctx.fillStyle = boss.color;
+        ctx.beginPath(); ctx.arc(cx, cy, boss.w / 2 - 2, 0, Math.PI * 2); ctx.fill();
+        ctx.fillStyle = COLORS.bossBar;
+        ctx.fillRect(cx - 14, cy - 10, 8, 8); ctx.fillRect(cx + 6, cy - 10, 8, 8);
+    }
+    if (boss.state === 'CHARGING') {
+        ctx.strokeStyle = '#fff'; ctx.lineWidth = 3;
+        ctx.beginPath(); ctx.arc(cx, cy, boss.w / 2 + 2, 0, Math.PI * 2); ctx.stroke();
+        ctx.lineWidth = 1;
+    }
+  };
+
+  // Padlock over a door (or a minimap link) of the given size
+  const drawLock = (ctx, x, y, size) => {
+    ctx.fillStyle = 'rgba(0,0,0,0.5)'; ctx.fillRect(x, y, size, size);
+    ctx.strokeStyle = COLORS.doorKey; ctx.fillStyle = COLORS.doorKey; ctx.lineWidth = Math.max(1, size / 12);
+    ctx.beginPath(); ctx.arc(x + size / 2, y + size * 0.42, size * 0.16, Math.PI, 0); ctx.stroke();
+    ctx.fillRect(x + size * 0.28, y + size * 0.42, size * 0.44, size * 0.34);
+    ctx.lineWidth = 1;
   };
 
   const drawMiniMap = (ctx, building, activeRoomId) => {
+    // Secret rooms stay off the map until their wall is blown open
+    const rooms = building.rooms.filter(r => r.type !== 'secret' || r.explored || r.doors.some(d => !d.hidden));
     let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
-    building.rooms.forEach(r => { if(r.x < minX) minX = r.x; if(r.x > maxX) maxX = r.x; if(r.y < minY) minY = r.y; if(r.y > maxY) maxY = r.y; });
+    rooms.forEach(r => { if(r.x < minX) minX = r.x; if(r.x + r.cw - 1 > maxX) maxX = r.x + r.cw - 1; if(r.y < minY) minY = r.y; if(r.y + r.ch - 1 > maxY) maxY = r.y + r.ch - 1; });
     const mapScale = 16; const gap = 8; const padding = 10;
     const mapW = (maxX - minX + 1) * (mapScale + gap) - gap; const mapH = (maxY - minY + 1) * (mapScale + gap) - gap;
     const startX = ctx.canvas.width - mapW - 20 - padding * 2; const startY = 20;
     ctx.fillStyle = COLORS.minimapBg; ctx.fillRect(startX, startY, mapW + padding * 2, mapH + padding * 2);
     const getPos = (rx, ry) => ({ x: startX + padding + (rx - minX) * (mapScale + gap), y: startY + padding + (ry - minY) * (mapScale + gap) });
+    // Links run between the centers of the two map cells a door joins
+    const OFFSETS = { top: { x: 0, y: -1 }, right: { x: 1, y: 0 }, bottom: { x: 0, y: 1 }, left: { x: -1, y: 0 } };
+    const links = rooms.flatMap(r => r.doors.filter(d => !d.hidden && d.to > r.id).map(d => {
+        const p1 = getPos(d.cell.x, d.cell.y); const p2 = getPos(d.cell.x + OFFSETS[d.side].x, d.cell.y + OFFSETS[d.side].y);
+        return { door: d, x1: p1.x + mapScale/2, y1: p1.y + mapScale/2, x2: p2.x + mapScale/2, y2: p2.y + mapScale/2 };
+    }));
     ctx.strokeStyle = '#666'; ctx.lineWidth = 2;
-    building.rooms.forEach(r => {
-        const p1 = getPos(r.x, r.y); const center1 = { x: p1.x + mapScale/2, y: p1.y + mapScale/2 };
-        Object.entries(r.doors).forEach(([dir, neighborId]) => {
-            if (neighborId !== null) {
-                const neighbor = building.rooms.find(n => n.id === neighborId);
-                if (neighbor) {
-                    const p2 = getPos(neighbor.x, neighbor.y);
-                    ctx.beginPath(); ctx.moveTo(center1.x, center1.y); ctx.lineTo(p2.x + mapScale/2, p2.y + mapScale/2); ctx.stroke();
-                }
-            }
-        });
-    });
-    building.rooms.forEach(r => {
+    links.forEach(l => { ctx.beginPath(); ctx.moveTo(l.x1, l.y1); ctx.lineTo(l.x2, l.y2); ctx.stroke(); });
+    rooms.forEach(r => {
         const p = getPos(r.x, r.y);
+        const w = r.cw * (mapScale + gap) - gap; const h = r.ch * (mapScale + gap) - gap;
         if (r.id === activeRoomId) ctx.fillStyle = COLORS.minimapActive;
         else if (r.explored) ctx.fillStyle = COLORS.minimapExplored;
         else ctx.fillStyle = COLORS.minimapRoom;
-        ctx.fillRect(p.x, p.y, mapScale, mapScale);
-        if (r.type === 'boss') { ctx.strokeStyle = COLORS.minimapBoss; ctx.lineWidth = 2; ctx.strokeRect(p.x, p.y, mapScale, mapScale); }
-        if (r.items && r.items.length > 0) { ctx.fillStyle = COLORS.minimapItem; ctx.beginPath(); ctx.arc(p.x + mapScale/2, p.y + mapScale/2, 3, 0, Math.PI*2); ctx.fill(); }
+        ctx.fillRect(p.x, p.y, w, h);
+        if (r.type === 'boss') { ctx.strokeStyle = COLORS.minimapBoss; ctx.lineWidth = 2; ctx.strokeRect(p.x, p.y, w, h); }
+        if (r.items && r.items.length > 0) { ctx.fillStyle = COLORS.minimapItem; ctx.beginPath(); ctx.arc(p.x + w/2, p.y + h/2, 3, 0, Math.PI*2); ctx.fill(); }
     });
+    // Locks sit on the link between the two rooms
+    links.filter(l => l.door.lockId !== null).forEach(l => drawLock(ctx, (l.x1 + l.x2) / 2 - 5, (l.y1 + l.y2) / 2 - 5, 10));
   };
 
-  const tick = useCallback((time) => {
-    const dt = time - gameData.current.lastTime; gameData.current.lastTime = time; update(dt);
+  // Runs once per animation frame; an effect event so it always sees the latest state.
+  // The simulation advances in fixed STEP_MS steps from an accumulator, so game speed
+  // doesn't depend on the display refresh rate; rendering interpolates between steps.
+  const tick = useEffectEvent((time) => {
+    const g = gameData.current;
+    const lastTime = lastFrameTimeRef.current ?? time;
+    lastFrameTimeRef.current = time;
+    // Clamp long gaps (background tab, debugger) instead of fast-forwarding through them
+    const frameMs = Math.min(time - lastTime, MAX_FRAME_MS);
+
+    let alpha = 1;
+    if (g && gameState === 'PLAYING' && !paused) {
+        accumulatorRef.current += frameMs;
+        const events = [];
+        while (accumulatorRef.current >= STEP_MS) {
+            accumulatorRef.current -= STEP_MS;
+            if (g.mode !== 'PLAYING') continue;
+            const input = quantizeInput(inputRef.current);
+            if (recordingRef.current) recordInput(recordingRef.current, input);
+            events.push(...step(g, input));
+        }
+        if (events.length > 0) handleEvents(events);
+        else if (Object.keys(g.playerStats.buffs).length > 0 || g.player.abilityCooldown > 0) syncRun(); // Keep the buff and cooldown timers ticking
+        alpha = accumulatorRef.current / STEP_MS;
+    } else if (gameState === 'REPLAY' && !replayPaused) {
+        accumulatorRef.current += frameMs * replaySpeed;
+        const steps = Math.floor(accumulatorRef.current / STEP_MS);
+        accumulatorRef.current -= steps * STEP_MS;
+        if (steps > 0) advanceReplayFrames(steps);
+        alpha = accumulatorRef.current / STEP_MS;
+    } else {
+        accumulatorRef.current = 0;
+    }
     const canvas = canvasRef.current;
     if (canvas) {
-        const g = gameData.current;
-        const currentRoom = g.building ? g.building.rooms.find(r => r.id === activeRoomId) : null;
+        const currentRoom = g ? getActiveRoom(g) : null;
         if (currentRoom) {
             if (canvas.width !== currentRoom.width * TILE_SIZE || canvas.height !== currentRoom.height * TILE_SIZE) {
                 canvas.width = currentRoom.width * TILE_SIZE; canvas.height = currentRoom.height * TILE_SIZE;
             }
         }
-        const ctx = canvas.getContext('2d'); ctx.imageSmoothingEnabled = false; draw(ctx);
+        const ctx = canvas.getContext('2d'); ctx.imageSmoothingEnabled = false; draw(ctx, alpha);
     }
-    requestRef.current = requestAnimationFrame(tick);
-  }, [gameState, activeRoomId, currentBuildingId]); 
+  });
 
-  useEffect(() => { requestRef.current = requestAnimationFrame(tick); return () => cancelAnimationFrame(requestRef.current); }, [tick]);
+  useEffect(() => {
+    const loop = (time) => { tick(time); requestRef.current = requestAnimationFrame(loop); };
+    requestRef.current = requestAnimationFrame(loop);
+    return () => cancelAnimationFrame(requestRef.current);
+  }, []);
+
+  const togglePause = useEffectEvent(() => {
+    if (gameState === 'PLAYING') setPaused(p => !p);
+  });
 
   useEffect(() => {
     const handleKeyDown = (e) => {
         const k = e.key;
-        if (k === 'ArrowUp' || k === 'w') gameData.current.input.y = -1;
-        if (k === 'ArrowDown' || k === 's') gameData.current.input.y = 1;
-        if (k === 'ArrowLeft' || k === 'a') gameData.current.input.x = -1;
-        if (k === 'ArrowRight' || k === 'd') gameData.current.input.x = 1;
-        if (k === ' ' || k === 'Enter') gameData.current.input.fire = true;
-        if (k === 'Shift' || k === 'b' || k === 'e') gameData.current.input.bomb = true;
+        if (k === 'Escape' || k === 'p' || k === 'i') { togglePause(); return; }
+        if (k === 'ArrowUp' || k === 'w') inputRef.current.y = -1;
+        if (k === 'ArrowDown' || k === 's') inputRef.current.y = 1;
+        if (k === 'ArrowLeft' || k === 'a') inputRef.current.x = -1;
+        if (k === 'ArrowRight' || k === 'd') inputRef.current.x = 1;
+        if (k === ' ' || k === 'Enter') inputRef.current.fire = true;
+        if (k === 'Shift' || k === 'b' || k === 'e') inputRef.current.bomb = true;
+        if (k === 'q') inputRef.current.use = true;
     };
     const handleKeyUp = (e) => {
         const k = e.key;
-        if ((k === 'ArrowUp' || k === 'w') && gameData.current.input.y === -1) gameData.current.input.y = 0;
-        if ((k === 'ArrowDown' || k === 's') && gameData.current.input.y === 1) gameData.current.input.y = 0;
-        if ((k === 'ArrowLeft' || k === 'a') && gameData.current.input.x === -1) gameData.current.input.x = 0;
-        if ((k === 'ArrowRight' || k === 'd') && gameData.current.input.x === 1) gameData.current.input.x = 0;
-        if (k === ' ' || k === 'Enter') gameData.current.input.fire = false;
-        if (k === 'Shift' || k === 'b' || k === 'e') gameData.current.input.bomb = false;
+        if ((k === 'ArrowUp' || k === 'w') && inputRef.current.y === -1) inputRef.current.y = 0;
+        if ((k === 'ArrowDown' || k === 's') && inputRef.current.y === 1) inputRef.current.y = 0;
+        if ((k === 'ArrowLeft' || k === 'a') && inputRef.current.x === -1) inputRef.current.x = 0;
+        if ((k === 'ArrowRight' || k === 'd') && inputRef.current.x === 1) inputRef.current.x = 0;
+        if (k === ' ' || k === 'Enter') inputRef.current.fire = false;
+        if (k === 'Shift' || k === 'b' || k === 'e') inputRef.current.bomb = false;
+        if (k === 'q') inputRef.current.use = false;
     };
     window.addEventListener('keydown', handleKeyDown); window.addEventListener('keyup', handleKeyUp);
     return () => { window.removeEventListener('keydown', handleKeyDown); window.removeEventListener('keyup', handleKeyUp); };
   }, []);
 
-  const handleJoystick = ({ x, y }) => { const tx = Math.abs(x) < 0.1 ? 0 : x; const ty = Math.abs(y) < 0.1 ? 0 : y; gameData.current.input.x = tx; gameData.current.input.y = ty; };
-  const handleFireBtn = (active) => { gameData.current.input.fire = active; };
-  const handleBombBtn = (active) => { gameData.current.input.bomb = active; };
+  const handleJoystick = ({ x, y }) => { const tx = Math.abs(x) < 0.1 ? 0 : x; const ty = Math.abs(y) < 0.1 ? 0 : y; inputRef.current.x = tx; inputRef.current.y = ty; };
+  const handleFireBtn = (active) => { inputRef.current.fire = active; };
+  const handleAbilityBtn = (active) => { inputRef.current.bomb = active; };
+  const handleUseBtn = (active) => { inputRef.current.use = active; };
 
   // --- ENDING SEQUENCE ---
-  const getEndingContent = () => {
-      const hiddenCleared = worldMap.find(b => b.id === HIDDEN_BUILDING_ID)?.cleared;
-      const allFiles = playerStats.files >= 5;
-      const hasKey = playerStats.keys > 0;
-
-      // Page 1: Base Escape (Always shown first)
-      if (endingPage === 0) {
-          return {
-              title: hasKey ? "Escaped Together" : "Escaped Alone",
-              text: hasKey 
-                  ? "You find your friend on the dockyard, you have the key, and you released your friends. Together, you successfully escaped." 
-                  : "You find the boat to leave the island, your friend is locked in a cage on the dockyard. Your friend tried to make noise to attract the focus of the guards and you successfully escaped.",
-              next: hiddenCleared
-          };
-      }
-      
-      // Page 2: Hidden Level (Only if hidden cleared)
-      if (endingPage === 1 && hiddenCleared) {
-          return {
-              title: "Savior",
-              text: "By clearing the hidden dungeon, you released all the trapped kids!",
-              next: true // Go to page 3 logic
-          };
-      }
-
-      // Page 3: Truth (Always shown)
-      // Note: Logic allows skipping Page 2 if not cleared
-      if ((endingPage === 2 && hiddenCleared) || (endingPage === 1 && !hiddenCleared)) {
-          return {
-              title: allFiles ? "Truth Exposed" : "Island Remains",
-              text: allFiles
-                  ? "With the collected files, you exposed the island to the media. Police raid incoming!"
-                  : "You survived, but without evidence, the island's dark experiments continue.",
-              next: hiddenCleared && allFiles // Only go to page 4 if BOTH conditions met
-          };
-      }
-
-      // Page 4: Nobel Prize (Ultimate ending)
-      if (hiddenCleared && allFiles) {
-          return {
-              title: "Nobel Peace Prize",
-              text: "Your extraordinary bravery and complete exposure of the operation earned you the Nobel Peace Prize!",
-              next: false
-          };
-      }
-
-      return null;
-  };
-
   const renderEnding = () => {
-      const content = getEndingContent();
-      if (!content) return null;
+      if (!ending) return null;
+      const id = ending.path[endingPage];
+      if (!id) return null;
+      const hasNext = endingPage < ending.path.length - 1;
 
       return (
         <div className="absolute inset-0 flex flex-col items-center justify-center bg-black/95 z-50 text-center px-8">
-            <h2 className="text-5xl font-bold text-yellow-400 mb-6">{content.title}</h2>
-            <p className="text-2xl text-white mb-12 max-w-3xl leading-relaxed">{content.text}</p>
+            <h2 className="text-5xl font-bold text-yellow-400 mb-6">{ENDING_PAGES[id].title}</h2>
+            <p className="text-2xl text-white mb-12 max-w-3xl leading-relaxed">{getEndingText(id, ending.ctx)}</p>
             <button 
-                onClick={() => {
-                    if (content.next) {
-                        setEndingPage(prev => prev + (endingPage === 1 && !worldMap.find(b => b.id === HIDDEN_BUILDING_ID)?.cleared ? 2 : 1)); // Skip p2 if needed logic is handled in getEndingContent roughly but state needs increment
-                        // Actually easier: just increment, let getEndingContent handle the logic mapping based on current index?
-                        // My getEndingContent logic uses specific indices.
-                        // Let's simple increment state, but handle skipping inside the render logic call
-                        let nextVal = endingPage + 1;
-                        const hiddenCleared = worldMap.find(b => b.id === HIDDEN_BUILDING_ID)?.cleared;
-                        if (endingPage === 0 && !hiddenCleared) nextVal = 2; // Skip to page 3 (Truth) logic index
-                        setEndingPage(nextVal);
-                    } else {
-                        setGameState('START');
-                    }
-                }}
+                onClick={() => hasNext ? setEndingPage(endingPage + 1) : setGameState('SUMMARY')}
                 className="px-8 py-4 bg-white text-black font-bold rounded-full hover:bg-gray-200 flex items-center gap-2"
             >
-                {content.next ? <><ArrowRight /> Next</> : <><RotateCcw /> Return to Title</>}
+                <ArrowRight /> {hasNext ? 'Next' : 'Run Summary'}
             </button>
+            {!hasNext && hasRecording && (
+                <button onClick={exportReplay} className="mt-4 px-5 py-2 bg-white/10 hover:bg-white/20 rounded-full flex items-center gap-2 text-sm"><Download size={16} /> Export Replay</button>
+            )}
         </div>
       );
   };
 
+  // The run character's ability and how far its cooldown has recovered (0..1), for the HUD
+  const ability = runChar ? getAbility(runChar) : null;
+  const abilityReady = ability ? 1 - abilityCooldown / ability.cooldown : 0;
+
+  // Route map layout and the shop being browsed, for the MAP screen
+  const { visible, byId, width, height, pos } = layoutRouteMap(worldMap);
+  const hiddenNode = visible.find(b => b.id === HIDDEN_BUILDING_ID);
+  const shopNode = shopNodeId !== null ? worldMap.find(b => b.id === shopNodeId) : null;
+
   return (
     <div className="w-full h-screen bg-slate-900 overflow-hidden relative select-none touch-none text-white font-sans">
       <canvas ref={canvasRef} className="absolute top-1/2 left-1/2 transform -translate-x-1/2 -translate-y-1/2 bg-black shadow-2xl" style={{ maxWidth: '100%', maxHeight: '100%', width: 'auto', height: 'auto', imageRendering: 'pixelated' }} />
@@ -1351,21 +1040,57 @@ export default function App() {
       {gameState === 'START' && (
         <div className="absolute inset-0 flex flex-col items-center justify-center bg-cover bg-center z-50 text-center px-4" 
              style={{
-                 backgroundImage: assets.current['bg_start'] ? `url(${assets.current['bg_start'].toDataURL()})` : 'none', 
+                 backgroundImage: startBgUrl ? `url(${startBgUrl})` : 'none', 
                  backgroundColor: '#2c3e50'
              }}>
             <div className="bg-black/60 p-8 rounded-2xl backdrop-blur-md max-w-2xl w-full">
                 <h1 className="text-5xl md:text-7xl font-black mb-6 text-yellow-400 tracking-wider drop-shadow-lg">ESCAPE THE ISLAND</h1>
-                {highScore > 0 && <div className="flex items-center justify-center gap-2 text-yellow-200 mb-8 text-xl font-bold bg-white/10 py-2 rounded-lg"><Trophy className="text-yellow-400" /> High Score: {highScore}</div>}
+                {highScore > 0 && <div className="flex items-center justify-center gap-2 text-yellow-200 mb-8 text-xl font-bold bg-white/10 py-2 rounded-lg"><Trophy className="text-yellow-400" /> High Score: {highScore} <span className="text-sm text-yellow-100/70">({DIFFICULTY_PROFILES[highScoreDifficulty]?.name})</span></div>}
                 <div className="bg-gray-800/80 p-6 rounded-xl text-left mb-8 border border-gray-600">
                     <h3 className="text-xl font-bold text-white mb-2 flex items-center gap-2"><Info size={20} /> How to Play</h3>
                     <ul className="space-y-2 text-gray-300 text-sm">
                         <li>• <strong>Move:</strong> WASD / Arrow Keys (Desktop) or Left Joystick (Mobile)</li>
                         <li>• <strong>Shoot:</strong> Spacebar / Enter (Desktop) or Right Button (Mobile)</li>
-                        <li>• <strong>Bomb:</strong> Shift / B (Desktop) or Top Button (Mobile). Clears room!</li>
+                        <li>• <strong>Ability:</strong> Shift / B (Desktop) or Top Button (Mobile). Every hero has their own!</li>
                         <li>• <strong>Goal:</strong> Find the exit door in each building. Survive 6 levels.</li>
                     </ul>
                 </div>
+                {savedRun && (
+                    <button onClick={continueGame} className="w-full mb-4 px-8 py-4 bg-white/10 hover:bg-white/20 border-2 border-yellow-500 text-yellow-300 font-bold text-xl rounded-xl flex items-center justify-center gap-3 transition-all">
+                        <ArrowRight size={28} /> CONTINUE
+                        <span className="text-sm font-normal text-gray-300">
+                            ({CHARACTERS.find(c => c.id === savedRun.charId).name} · Score {savedRun.playerStats.score})
+                        </span>
+                    </button>
+                )}
+                <button onClick={() => replayFileRef.current.click()} className="w-full mb-4 px-8 py-3 bg-white/5 hover:bg-white/15 border border-gray-500 text-gray-200 font-bold rounded-xl flex items-center justify-center gap-3 transition-all">
+                    <Film size={22} /> WATCH REPLAY
+                </button>
+                <button onClick={() => setGalleryOpen(true)} className="w-full mb-4 px-8 py-3 bg-white/5 hover:bg-white/15 border border-gray-500 text-gray-200 font-bold rounded-xl flex items-center justify-center gap-3 transition-all">
+                    <Trophy size={22} /> ENDINGS {unlockedEndings.length}/{Object.keys(ENDING_PAGES).length}
+                </button>
+                <button onClick={() => setLeaderboardOpen(true)} className="w-full mb-4 px-8 py-3 bg-white/5 hover:bg-white/15 border border-gray-500 text-gray-200 font-bold rounded-xl flex items-center justify-center gap-3 transition-all">
+                    <ListOrdered size={22} /> LEADERBOARD
+                </button>
+                <div className="bg-gray-800/80 p-4 rounded-xl mb-4 border border-gray-600 text-left">
+                    <h3 className="text-sm font-bold text-gray-300 uppercase tracking-widest mb-3 flex items-center gap-2">
+                        <Trophy size={16} className="text-yellow-400" /> Achievements {unlockedAchievements.length}/{Object.keys(ACHIEVEMENTS).length}
+                    </h3>
+                    <div className="grid grid-cols-4 sm:grid-cols-6 gap-2">
+                        {Object.entries(ACHIEVEMENTS).map(([id, a]) => {
+                            const unlocked = unlockedAchievements.includes(id);
+                            return (
+                                <div key={id} title={`${a.title}: ${a.description}`}
+                                    className={`flex flex-col items-center gap-1 p-2 rounded-lg border text-center ${unlocked ? 'bg-yellow-500/10 border-yellow-600 text-yellow-300' : 'bg-white/5 border-gray-700 text-gray-500'}`}>
+                                    {unlocked ? <RegistryIcon name={a.icon} size={22} /> : <Lock size={22} />}
+                                    <span className="text-[10px] leading-tight">{unlocked ? a.title : '???'}</span>
+                                </div>
+                            );
+                        })}
+                    </div>
+                </div>
+                <input ref={replayFileRef} type="file" accept="application/json,.json" className="hidden" onChange={importReplay} />
+                {replayError && <div className="text-red-400 text-sm mb-4">{replayError}</div>}
                 <button onClick={initGameSession} className="w-full px-8 py-5 bg-gradient-to-r from-yellow-600 to-yellow-500 hover:from-yellow-500 hover:to-yellow-400 text-black font-black text-2xl rounded-xl shadow-lg transform transition-all hover:scale-105 active:scale-95 flex items-center justify-center gap-3">
                     <Play fill="black" size={32} /> START NEW GAME
                 </button>
@@ -1373,57 +1098,247 @@ export default function App() {
         </div>
       )}
 
+      {gameState === 'START' && galleryOpen && (
+        <div className="absolute inset-0 z-50 flex items-center justify-center bg-black/80 backdrop-blur-sm p-4">
+            <div className="w-full max-w-3xl max-h-full overflow-y-auto bg-slate-900 border border-gray-600 rounded-xl p-6">
+                <div className="flex items-center justify-between mb-4">
+                    <h2 className="text-2xl font-bold flex items-center gap-2"><Trophy size={24} className="text-yellow-400" /> Ending Gallery</h2>
+                    <button onClick={() => setGalleryOpen(false)} className="p-2 rounded-full hover:bg-white/20" title="Close"><X size={20} /></button>
+                </div>
+                <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+                    {Object.entries(ENDING_PAGES).map(([id, page]) => unlockedEndings.includes(id) ? (
+                        <div key={id} className="p-4 rounded-lg bg-yellow-500/10 border border-yellow-600">
+                            <div className="font-bold text-yellow-300">{page.title}</div>
+                            <div className="text-xs text-gray-400 mt-1">{page.hint}</div>
+                        </div>
+                    ) : (
+                        <div key={id} className="p-4 rounded-lg bg-white/5 border border-gray-700 text-gray-500">
+                            <div className="font-bold flex items-center gap-2"><Lock size={14} /> ???</div>
+                            <div className="text-xs mt-1">{page.hint}</div>
+                        </div>
+                    ))}
+                </div>
+            </div>
+        </div>
+      )}
+
+      {(gameState === 'START' || gameState === 'GAMEOVER') && leaderboardOpen && (
+        <div className="absolute inset-0 z-50 flex items-center justify-center bg-black/80 backdrop-blur-sm p-4">
+            <div className="w-full max-w-4xl max-h-full overflow-y-auto bg-slate-900 border border-gray-600 rounded-xl p-6">
+                <div className="flex items-center justify-between mb-4">
+                    <h2 className="text-2xl font-bold flex items-center gap-2"><ListOrdered size={24} className="text-yellow-400" /> Leaderboard</h2>
+                    <div className="flex items-center gap-2">
+                        <button onClick={exportLeaderboard} disabled={leaderboard.length === 0} className="px-3 py-1 rounded-full bg-white/10 hover:bg-white/20 disabled:opacity-40 flex items-center gap-1 text-sm"><Download size={14} /> Export</button>
+                        <button onClick={() => leaderboardFileRef.current.click()} className="px-3 py-1 rounded-full bg-white/10 hover:bg-white/20 flex items-center gap-1 text-sm"><Upload size={14} /> Import</button>
+                        <button onClick={() => setLeaderboardOpen(false)} className="p-2 rounded-full hover:bg-white/20" title="Close"><X size={20} /></button>
+                    </div>
+                </div>
+                <input ref={leaderboardFileRef} type="file" accept="application/json,.json" className="hidden" onChange={mergeLeaderboard} />
+                {leaderboardError && <div className="text-red-400 text-sm mb-3">{leaderboardError}</div>}
+                <div className="flex flex-wrap gap-2 mb-4">
+                    {[null, ...CHARACTERS.map(c => c.id)].map(id => (
+                        <button key={id || 'all'} onClick={() => setLeaderboardChar(id)}
+                            className={`px-3 py-1 rounded-full text-sm border ${leaderboardChar === id ? 'bg-yellow-400 text-black border-yellow-400 font-bold' : 'border-gray-600 text-gray-300 hover:bg-white/10'}`}>
+                            {id ? CHARACTERS.find(c => c.id === id).name : 'All'}
+                        </button>
+                    ))}
+                </div>
+                {(() => {
+                    const rows = leaderboard.filter(e => !leaderboardChar || e.charId === leaderboardChar);
+                    if (rows.length === 0) return <p className="text-gray-400 text-center py-8">No runs yet. Finish one to get on the board!</p>;
+                    return (
+                        <table className="w-full text-sm text-left">
+                            <thead className="text-xs uppercase text-gray-400 border-b border-gray-700">
+                                <tr><th className="py-2 pr-2">#</th><th className="pr-2">Score</th><th className="pr-2">Character</th><th className="pr-2">Difficulty</th><th className="pr-2">Cleared</th><th className="pr-2">Files / Keys</th><th className="pr-2">Ending</th><th className="pr-2">Time in Buildings</th><th className="pr-2">Seed</th><th>Date</th></tr>
+                            </thead>
+                            <tbody>
+                                {rows.map((e, i) => (
+                                    <tr key={`${e.date}-${e.seed}-${e.charId}-${e.score}`} className={`border-b border-gray-800 ${e === lastEntry ? 'bg-yellow-500/15 text-yellow-200' : ''}`}>
+                                        <td className="py-2 pr-2 font-bold">{i + 1}</td>
+                                        <td className="pr-2 font-mono">{e.score}</td>
+                                        <td className="pr-2">{CHARACTERS.find(c => c.id === e.charId).name}</td>
+                                        <td className="pr-2">{DIFFICULTY_PROFILES[e.difficultyId].name}</td>
+                                        <td className="pr-2">{e.buildingsCleared}</td>
+                                        <td className="pr-2">{e.files} / {e.keys}</td>
+                                        <td className="pr-2">{e.ending ? ENDING_PAGES[e.ending].title : <span className="text-red-300">Fell</span>}</td>
+                                        <td className="pr-2 font-mono">{formatDuration(e.durationMs)}</td>
+                                        <td className="pr-2 font-mono select-all">{seedToCode(e.seed)}</td>
+                                        <td className="text-gray-400">{new Date(e.date).toLocaleDateString()}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    );
+                })()}
+            </div>
+        </div>
+      )}
+
       {/* --- HUD --- */}
-      {gameState === 'PLAYING' && (
+      {(gameState === 'PLAYING' || gameState === 'REPLAY') && (
         <>
             <div className="absolute top-4 left-4 flex flex-col gap-2">
                 <div className="flex gap-1">
                     {Array.from({length: playerStats.maxHp}).map((_, i) => (
-                        <Pizza key={i} size={24} fill={i < playerStats.hp ? COLORS.pizza : "none"} className={i < playerStats.hp ? "text-orange-500" : "text-gray-600"} />
+                        <RegistryIcon name={ITEMS.pizza.icon} key={i} size={24} fill={i < playerStats.hp ? COLORS.pizza : "none"} className={i < playerStats.hp ? "text-orange-500" : "text-gray-600"} />
                     ))}
                 </div>
                 <div className="flex gap-1">
                     {Array.from({length: playerStats.maxMp}).map((_, i) => (
-                        <Grape key={i} size={24} fill={i < playerStats.mp ? COLORS.soda : "none"} className={i < playerStats.mp ? "text-purple-500" : "text-gray-600"} />
+                        <RegistryIcon name={ITEMS.soda.icon} key={i} size={24} fill={i < playerStats.mp ? COLORS.soda : "none"} className={i < playerStats.mp ? "text-purple-500" : "text-gray-600"} />
                     ))}
                 </div>
+                {Object.entries(playerStats.buffs).map(([id, steps]) => BUFFS[id] && (
+                    <div key={id} className="flex items-center gap-1 text-xs font-bold" style={{ color: BUFFS[id].color }}>
+                        <RegistryIcon name={BUFFS[id].icon} size={16} /> {BUFFS[id].label}{!BUFFS[id].breaksOnHit && ` ${Math.ceil(steps * STEP_MS / 1000)}s`}
+                    </div>
+                ))}
             </div>
-            <div className="absolute top-4 right-4 text-xl font-bold text-yellow-400">Score: {playerStats.score}</div>
+            <div className="absolute top-4 right-4 flex items-center gap-3">
+                <span className="text-xl font-bold text-yellow-400">Score: {playerStats.score}</span>
+                {gameState === 'PLAYING' && <button onClick={() => setPaused(p => !p)} className="p-2 rounded-full bg-black/50 hover:bg-black/70 text-white" title="Pause / Inventory"><Backpack size={20} /></button>}
+            </div>
+            {bossHud && (
+                <div className="absolute top-4 left-1/2 -translate-x-1/2 w-80 max-w-[60%] text-center">
+                    <div className="text-sm font-bold text-red-300 uppercase tracking-widest mb-1">{bossHud.name}{bossHud.phase > 0 && ` · Phase ${bossHud.phase + 1}`}</div>
+                    <div className="h-3 bg-black/60 rounded-full border border-red-900 overflow-hidden">
+                        <div className="h-full transition-all" style={{ width: `${(bossHud.hp / bossHud.maxHp) * 100}%`, background: COLORS.bossBar }} />
+                    </div>
+                </div>
+            )}
             <div className="absolute bottom-4 left-4 flex flex-col gap-1 bg-black/50 p-2 rounded text-white text-xs">
-                <div className="flex items-center gap-1"><Wind size={14} /> Speed: {playerStats.speed}</div>
-                <div className="flex items-center gap-1"><Briefcase size={14} /> Power: {playerStats.damage}</div>
-                <div className="flex items-center gap-1"><Key size={14} /> Keys: {playerStats.keys}</div>
-                <div className="flex items-center gap-1"><FileText size={14} /> Files: {playerStats.files}/5</div>
+                <div className="flex items-center gap-1"><RegistryIcon name={ITEMS.rollerSkates.icon} size={14} /> Speed: {playerStats.speed}</div>
+                <div className="flex items-center gap-1"><RegistryIcon name={ITEMS.cookieBag.icon} size={14} /> Power: {playerStats.damage}</div>
+                <div className="flex items-center gap-1"><RegistryIcon name={ITEMS.key.icon} size={14} /> Keys: {playerStats.keys}</div>
+                {playerStats.doorKeys.length > 0 && <div className="flex items-center gap-1" style={{ color: ITEMS.doorKey.color }}><RegistryIcon name={ITEMS.doorKey.icon} size={14} /> Door Keys: {playerStats.doorKeys.length}</div>}
+                <div className="flex items-center gap-1"><RegistryIcon name={ITEMS.file.icon} size={14} /> Files: {playerStats.files}/{ITEMS.file.limit}</div>
+                <div className="flex items-center gap-1" style={{ color: ITEMS.coin.color }}><RegistryIcon name={ITEMS.coin.icon} size={14} /> Coins: {playerStats.coins}</div>
+                {ability && (
+                    <div className="flex items-center gap-1" style={{ color: ability.color }}>
+                        <RegistryIcon name={ability.icon} size={14} /> {ability.name}
+                        <div className="w-12 h-1.5 bg-gray-700 rounded overflow-hidden"><div className="h-full" style={{ width: `${abilityReady * 100}%`, background: ability.color }} /></div>
+                    </div>
+                )}
+                {playerStats.activeItem && <div className="flex items-center gap-1 font-bold" style={{ color: ITEMS[playerStats.activeItem].color }}><RegistryIcon name={ITEMS[playerStats.activeItem].icon} size={14} /> {ITEMS[playerStats.activeItem].name} (Q)</div>}
             </div>
+            {gameState === 'PLAYING' && <>
             <div className="lg:hidden">
                 <VirtualJoystick onMove={handleJoystick} />
-                <div className="absolute bottom-10 right-10 flex gap-4">
-                    <button className={`w-20 h-20 rounded-full border-4 flex items-center justify-center backdrop-blur-sm ${playerStats.mp >= BOMB_COST ? 'bg-purple-500/50 border-purple-400 active:bg-purple-500/80' : 'bg-gray-700/50 border-gray-600 grayscale'}`} onTouchStart={() => handleBombBtn(true)} onTouchEnd={() => handleBombBtn(false)} onMouseDown={() => handleBombBtn(true)} onMouseUp={() => handleBombBtn(false)}><Bomb size={32} /></button>
+                <div className="absolute bottom-10 right-10 flex gap-4 items-end">
+                    <button className={`w-16 h-16 rounded-full border-4 flex items-center justify-center backdrop-blur-sm ${playerStats.activeItem ? 'bg-sky-500/50 border-sky-300 active:bg-sky-500/80' : 'bg-gray-700/50 border-gray-600 grayscale'}`} onTouchStart={() => handleUseBtn(true)} onTouchEnd={() => handleUseBtn(false)} onMouseDown={() => handleUseBtn(true)} onMouseUp={() => handleUseBtn(false)}>{playerStats.activeItem ? <RegistryIcon name={ITEMS[playerStats.activeItem].icon} size={28} /> : <Backpack size={28} />}</button>
+                    <button className={`relative overflow-hidden w-20 h-20 rounded-full border-4 flex items-center justify-center backdrop-blur-sm ${playerStats.mp >= ability.cost && abilityCooldown === 0 ? 'bg-purple-500/50 border-purple-400 active:bg-purple-500/80' : 'bg-gray-700/50 border-gray-600 grayscale'}`} onTouchStart={() => handleAbilityBtn(true)} onTouchEnd={() => handleAbilityBtn(false)} onMouseDown={() => handleAbilityBtn(true)} onMouseUp={() => handleAbilityBtn(false)}>
+                        {/* Cooldown sweep, shrinking clockwise as the ability recharges */}
+                        {abilityCooldown > 0 && <div className="absolute inset-0" style={{ background: `conic-gradient(rgba(0,0,0,0.6) ${(1 - abilityReady) * 360}deg, transparent 0)` }} />}
+                        <RegistryIcon name={ability.icon} size={32} className="relative" />
+                    </button>
                     <button className="w-24 h-24 rounded-full bg-red-500/50 border-4 border-red-400 active:bg-red-500/80 flex items-center justify-center backdrop-blur-sm" onTouchStart={() => handleFireBtn(true)} onTouchEnd={() => handleFireBtn(false)} onMouseDown={() => handleFireBtn(true)} onMouseUp={() => handleFireBtn(false)}><Crosshair size={40} /></button>
                 </div>
             </div>
-            <div className="hidden lg:block absolute bottom-4 left-1/2 -translate-x-1/2 text-gray-400 text-sm">WASD to Move | Space to Fire | B to Bomb (Costs {BOMB_COST} MP)</div>
+            <div className="hidden lg:block absolute bottom-4 left-1/2 -translate-x-1/2 text-gray-400 text-sm">WASD to Move | Space to Fire | B for {ability.name} (Costs {ability.cost} MP) | Q to Use Item | Esc for Inventory</div>
+            {paused && (
+                <div className="absolute inset-0 z-40 flex items-center justify-center bg-black/80 backdrop-blur-sm p-4">
+                    <div className="w-full max-w-lg max-h-full overflow-y-auto bg-slate-900 border border-gray-600 rounded-xl p-6 text-white">
+                        <div className="flex items-center justify-between mb-4">
+                            <h2 className="text-2xl font-bold flex items-center gap-2"><Backpack size={24} /> Inventory</h2>
+                            <button onClick={() => setPaused(p => !p)} className="px-4 py-2 bg-green-500 hover:bg-green-400 text-black font-bold rounded-full flex items-center gap-2"><Play size={16} fill="black" /> Resume</button>
+                        </div>
+                        <h3 className="text-xs uppercase tracking-widest text-gray-400 mb-2">Active Item</h3>
+                        {playerStats.activeItem ? (
+                            <InventoryRow def={ITEMS[playerStats.activeItem]} note="Q / item button" />
+                        ) : <p className="text-sm text-gray-500 mb-4">Empty. Pick up a usable item to carry it here.</p>}
+                        {Object.keys(playerStats.buffs).length > 0 && <>
+                            <h3 className="text-xs uppercase tracking-widest text-gray-400 mb-2">Active Effects</h3>
+                            {Object.keys(playerStats.buffs).filter(id => BUFFS[id]).map(id => (
+                                <InventoryRow key={id} def={{ ...BUFFS[id], name: BUFFS[id].label, description: Object.values(ITEMS).find(d => d.buff === id)?.description }} />
+                            ))}
+                        </>}
+                        <h3 className="text-xs uppercase tracking-widest text-gray-400 mb-2">Evidence &amp; Keys</h3>
+                        <InventoryRow def={ITEMS.file} note={`${playerStats.files}/${ITEMS.file.limit}`} />
+                        <InventoryRow def={ITEMS.key} note={`x${playerStats.keys}`} />
+                        {playerStats.doorKeys.length > 0 && <InventoryRow def={ITEMS.doorKey} note={`x${playerStats.doorKeys.length}`} />}
+                        <h3 className="text-xs uppercase tracking-widest text-gray-400 mb-2">Upgrades</h3>
+                        {Object.entries(ITEMS).filter(([type, def]) => def.kind === 'upgrade' && playerStats.pickups[type]).map(([type, def]) => (
+                            <InventoryRow key={type} def={def} note={`x${playerStats.pickups[type]}`} />
+                        ))}
+                        {!Object.entries(ITEMS).some(([type, def]) => def.kind === 'upgrade' && playerStats.pickups[type]) && <p className="text-sm text-gray-500">None yet.</p>}
+                    </div>
+                </div>
+            )}
+            </>}
         </>
       )}
 
+      {/* --- REPLAY CONTROLS --- */}
+      {gameState === 'REPLAY' && (
+        <div className="absolute bottom-4 left-1/2 -translate-x-1/2 z-50 flex items-center gap-2 bg-black/70 px-4 py-2 rounded-full backdrop-blur text-sm">
+            <span className="flex items-center gap-1 text-red-400 font-bold mr-2"><Film size={16} /> REPLAY</span>
+            <button onClick={() => setReplayPaused(p => !p)} className="p-2 rounded-full hover:bg-white/20" title={replayPaused ? 'Play' : 'Pause'}>
+                {replayPaused ? <Play size={18} /> : <Pause size={18} />}
+            </button>
+            <button onClick={() => advanceReplayFrames(1)} disabled={!replayPaused || replayProgress.done} className="p-2 rounded-full hover:bg-white/20 disabled:opacity-30" title="Step one frame">
+                <SkipForward size={18} />
+            </button>
+            {[1, 2, 4].map(speed => (
+                <button key={speed} onClick={() => setReplaySpeed(speed)} className={`px-2 py-1 rounded font-mono ${replaySpeed === speed ? 'bg-yellow-400 text-black' : 'hover:bg-white/20'}`}>{speed}x</button>
+            ))}
+            <span className="font-mono text-gray-300 mx-2">{replayProgress.frame}/{replayProgress.total}{replayProgress.done && ' · END'}</span>
+            <button onClick={exitReplay} className="p-2 rounded-full hover:bg-white/20" title="Exit replay"><X size={18} /></button>
+        </div>
+      )}
+
       {/* --- CHARACTER SELECT --- */}
       {gameState === 'CHAR_SELECT' && (
-        <div className="absolute inset-0 flex flex-col items-center justify-center bg-slate-900/95 z-50">
+        <div className="absolute inset-0 flex flex-col items-center justify-center bg-slate-900/95 z-50 overflow-y-auto py-8">
             <h2 className="text-4xl font-bold mb-8 text-white">Select Your Hero</h2>
-            <div className="flex flex-col md:flex-row gap-6 mb-12">
-                {CHARACTERS.map(char => (
-                    <div key={char.id} onClick={() => setSelectedChar(char)} className={`p-6 rounded-xl border-2 cursor-pointer transition-all ${selectedChar.id === char.id ? 'border-yellow-400 bg-white/10 scale-105' : 'border-gray-600 bg-white/5 hover:bg-white/10'}`}>
-                        <div className="flex items-center gap-3 mb-2"><div className="w-8 h-8 rounded" style={{background: char.color}}></div><h3 className="text-xl font-bold text-white">{char.name}</h3></div>
-                        <p className="text-gray-400 text-sm mb-4">{char.description}</p>
+            <div className="flex flex-wrap justify-center gap-6 mb-12 max-w-6xl">
+                {CHARACTERS.map(char => {
+                    const unlocked = isCharacterUnlocked(char, { highScore, endings: unlockedEndings });
+                    const charAbility = getAbility(char);
+                    return (
+                    <div key={char.id} onClick={() => unlocked && setSelectedChar(char)} className={`p-6 rounded-xl border-2 transition-all ${!unlocked ? 'border-gray-700 bg-white/5 opacity-60 cursor-not-allowed' : selectedChar.id === char.id ? 'border-yellow-400 bg-white/10 scale-105 cursor-pointer' : 'border-gray-600 bg-white/5 hover:bg-white/10 cursor-pointer'}`}>
+                        <div className="flex items-center gap-3 mb-2"><div className="w-8 h-8 rounded flex items-center justify-center" style={{background: unlocked ? char.color : '#4b5563'}}>{!unlocked && <Lock size={16} />}</div><h3 className="text-xl font-bold text-white">{char.name}</h3></div>
+                        {unlocked ? <>
+                        <p className="text-gray-400 text-sm mb-2">{char.description}</p>
+                        <div className="text-sm mb-4 max-w-[14rem]" style={{ color: charAbility.color }}>
+                            <div className="font-bold flex items-center gap-1"><RegistryIcon name={charAbility.icon} size={14} /> {charAbility.name} <span className="text-gray-400 font-normal">({charAbility.cost} MP)</span></div>
+                            <div className="text-xs text-gray-300">{charAbility.description}</div>
+                        </div>
                         <div className="space-y-2 text-xs text-gray-300">
                             <div className="flex justify-between"><span>Speed</span> <div className="w-20 bg-gray-700 h-2 rounded"><div className="bg-green-500 h-full rounded" style={{width: `${(char.speed/6)*100}%`}}></div></div></div>
                             <div className="flex justify-between"><span>Health</span> <div className="w-20 bg-gray-700 h-2 rounded"><div className="bg-red-500 h-full rounded" style={{width: `${(char.maxHp/6)*100}%`}}></div></div></div>
                             <div className="flex justify-between"><span>Magic</span> <div className="w-20 bg-gray-700 h-2 rounded"><div className="bg-purple-500 h-full rounded" style={{width: `${(char.maxMp/6)*100}%`}}></div></div></div>
                         </div>
+                        </> : <p className="text-gray-400 text-sm max-w-[14rem]">Locked. {getUnlockHint(char)}</p>}
                     </div>
-                ))}
+                    );
+                })}
+            </div>
+            <div className="flex flex-col items-center gap-2 mb-6">
+                <span className="text-sm text-gray-400 uppercase tracking-widest">Difficulty</span>
+                <div className="flex flex-wrap justify-center gap-2">
+                    {Object.entries(DIFFICULTY_PROFILES).map(([id, profile]) => (
+                        <button key={id} onClick={() => setSelectedDifficulty(id)} className={`px-4 py-2 rounded-full border-2 font-bold text-sm transition-all ${selectedDifficulty === id ? 'border-yellow-400 bg-white/10 text-yellow-300' : 'border-gray-600 text-gray-300 hover:bg-white/10'}`}>{profile.name}</button>
+                    ))}
+                </div>
+                <p className="text-xs text-gray-400">{DIFFICULTY_PROFILES[selectedDifficulty].description}</p>
+                <label className="mt-2 flex items-center gap-2 text-sm text-gray-300 cursor-pointer">
+                    <input type="checkbox" checked={checkpointMode} onChange={(e) => setCheckpointMode(e.target.checked)} className="accent-yellow-400" />
+                    Checkpoints: dying sends you back to the building entrance instead of ending the run
+                </label>
             </div>
-            <button onClick={startGame} className="px-8 py-4 bg-green-600 hover:bg-green-500 text-white font-bold text-xl rounded-full shadow-lg flex items-center gap-2 transition-transform hover:scale-110"><Play fill="white" /> ENTER ISLAND</button>
+            <div className="flex flex-col items-center gap-1 mb-8">
+                <label htmlFor="seed-input" className="text-sm text-gray-400 uppercase tracking-widest">Island Seed</label>
+                <input
+                    id="seed-input"
+                    value={seedInput}
+                    onChange={(e) => setSeedInput(e.target.value.toUpperCase())}
+                    placeholder="RANDOM"
+                    maxLength={SEED_CODE_LENGTH}
+                    className="w-48 px-4 py-2 rounded-lg bg-black/40 border-2 border-gray-600 focus:border-yellow-400 outline-none text-center font-mono text-xl tracking-widest text-white"
+                />
+                {seedInput.trim() && codeToSeed(seedInput) === null && <span className="text-xs text-red-400">Seed codes use 0-9 and A-Z only</span>}
+            </div>
+            <button onClick={startGame} disabled={!!seedInput.trim() && codeToSeed(seedInput) === null} className="disabled:opacity-50 disabled:cursor-not-allowed px-8 py-4 bg-green-600 hover:bg-green-500 text-white font-bold text-xl rounded-full shadow-lg flex items-center gap-2 transition-transform hover:scale-110"><Play fill="white" /> ENTER ISLAND</button>
         </div>
       )}
 
@@ -1433,60 +1348,101 @@ export default function App() {
              <div className="w-full p-4 bg-black/50 backdrop-blur text-center shrink-0 z-10">
                  <h2 className="text-2xl font-bold text-white">Island Map</h2>
                  <p className="text-gray-400">Select the next building to explore</p>
+                 <div className="mt-1 text-xs text-gray-500 uppercase tracking-widest">Seed <span className="font-mono text-yellow-300 select-all">{seedToCode(rootSeed)}</span> · {DIFFICULTY_PROFILES[runDifficulty].name}</div>
+                 <button onClick={() => setJournalOpen(true)} className="mt-2 px-4 py-1 bg-white/10 hover:bg-white/20 rounded-full text-sm inline-flex items-center gap-2"><FileText size={14} /> Case Files {playerStats.lore.length}/{LORE_FILES.length}</button>
+                 <span className="mt-2 ml-2 px-4 py-1 bg-white/10 rounded-full text-sm inline-flex items-center gap-2" style={{ color: ITEMS.coin.color }}><Coins size={14} /> {playerStats.coins}</span>
              </div>
+
+             {journalOpen && (
+                 <div className="absolute inset-0 z-20 flex items-center justify-center bg-black/80 backdrop-blur-sm p-4">
+                     <div className="w-full max-w-2xl max-h-full overflow-y-auto bg-slate-900 border border-gray-600 rounded-xl p-6">
+                         <div className="flex items-center justify-between mb-4">
+                             <h2 className="text-2xl font-bold flex items-center gap-2"><FileText size={24} /> Case Files</h2>
+                             <button onClick={() => setJournalOpen(false)} className="p-2 rounded-full hover:bg-white/20" title="Close"><X size={20} /></button>
+                         </div>
+                         {LORE_FILES.map(f => playerStats.lore.includes(f.id) ? (
+                             <div key={f.id} className="mb-4 p-4 bg-white/5 rounded-lg border-l-4" style={{ borderColor: COLORS.file }}>
+                                 <div className="font-bold text-yellow-300 mb-1">#{f.id + 1} {f.title}</div>
+                                 <p className="text-sm text-gray-300 leading-relaxed">{f.text}</p>
+                             </div>
+                         ) : (
+                             <div key={f.id} className="mb-4 p-4 bg-white/5 rounded-lg border-l-4 border-gray-700 text-gray-500 italic">#{f.id + 1} Missing document</div>
+                         ))}
+                     </div>
+                 </div>
+             )}
              
-             {/* Render Columns */}
-             <div className="flex-1 overflow-x-auto flex items-center justify-start px-20 gap-16">
-                 {(() => {
-                     // Group buildings by column
-                     const minCol = Math.min(...worldMap.map(b => b.column));
-                     const maxCol = Math.max(...worldMap.map(b => b.column));
-                     const cols = [];
-                     // Include hidden column (-1) if it exists
-                     for(let i=minCol; i<=maxCol; i++) cols.push(worldMap.filter(b => b.column === i));
-                     
-                     return cols.map((colBuildings, colIdxOffset) => {
-                         const colIdx = minCol + colIdxOffset;
-                         return (
-                         <div key={colIdx} className="flex flex-col items-center gap-8 relative">
-                             {/* Connector Line to Next Column */}
-                             {colIdx >= 0 && colIdx < maxCol && (
-                                 <div className="absolute top-1/2 left-full w-16 h-1 bg-gray-600 -translate-y-1/2 z-0" />
+             {/* Route graph: nodes sit on a column/row grid, edges are drawn underneath */}
+             <div className="flex-1 overflow-auto flex items-center px-10">
+                     <div className="relative shrink-0 mx-auto" style={{ width, height }}>
+                         <svg className="absolute inset-0 pointer-events-none" width={width} height={height}>
+                             {visible.flatMap(b => b.next.map(id => {
+                                 const a = pos(b); const c = pos(byId[id]); const style = routeEdgeStyle(b, byId[id]);
+                                 return <line key={`${b.id}-${id}`} x1={a.x} y1={a.y} x2={c.x} y2={c.y} stroke={style.stroke} strokeWidth={style.width} />;
+                             }))}
+                             {/* Hidden building connector (dashed line to Start) */}
+                             {hiddenNode && byId[0] && (
+                                 <line x1={pos(hiddenNode).x} y1={pos(hiddenNode).y} x2={pos(byId[0]).x} y2={pos(byId[0]).y} stroke="#374151" strokeWidth={4} strokeDasharray="8 6" />
                              )}
-                             {/* Hidden Column Connector (Dashed line to Start) */}
-                             {colIdx === -1 && (
-                                 <div className="absolute top-1/2 left-full w-16 h-1 border-t-4 border-dashed border-gray-700 -translate-y-1/2 z-0" />
-                             )}
-                             
-                             {colBuildings.map(node => {
-                                 // Don't render hidden nodes if they are still hidden
-                                 if (node.hidden) return null;
-
-                                 return (
-                                 <div key={node.id} className="relative z-10 flex flex-col items-center">
-                                     <button
-                                        disabled={node.locked}
-                                        onClick={() => enterBuilding(node.id)}
-                                        className={`w-24 h-24 rounded-full border-4 flex items-center justify-center transition-all relative
-                                            ${node.cleared ? 'bg-green-600 border-green-400 ring-4 ring-green-900/50' : 
-                                              node.locked ? 'bg-gray-700 border-gray-600 grayscale cursor-not-allowed opacity-50' : 
-                                              'bg-blue-600 border-blue-400 animate-pulse cursor-pointer shadow-blue-500/50 shadow-lg hover:scale-110'}`}
-                                     >
-                                         {node.id === HIDDEN_BUILDING_ID ? <Lock size={32} /> : (node.cleared ? <Zap size={40} /> : <MapIcon size={32} />)}
-                                         {/* Checkmark for re-entry clarity */}
-                                         {node.cleared && <div className="absolute -bottom-2 -right-2 bg-green-400 text-black rounded-full p-1 border-2 border-white"><RotateCcw size={14} /></div>}
-                                     </button>
-                                     <div className="mt-2 bg-black/70 px-3 py-1 rounded text-center backdrop-blur-sm border border-gray-700">
-                                         <div className="text-white font-bold">{node.id === HIDDEN_BUILDING_ID ? "???" : `Lvl ${node.level}`}</div>
-                                         <div className="text-[10px] text-gray-300 uppercase tracking-widest">{node.theme.replace('_', ' ')}</div>
+                         </svg>
+                         {visible.map(node => {
+                             const { x, y } = pos(node);
+                             const isBuilding = node.type === 'battle' || node.type === 'elite';
+                             const NodeIcon = NODE_ICONS[node.type];
+                             return (
+                             <div key={node.id} className="absolute z-10" style={{ left: x, top: y }}>
+                                 <button
+                                    disabled={node.locked || (node.cleared && !isBuilding)}
+                                    onClick={() => openMapNode(node)}
+                                    className={`w-20 h-20 -translate-x-1/2 -translate-y-1/2 rounded-full border-4 flex items-center justify-center transition-all relative
+                                        ${node.cleared ? 'bg-green-600 border-green-400 ring-4 ring-green-900/50' : 
+                                          node.locked ? 'bg-gray-700 border-gray-600 grayscale cursor-not-allowed opacity-50' : 
+                                          node.type === 'elite' ? 'bg-red-700 border-red-400 animate-pulse cursor-pointer shadow-red-500/50 shadow-lg hover:scale-110' :
+                                          'bg-blue-600 border-blue-400 animate-pulse cursor-pointer shadow-blue-500/50 shadow-lg hover:scale-110'}`}
+                                 >
+                                     {node.id === HIDDEN_BUILDING_ID ? <Lock size={28} /> : (node.cleared && isBuilding ? <Zap size={34} /> : <NodeIcon size={28} />)}
+                                     {/* Checkmark for re-entry clarity */}
+                                     {node.cleared && isBuilding && <div className="absolute -bottom-2 -right-2 bg-green-400 text-black rounded-full p-1 border-2 border-white"><RotateCcw size={12} /></div>}
+                                 </button>
+                                 <div className="absolute top-8 left-0 -translate-x-1/2 mt-2 bg-black/70 px-2 py-1 rounded text-center backdrop-blur-sm border border-gray-700 whitespace-nowrap">
+                                     <div className="text-white font-bold text-sm">
+                                         {node.id === HIDDEN_BUILDING_ID ? "???" : node.type === 'shop' ? "Shop" : node.type === 'rest' ? "Rest" : `${node.type === 'elite' ? 'Elite · ' : ''}Lvl ${node.level}`}
                                      </div>
+                                     {isBuilding && <div className="text-[10px] text-gray-300 uppercase tracking-widest">{node.theme.replace('_', ' ')}</div>}
                                  </div>
-                                )
-                             })}
-                         </div>
-                     )});
-                 })()}
+                             </div>
+                            )
+                         })}
+                     </div>
              </div>
+
+             {/* Shop: buy with coins, then move on along the route */}
+             {shopNode && (
+                 <div className="absolute inset-0 z-20 flex items-center justify-center bg-black/80 backdrop-blur-sm p-4">
+                     <div className="w-full max-w-lg bg-slate-900 border border-gray-600 rounded-xl p-6">
+                         <div className="flex items-center justify-between mb-4">
+                             <h2 className="text-2xl font-bold flex items-center gap-2"><Store size={24} /> Shop</h2>
+                             <button onClick={() => setShopNodeId(null)} className="p-2 rounded-full hover:bg-white/20" title="Close"><X size={20} /></button>
+                         </div>
+                         <p className="text-sm text-gray-400 mb-4 flex items-center gap-2">You have <span className="font-bold inline-flex items-center gap-1" style={{ color: ITEMS.coin.color }}><Coins size={14} /> {playerStats.coins}</span></p>
+                         {shopNode.stock.map((type, i) => {
+                             const sold = (shopNode.sold || []).includes(i);
+                             const price = getShopPrice(type, shopNode.column);
+                             const maxed = !sold && isAtLimit(playerStats, type);
+                             const canBuy = !sold && playerStats.coins >= price && canApplyItem(playerStats, type);
+                             return (
+                             <div key={i} className={`flex items-center gap-3 ${sold ? 'opacity-40' : ''}`}>
+                                 <div className="flex-1"><InventoryRow def={ITEMS[type]} /></div>
+                                 <button disabled={!canBuy} onClick={() => visitMapNode(shopNode.id, i)} className="mb-3 w-20 py-2 rounded-full font-bold bg-yellow-500 hover:bg-yellow-400 text-black disabled:bg-gray-700 disabled:text-gray-400 inline-flex items-center justify-center gap-1">
+                                     {sold ? 'Sold' : maxed ? 'Maxed' : <><Coins size={14} /> {price}</>}
+                                 </button>
+                             </div>
+                             );
+                         })}
+                         <button onClick={() => { if (visitMapNode(shopNode.id)) setShopNodeId(null); }} className="w-full mt-2 px-6 py-3 bg-blue-600 hover:bg-blue-500 rounded-full font-bold flex items-center justify-center gap-2"><ArrowRight size={18} /> Move On</button>
+                     </div>
+                 </div>
+             )}
         </div>
       )}
 
@@ -1494,17 +1450,111 @@ export default function App() {
       {(gameState === 'GAMEOVER') && (
         <div className="absolute inset-0 z-50 flex flex-col items-center justify-center bg-red-900/90 backdrop-blur">
             <h2 className="text-6xl font-black text-white mb-4">GAME OVER</h2>
-            <p className="text-xl mb-8">You fell in Building {currentBuildingId + 1}</p>
-            <div className="text-2xl mb-8 font-mono bg-black/30 px-6 py-2 rounded">Final Score: {playerStats.score}</div>
-            <button onClick={() => setGameState('START')} className="px-8 py-3 bg-white text-black font-bold rounded-full hover:bg-gray-200 flex items-center gap-2">
-                <RotateCcw /> Return to Title
+            <p className="text-xl mb-8">You fell in the {buildingName(worldMap.find(b => b.id === currentBuildingId))}</p>
+            <div className="text-2xl mb-4 font-mono bg-black/30 px-6 py-2 rounded">{canRevive ? 'Score' : 'Final Score'}: {playerStats.score}</div>
+            <div className="mb-8 text-sm text-red-200 uppercase tracking-widest">Seed <span className="font-mono text-white select-all">{seedToCode(rootSeed)}</span> · {DIFFICULTY_PROFILES[runDifficulty].name}</div>
+            {canRevive && (
+                <div className="flex flex-col items-center gap-3 mb-6">
+                    <div className="flex gap-3">
+                        <button onClick={() => reviveFromDeath('retry')} className="px-6 py-3 bg-yellow-400 text-black font-bold rounded-full hover:bg-yellow-300 flex items-center gap-2"><RotateCcw size={18} /> Retry Building</button>
+                        <button onClick={() => reviveFromDeath('map')} className="px-6 py-3 bg-blue-600 text-white font-bold rounded-full hover:bg-blue-500 flex items-center gap-2"><MapIcon size={18} /> Return to Map</button>
+                    </div>
+                    <p className="text-sm text-red-200">Back to how you entered: this building's pickups are lost and you pay {CHECKPOINTS.deathPenalty} score.</p>
+                </div>
+            )}
+            <button onClick={giveUp} className="px-8 py-3 bg-white text-black font-bold rounded-full hover:bg-gray-200 flex items-center gap-2">
+                {canRevive ? <><RotateCcw /> Give Up</> : <><ArrowRight /> Run Summary</>}
             </button>
+            {!canRevive && (
+                <button onClick={() => setLeaderboardOpen(true)} className="mt-4 px-5 py-2 bg-black/30 hover:bg-black/50 rounded-full flex items-center gap-2 text-sm"><ListOrdered size={16} /> Leaderboard</button>
+            )}
+            {hasRecording && (
+                <div className="flex gap-3 mt-4">
+                    <button onClick={() => startReplay(recordingRef.current)} className="px-5 py-2 bg-black/30 hover:bg-black/50 rounded-full flex items-center gap-2 text-sm"><Film size={16} /> Watch Replay</button>
+                    <button onClick={exportReplay} className="px-5 py-2 bg-black/30 hover:bg-black/50 rounded-full flex items-center gap-2 text-sm"><Download size={16} /> Export Replay</button>
+                </div>
+            )}
         </div>
       )}
 
       {/* --- ENDING SEQUENCE --- */}
       {gameState === 'ENDING' && renderEnding()}
 
+      {/* --- RUN SUMMARY --- */}
+      {gameState === 'SUMMARY' && runSummary && (
+        <div className="absolute inset-0 z-50 flex items-center justify-center bg-slate-900/95 p-4">
+            <div className="w-full max-w-4xl max-h-full overflow-y-auto">
+                <h2 className="text-4xl font-black text-yellow-400 mb-1">Run Summary</h2>
+                <p className="text-gray-300 mb-6">
+                    {runSummary.escaped ? 'Escaped the island' : `Fell in the ${buildingName(worldMap.find(b => b.id === currentBuildingId))}`}
+                    {' · '}{runChar?.name} · {DIFFICULTY_PROFILES[runDifficulty].name} · Seed <span className="font-mono select-all">{seedToCode(rootSeed)}</span>
+                </p>
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-6">
+                    <StatCard label="Score" value={runSummary.score} />
+                    <StatCard label="Time" value={formatDuration(runSummary.ms)} note="in buildings" />
+                    <StatCard label="Shots Hit" value={`${runSummary.shotsHit}/${runSummary.shotsFired}`} note={`${formatAccuracy(runSummary.shotsHit, runSummary.shotsFired)} accuracy`} />
+                    <StatCard label="Bombs Used" value={runSummary.bombs} note={runChar ? getAbility(runChar).name : null} />
+                    <StatCard label="Damage Taken" value={runSummary.damageTaken} />
+                    <StatCard label="Rooms Explored" value={`${runSummary.roomsExplored}/${runSummary.roomsTotal}`} note="in buildings entered" />
+                    <StatCard label="Buildings Cleared" value={runSummary.buildingsCleared} />
+                    <StatCard label="Retries" value={runSummary.deaths} note="deaths undone by checkpoints" />
+                </div>
+                {runSummary.buildings.length > 0 && (
+                    <table className="w-full text-sm text-left mb-6">
+                        <thead className="text-xs uppercase text-gray-400 border-b border-gray-700">
+                            <tr><th className="py-2 pr-2">Building</th><th className="pr-2">Time</th><th className="pr-2">Damage</th><th className="pr-2">Rooms</th><th>Time per Room</th></tr>
+                        </thead>
+                        <tbody>
+                            {runSummary.buildings.map(b => (
+                                <tr key={b.id} className="border-b border-gray-800 align-top">
+                                    <td className="py-2 pr-2 font-bold">{buildingName(worldMap.find(n => n.id === b.id))}</td>
+                                    <td className="py-2 pr-2 font-mono">{formatDuration(b.ms)}</td>
+                                    <td className="py-2 pr-2">{b.damage}</td>
+                                    <td className="py-2 pr-2">{b.roomsExplored}/{b.roomsTotal}</td>
+                                    <td className="py-2">
+                                        <div className="flex flex-wrap gap-1">
+                                            {b.rooms.map(r => <span key={r.id} className="px-2 py-0.5 rounded bg-white/10 font-mono text-xs">#{r.id} {formatDuration(r.ms)}</span>)}
+                                        </div>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+                <h3 className="text-xl font-bold mb-3">Lifetime</h3>
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-8">
+                    <StatCard label="Runs" value={lifetimeStats.runs} note={`${lifetimeStats.escapes} escaped`} />
+                    <StatCard label="Time in Buildings" value={formatDuration(lifetimeStats.ms)} />
+                    <StatCard label="Shots Hit" value={`${lifetimeStats.shotsHit}/${lifetimeStats.shotsFired}`} note={`${formatAccuracy(lifetimeStats.shotsHit, lifetimeStats.shotsFired)} accuracy`} />
+                    <StatCard label="Bombs Used" value={lifetimeStats.bombs} />
+                    <StatCard label="Damage Taken" value={lifetimeStats.damageTaken} />
+                    <StatCard label="Rooms Explored" value={lifetimeStats.roomsExplored} />
+                    <StatCard label="Buildings Cleared" value={lifetimeStats.buildingsCleared} />
+                    <StatCard label="Deaths" value={lifetimeStats.deaths} note={`${lifetimeStats.score} total score`} />
+                </div>
+                <button onClick={() => setGameState('START')} className="px-8 py-3 bg-white text-black font-bold rounded-full hover:bg-gray-200 flex items-center gap-2">
+                    <RotateCcw /> Return to Title
+                </button>
+            </div>
+        </div>
+      )}
+
+      {/* --- ACHIEVEMENT TOASTS --- */}
+      {toasts.length > 0 && (
+        <div className="absolute top-4 left-1/2 -translate-x-1/2 z-[60] flex flex-col items-center gap-2 pointer-events-none">
+            {toasts.map(({ key, id }) => (
+                <div key={key} className="flex items-center gap-3 bg-black/85 border border-yellow-500 rounded-xl px-4 py-2 shadow-lg">
+                    <RegistryIcon name={ACHIEVEMENTS[id].icon} size={24} className="text-yellow-400" />
+                    <div className="text-left">
+                        <div className="text-xs uppercase tracking-widest text-yellow-400">Achievement Unlocked</div>
+                        <div className="font-bold">{ACHIEVEMENTS[id].title}</div>
+                        <div className="text-xs text-gray-300">{ACHIEVEMENTS[id].description}</div>
+                    </div>
+                </div>
+            ))}
+        </div>
+      )}
+
       {/* --- MESSAGE OVERLAY --- */}
       {gameState === 'MESSAGE' && messageData && (
         <div className="absolute inset-0 flex flex-col items-center justify-center bg-black/90 z-50 text-center px-8">
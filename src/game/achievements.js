@@ -0,0 +1,111 @@
+import { HIDDEN_BUILDING_ID, STEP_MS } from './constants.js';
+import { ITEMS } from './items.js';
+
+/**
+ * ==========================================
+ * ACHIEVEMENTS
+ * ==========================================
+ * Each achievement waits for one event type and unlocks the first time its
+ * condition holds for such an event. Events are the engine's (see engine.js) plus
+ *   { type: 'runEnded', escaped, endingPath }
+ * which the app sends when a run is over. Conditions get the event and the run state.
+ *   title, description, icon   shown in the toast and the START screen grid
+ *   on                         event type that is checked
+ *   when(ev, state)            optional; unlocks on any `on` event when missing
+ */
+const hasEscaped = (ev) => ev.escaped;
+
+export const ACHIEVEMENTS = {
+  flawless_building: {
+    title: 'Not a Scratch', description: 'Clear a building without losing any HP.', icon: 'ShieldCheck',
+    on: 'levelComplete',
+    // Only the visit (or checkpoint retry) that cleared it counts
+    when: (ev, state) => state.telemetry.buildings[ev.buildingId]?.attemptDamage === 0
+  },
+  giant_killer: {
+    title: 'Giant Killer', description: 'Defeat a boss.', icon: 'Skull',
+    on: 'bossDefeated'
+  },
+  case_closed: {
+    title: 'Case Closed', description: `Find all ${ITEMS.file.limit} case files in one run.`, icon: 'FileText',
+    on: 'itemCollected',
+    when: (ev, state) => ev.item.type === 'file' && state.playerStats.files >= ITEMS.file.limit
+  },
+  big_spender: {
+    title: 'Big Spender', description: 'Buy something at a shop.', icon: 'Coins',
+    on: 'itemBought'
+  },
+  guard_hidden: {
+    title: 'Wall of Muscle', description: 'Clear the hidden building as the Heavy Guard.', icon: 'Shield',
+    on: 'levelComplete',
+    when: (ev, state) => ev.buildingId === HIDDEN_BUILDING_ID && state.char.id === 'tank'
+  },
+  no_bombs: {
+    title: 'Hands Off the Button', description: 'Escape without using the bomb button once.', icon: 'Bomb',
+    on: 'runEnded',
+    when: (ev, state) => hasEscaped(ev) && state.telemetry.bombs === 0
+  },
+  sharpshooter: {
+    title: 'Sharpshooter', description: 'Escape after landing at least 60% of 50 or more shots.', icon: 'Crosshair',
+    on: 'runEnded',
+    when: (ev, state) => hasEscaped(ev) && state.telemetry.shotsFired >= 50 && state.telemetry.shotsHit / state.telemetry.shotsFired >= 0.6
+  },
+  second_wind: {
+    title: 'Second Wind', description: 'Escape after a checkpoint brought you back.', icon: 'Heart',
+    on: 'runEnded',
+    when: (ev, state) => hasEscaped(ev) && state.playerStats.deaths > 0
+  },
+  speedrunner: {
+    title: 'Speedrunner', description: 'Escape in under 15 minutes.', icon: 'Zap',
+    on: 'runEnded',
+    when: (ev, state) => hasEscaped(ev) && state.runSteps * STEP_MS < 15 * 60 * 1000
+  },
+  sleepless: {
+    title: 'Sleepless', description: 'Escape on Nightmare.', icon: 'Ghost',
+    on: 'runEnded',
+    when: (ev, state) => hasEscaped(ev) && state.difficultyId === 'nightmare'
+  },
+  laureate: {
+    title: 'Laureate', description: 'Reach the Nobel Peace Prize ending.', icon: 'Trophy',
+    on: 'runEnded',
+    when: (ev) => hasEscaped(ev) && ev.endingPath.includes('nobel')
+  },
+};
+
+const WATCHED_EVENTS = new Set(Object.values(ACHIEVEMENTS).map(a => a.on));
+
+// Ids of the achievements that `events` earn, leaving out the ones in `unlocked`
+export const checkAchievements = (events, state, unlocked) => {
+  const earned = [];
+  events.filter(ev => WATCHED_EVENTS.has(ev.type)).forEach(ev => {
+    Object.entries(ACHIEVEMENTS).forEach(([id, a]) => {
+      if (a.on !== ev.type || unlocked.includes(id) || earned.includes(id)) return;
+      if (!a.when || a.when(ev, state)) earned.push(id);
+    });
+  });
+  return earned;
+};
+
+// --- PERSISTENCE ---
+
+const ACHIEVEMENTS_KEY = 'escape_island_achievements';
+
+export const loadUnlockedAchievements = () => {
+  try {
+    const ids = JSON.parse(localStorage.getItem(ACHIEVEMENTS_KEY) || '[]');
+    return Array.isArray(ids) ? ids.filter(id => ACHIEVEMENTS[id]) : [];
+  } catch {
+    return [];
+  }
+};
+
+// Adds newly earned achievements and returns the full unlocked list
+export const unlockAchievements = (ids) => {
+  const unlocked = [...new Set([...loadUnlockedAchievements(), ...ids])];
+  try {
+    localStorage.setItem(ACHIEVEMENTS_KEY, JSON.stringify(unlocked));
+  } catch (err) {
+    console.warn('Failed to save achievements', err);
+  }
+  return unlocked;
+};
@@ -0,0 +1,62 @@
+import { BOMB_COST, COLORS } from './constants.js';
+import { ENDING_PAGES } from './endings.js';
+
+/**
+ * ==========================================
+ * CHARACTER ABILITIES
+ * ==========================================
+ * Each character's `ability` is the move on the bomb button. The engine runs the
+ * effect by id; the rest of the entry is numbers and presentation.
+ *   name, description, icon, color   shown in character select, HUD and mobile button
+ *   cost                             MP spent per use
+ *   cooldown                         steps before the ability can be used again
+ *   blast                            its impact also breaks crates and opens cracked walls
+ */
+export const ABILITIES = {
+  shockwave: {
+    name: 'Shockwave', description: 'Damages and stuns every enemy in the room.',
+    icon: 'Bomb', color: COLORS.shockwave, cost: BOMB_COST, cooldown: 60, blast: true,
+    damage: 2, stun: 120
+  },
+  dash: {
+    name: 'Dash', description: 'Burst forward, untouchable, bowling over enemies in the way.',
+    icon: 'Wind', color: COLORS.dash, cost: 1, cooldown: 45, blast: true,
+    duration: 10, speed: 14, damage: 1, stun: 90
+  },
+  taunt: {
+    name: 'Taunt & Block', description: 'Nearby enemies come straight for you while you block every hit for three seconds.',
+    icon: 'ShieldCheck', color: COLORS.taunt, cost: 1, cooldown: 420, blast: true,
+    duration: 180, radius: 300, buff: 'guard'
+  },
+  trap: {
+    name: 'Snare', description: 'Set a snare that bursts under the first enemy to step on it, hurting everything close by.',
+    icon: 'Target', color: COLORS.trap, cost: 1, cooldown: 60, blast: true,
+    maxTraps: 3, radius: 90, damage: 3, stun: 150
+  },
+  heal: {
+    name: 'First Aid', description: 'Patch yourself up, turning MP into one HP.',
+    icon: 'Heart', color: COLORS.heal, cost: 2, cooldown: 240,
+    amount: 1
+  },
+};
+
+// Characters without an ability of their own keep the original bomb
+export const getAbility = (char) => ABILITIES[char.ability || 'shockwave'];
+
+// Characters without an `unlock` are always playable. Otherwise:
+//   { highScore }  reach that high score
+//   { ending }     see that ending page
+export const isCharacterUnlocked = (char, { highScore, endings }) => {
+  const { unlock } = char;
+  if (!unlock) return true;
+  if (unlock.highScore !== undefined && highScore < unlock.highScore) return false;
+  if (unlock.ending !== undefined && !endings.includes(unlock.ending)) return false;
+  return true;
+};
+
+export const getUnlockHint = (char) => {
+  const { unlock } = char;
+  if (!unlock) return '';
+  if (unlock.highScore !== undefined) return `Reach a high score of ${unlock.highScore}.`;
+  return `See the "${ENDING_PAGES[unlock.ending].title}" ending.`;
+};
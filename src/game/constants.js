@@ -0,0 +1,333 @@
+/**
+ * ==========================================
+ * CONSTANTS & CONFIGURATION
+ * ==========================================
+ */
+export const TILE_SIZE = 48; 
+export const PLAYER_SIZE = 32;
+export const FPS = 60;
+export const STEP_MS = 1000 / FPS; // Fixed simulation step; per-step speeds and timers are tuned for it
+export const MAX_FRAME_MS = 250; // Longest frame the accumulator will catch up on
+export const FALLBACK_THEME = 'ballroom'; 
+export const BOMB_COST = 1; 
+export const HIDDEN_BUILDING_ID = 999; // Special ID for the hidden level
+
+// Tile types that block movement (doors are carved out of walls separately)
+export const SOLID_TILES = ['wall', 'furniture', 'pit', 'crate'];
+// Tile types that stop projectiles; shots fly over pits and water, bushes hide what's behind them
+export const SHOT_BLOCKING_TILES = ['wall', 'furniture', 'crate', 'bush'];
+// Movement speed multipliers for walkable tiles (1 when missing)
+export const TILE_SPEED = { water: 0.5, bush: 0.8 };
+// How quickly the player's velocity follows the input on a tile (1 = instantly, when missing)
+export const TILE_ACCEL = { ice: 0.06 };
+
+// Hazards and room objects. Spikes are raised for `spikeActive` steps of every `spikeCycle`.
+export const HAZARDS = {
+  spikeCycle: 120,
+  spikeActive: 40,
+  crateHp: 2,
+  crateDropChance: 0.4, // Broken crates drop a pizza or soda this often
+  crateBombRadius: 150,
+};
+
+// Which hazards the generator scatters in each theme's rooms
+export const THEME_HAZARDS = {
+  bathroom: ['ice'],
+  ballroom: ['ice'],
+  living_room: ['crate'],
+  warehouse: ['crate', 'spikes'],
+  dungeon: ['spikes'],
+  garden: ['bush'],
+};
+
+export const PLAYER_IFRAMES = 60; // Steps of invulnerability after taking a hit
+export const KNOCKBACK_SPEED = 10; // Initial knockback velocity, decays every step
+export const KNOCKBACK_FRICTION = 0.8;
+
+export const THEMES = ['bathroom', 'ballroom', 'living_room', 'warehouse', 'dungeon', 'garden'];
+
+export const THEME_COLORS = {
+    bathroom: { bg: '#e0f7fa', wall: '#006064', floor: '#b2ebf2', door: '#00bcd4' },
+    ballroom: { bg: '#3e2723', wall: '#4e342e', floor: '#5d4037', door: '#d7ccc8' },
+    living_room: { bg: '#fff3e0', wall: '#e65100', floor: '#ffcc80', door: '#ff9800' },
+    warehouse: { bg: '#cfd8dc', wall: '#37474f', floor: '#90a4ae', door: '#607d8b' },
+    dungeon: { bg: '#212121', wall: '#000000', floor: '#424242', door: '#757575' },
+    garden: { bg: '#e8f5e9', wall: '#1b5e20', floor: '#66bb6a', door: '#81c784' }
+};
+
+export const ROOM_VARIANTS = [
+    { w: 15, h: 11 }, 
+    { w: 11, h: 9 },  
+    { w: 19, h: 13 }, 
+    { w: 15, h: 15 }, 
+];
+
+// Rooms spanning several map cells, keyed by `${cellsWide}x${cellsTall}`
+export const LARGE_ROOM_VARIANTS = {
+    '2x1': { w: 25, h: 11 },
+    '1x2': { w: 15, h: 19 },
+    '2x2': { w: 25, h: 19 },
+};
+
+// Island route graph (Slay-the-Spire style). The start and final columns hold one
+// building each; the columns in between hold minWidth..maxWidth nodes whose types
+// are rolled from `nodeWeights`. Rest and shop nodes have no building to clear.
+export const ROUTE_MAP = {
+  columns: 5,
+  minWidth: 2,
+  maxWidth: 3,
+  extraEdgeChance: 0.35, // Chance of a second path out of a node, when it doesn't cross another
+  nodeWeights: { battle: 5, elite: 2, shop: 1, rest: 1 },
+  eliteDifficultyBonus: 1,
+  eliteScoreBonus: 500,
+  shopStockSize: 4,
+};
+
+// Coins: dropped by enemies, lying around in rooms and spent at shop nodes.
+// An item's shop price is its registry `price` grown by `priceGrowth` per map column.
+export const ECONOMY = {
+  enemyCoinChance: 0.35, // Regular enemies drop a coin this often
+  bossCoins: 10, // A boss always drops a pile worth this much
+  roomCoinChance: 0.3, // Chance of a coin pile in a regular room
+  roomCoinValue: [1, 3], // Min/max value of a room's coin pile
+  priceGrowth: 0.25,
+};
+
+export const NODE_TYPES = ['battle', 'elite', 'shop', 'rest'];
+
+export const BUILDING_SHAPE = {
+  largeRoomChance: 0.2, // Per new room (never the start or boss room)
+  loopChance: 0.3, // Per pair of touching rooms that aren't connected yet
+  secretRoomChance: 0.5, // Per building; secret rooms hide behind a bombable wall
+  secretBombRadius: 120, // How close a bomb must go off to a cracked wall
+};
+
+export const COLORS = {
+  background: '#2c3e50', 
+  wall: '#34495e',
+  floor: '#95a5a6',
+  door: '#e67e22',
+  bossDoor: '#e74c3c', 
+  furniture: '#7f8c8d',
+  pit: '#111111',
+  water: 'rgba(41, 128, 185, 0.75)',
+  spikes: '#bdc3c7',
+  ice: 'rgba(214, 234, 248, 0.8)',
+  bush: '#27ae60',
+  crate: '#a0522d',
+  player: '#2ecc71',
+  enemy: '#c0392b',
+  projectile: '#f1c40f',
+  pizza: '#f39c12',
+  pizzaBox: '#d35400',
+  soda: '#8e44ad', 
+  sodaCarrier: '#9b59b6',
+  rollerSkates: '#3498db',
+  cookieBag: '#795548',
+  file: '#ecf0f1',
+  key: '#f1c40f',
+  doorKey: '#e1b12c', // In-building keys and the locks they open
+  shield: '#48dbfb',
+  rapidFire: '#ff9f43',
+  decoy: '#f8c291',
+  beacon: '#82ccdd',
+  coin: '#fbc531',
+  dash: '#1abc9c',
+  taunt: '#8e44ad',
+  trap: '#e1b12c',
+  heal: '#ff6b81',
+  shockwave: '#8e44ad', 
+  uiBg: 'rgba(0,0,0,0.7)',
+  minimapBg: 'rgba(0, 0, 0, 0.6)',
+  minimapRoom: '#444',
+  minimapExplored: '#3498db',
+  minimapActive: '#ecf0f1',
+  minimapItem: '#f1c40f',
+  minimapBoss: '#e74c3c',
+  reticle: '#ff0000', // Target indicator color
+  telegraph: 'rgba(231, 76, 60, 0.35)', // Boss attack warning areas
+  enemyProjectile: '#e74c3c',
+  bossBar: '#e74c3c'
+};
+
+// `ability` is a key of ABILITIES (characters.js); `unlock` is checked by isCharacterUnlocked
+export const CHARACTERS = [
+  {
+    id: 'runner',
+    name: 'Swift Scout',
+    description: 'Fast, moderate MP.',
+    speed: 4, 
+    maxHp: 3,
+    maxMp: 3,
+    fireRate: 400,
+    damage: 1,
+    color: '#1abc9c',
+    ability: 'dash',
+  },
+  {
+    id: 'tank',
+    name: 'Heavy Guard',
+    description: 'Tough, low MP capacity.',
+    speed: 3, 
+    maxHp: 5,
+    maxMp: 2,
+    fireRate: 600,
+    damage: 1,
+    color: '#8e44ad',
+    ability: 'taunt',
+  },
+  {
+    id: 'trapper',
+    name: 'Trap Setter',
+    description: 'Plans ahead. Lots of MP for snares.',
+    speed: 3,
+    maxHp: 3,
+    maxMp: 4,
+    fireRate: 500,
+    damage: 1,
+    color: '#e1b12c',
+    ability: 'trap',
+    unlock: { highScore: 5000 },
+  },
+  {
+    id: 'medic',
+    name: 'Field Medic',
+    description: 'Fragile, but patches up wounds. Cannot crack walls.',
+    speed: 3,
+    maxHp: 3,
+    maxMp: 5,
+    fireRate: 500,
+    damage: 1,
+    color: '#ff6b81',
+    ability: 'heal',
+    unlock: { ending: 'escaped_together' },
+  }
+];
+
+export const DIFFICULTY_SCALE = {
+  enemySpeedBase: 1.2, 
+  maxLockedDoors: 2, // Locked doors per building: floor((difficulty + 1) / 2), capped here
+};
+
+// Difficulty modes picked on character select. Buildings still get harder along the
+// route (building difficulty 0..5); the profile tunes how steeply and how hard it hits.
+//   roomsMultiplier, enemyCountMultiplier   extra rooms / enemies per building difficulty level
+//   enemyHp, enemySpeed                     multipliers on enemy and boss HP and speed
+//   telegraph                               multiplier on attack wind-ups (melee, aim, charge, boss)
+//   dropChance                              multiplier on room and crate consumable drops
+//   startHp, startMp                        added to the character's max HP and MP
+export const DIFFICULTY_PROFILES = {
+  story: {
+    name: 'Story', description: 'For the plot. Fewer, weaker enemies and slow attacks.',
+    roomsMultiplier: 1.0, enemyCountMultiplier: 0.8, enemyHp: 0.6, enemySpeed: 0.8, telegraph: 1.5, dropChance: 1.6, startHp: 2, startMp: 1
+  },
+  normal: {
+    name: 'Normal', description: 'The island as intended.',
+    roomsMultiplier: 1.5, enemyCountMultiplier: 1.2, enemyHp: 1, enemySpeed: 1, telegraph: 1, dropChance: 1, startHp: 0, startMp: 0
+  },
+  hard: {
+    name: 'Hard', description: 'Bigger buildings, tougher guards, fewer snacks.',
+    roomsMultiplier: 1.7, enemyCountMultiplier: 1.5, enemyHp: 1.3, enemySpeed: 1.15, telegraph: 0.8, dropChance: 0.7, startHp: 0, startMp: 0
+  },
+  nightmare: {
+    name: 'Nightmare', description: 'Swarms that hit fast. You start with one less heart.',
+    roomsMultiplier: 2.0, enemyCountMultiplier: 1.8, enemyHp: 1.6, enemySpeed: 1.3, telegraph: 0.6, dropChance: 0.5, startHp: -1, startMp: 0
+  },
+};
+
+export const DEFAULT_DIFFICULTY = 'normal';
+
+// Checkpoint mode (optional, picked on character select): dying inside a building rolls the
+// run back to how it entered that building, minus this much score
+export const CHECKPOINTS = {
+  deathPenalty: 500,
+};
+
+// One boss per theme. Each phase starts when the boss HP ratio drops to `hpRatio`
+// and lists the attacks it picks from; `telegraph` is the warning time in steps.
+// Attacks: slam (area around the boss), charge (dash along a locked line), summon (adds minions),
+// volley (a ring of projectiles)
+export const BOSSES = {
+  bathroom: {
+    name: 'The Plumber', color: '#00838f', hp: 24, speed: 0.8, reward: 1000,
+    phases: [
+      { hpRatio: 1.0, attacks: ['slam'], telegraph: 60, cooldown: 90 },
+      { hpRatio: 0.66, attacks: ['slam', 'charge'], telegraph: 50, cooldown: 70 },
+      { hpRatio: 0.33, attacks: ['charge', 'volley', 'slam'], telegraph: 35, cooldown: 50 }
+    ]
+  },
+  ballroom: {
+    name: 'Grand Conductor', color: '#6d4c41', hp: 26, speed: 0.9, reward: 1000,
+    phases: [
+      { hpRatio: 1.0, attacks: ['charge'], telegraph: 60, cooldown: 90 },
+      { hpRatio: 0.66, attacks: ['charge', 'summon', 'volley'], telegraph: 50, cooldown: 80 },
+      { hpRatio: 0.33, attacks: ['charge', 'slam', 'summon'], telegraph: 35, cooldown: 55 }
+    ]
+  },
+  living_room: {
+    name: 'Couch Warden', color: '#e65100', hp: 28, speed: 0.7, reward: 1000,
+    phases: [
+      { hpRatio: 1.0, attacks: ['slam', 'summon'], telegraph: 60, cooldown: 100 },
+      { hpRatio: 0.66, attacks: ['slam', 'summon'], telegraph: 45, cooldown: 80 },
+      { hpRatio: 0.33, attacks: ['slam', 'charge', 'volley'], telegraph: 35, cooldown: 55 }
+    ]
+  },
+  warehouse: {
+    name: 'Forklift Foreman', color: '#455a64', hp: 30, speed: 1.0, reward: 1000,
+    phases: [
+      { hpRatio: 1.0, attacks: ['charge'], telegraph: 55, cooldown: 80 },
+      { hpRatio: 0.66, attacks: ['charge', 'slam'], telegraph: 45, cooldown: 65 },
+      { hpRatio: 0.33, attacks: ['charge', 'charge', 'summon'], telegraph: 30, cooldown: 45 }
+    ]
+  },
+  dungeon: {
+    name: 'The Warden', color: '#212121', hp: 34, speed: 1.0, reward: 1500,
+    phases: [
+      { hpRatio: 1.0, attacks: ['slam', 'charge'], telegraph: 50, cooldown: 80 },
+      { hpRatio: 0.66, attacks: ['slam', 'charge', 'summon'], telegraph: 40, cooldown: 65 },
+      { hpRatio: 0.33, attacks: ['charge', 'slam', 'summon', 'volley'], telegraph: 28, cooldown: 40 }
+    ]
+  },
+  garden: {
+    name: 'Head Gardener', color: '#2e7d32', hp: 26, speed: 0.8, reward: 1000,
+    phases: [
+      { hpRatio: 1.0, attacks: ['summon', 'slam'], telegraph: 60, cooldown: 100 },
+      { hpRatio: 0.66, attacks: ['summon', 'slam', 'volley'], telegraph: 45, cooldown: 80 },
+      { hpRatio: 0.33, attacks: ['slam', 'charge', 'summon'], telegraph: 35, cooldown: 55 }
+    ]
+  }
+};
+
+export const BOSS_SIZE = 64;
+export const BOSS_SLAM_RADIUS = 110;
+export const BOSS_MAX_MINIONS = 4;
+export const BOSS_VOLLEY = { count: 12, speed: 2.5, radius: 7 };
+
+// Enemy archetypes. `ai` picks the state machine in the engine; hp/speed grow with
+// building difficulty (hp + hpPerLevel * difficulty, speed * (1 + 0.25 * difficulty)).
+// Melee wind-ups last windup + windupPerLevel * difficulty steps.
+// Types below `minDifficulty` never spawn; `splitInto` spawns smaller enemies on death.
+export const ENEMY_TYPES = {
+  chaser: { ai: 'melee', hp: 2, hpPerLevel: 1, speed: 1.0, size: 32, color: '#c0392b', score: 100, minDifficulty: 0,
+            windup: 30, windupPerLevel: 5 },
+  shooter: { ai: 'ranged', hp: 2, hpPerLevel: 0.5, speed: 0.8, size: 32, color: '#d35400', score: 150, minDifficulty: 1,
+             range: 240, fireInterval: 110, aimTime: 25, bulletSpeed: 3.5 },
+  charger: { ai: 'charge', hp: 3, hpPerLevel: 1, speed: 0.7, size: 32, color: '#6c3483', score: 150, minDifficulty: 1,
+             triggerRange: 220, windup: 45, dashSpeed: 6, dashTime: 30, rest: 50 },
+  splitter: { ai: 'melee', hp: 3, hpPerLevel: 1, speed: 0.8, size: 36, color: '#1e8449', score: 100, minDifficulty: 2,
+              windup: 30, windupPerLevel: 5, splitInto: 'splitling', splitCount: 2 },
+  splitling: { ai: 'melee', hp: 1, hpPerLevel: 0.5, speed: 1.4, size: 22, color: '#52be80', score: 50, minDifficulty: Infinity,
+               windup: 30, windupPerLevel: 5 },
+  turret: { ai: 'turret', hp: 4, hpPerLevel: 1, speed: 0, size: 32, color: '#566573', score: 200, minDifficulty: 2,
+            fireInterval: 80, bulletSpeed: 3, spread: 0.3 }
+};
+
+// Relative spawn weights per building theme
+export const THEME_ENEMY_MIX = {
+  bathroom: { chaser: 3, shooter: 2, splitter: 1 },
+  ballroom: { chaser: 3, charger: 2, shooter: 1 },
+  living_room: { chaser: 3, splitter: 2, turret: 1 },
+  warehouse: { chaser: 2, charger: 2, turret: 2 },
+  dungeon: { chaser: 2, shooter: 2, charger: 2, splitter: 1, turret: 1 },
+  garden: { chaser: 2, splitter: 2, shooter: 2 }
+};
@@ -0,0 +1,147 @@
+import { HIDDEN_BUILDING_ID } from './constants.js';
+import { ITEMS } from './items.js';
+import { LORE_FILES } from './lore.js';
+
+/**
+ * ==========================================
+ * ENDINGS
+ * ==========================================
+ * The ending is a graph of pages. A run starts at the first page in ENDING_START
+ * whose `when` holds, and each page continues to the first page in its `next` list
+ * whose `when` holds; the walk stops when none does. Conditions and dynamic texts get
+ * the ending context from createEndingContext. Every page reached is unlocked in
+ * the gallery, so adding an ending is one entry here (plus a `next` link to it).
+ *   title, text   text may be a function of the context
+ *   hint          shown in the gallery while the page is still locked
+ */
+const AFTER_ESCAPE = ['untouchable', 'guard_stand', 'savior', 'truth', 'island_remains'];
+
+// What each case file carried off the island revealed, in document order
+const foundEvidence = (ctx) => LORE_FILES.filter(f => ctx.lore.includes(f.id)).map(f => f.ending);
+
+export const ENDING_PAGES = {
+  escaped_together: {
+    title: 'Escaped Together',
+    text: 'You find your friend on the dockyard, you have the key, and you released your friends. Together, you successfully escaped.',
+    hint: 'Escape with the key.',
+    when: (ctx) => ctx.hasKey,
+    next: AFTER_ESCAPE
+  },
+  escaped_alone: {
+    title: 'Escaped Alone',
+    text: 'You find the boat to leave the island, your friend is locked in a cage on the dockyard. Your friend tried to make noise to attract the focus of the guards and you successfully escaped.',
+    hint: 'Escape without the key.',
+    when: (ctx) => !ctx.hasKey,
+    next: AFTER_ESCAPE
+  },
+  untouchable: {
+    title: 'Untouchable',
+    text: 'Not a scratch on you. The guards are still arguing about whether you were ever on the island at all.',
+    hint: 'Escape without taking a single hit.',
+    when: (ctx) => ctx.hitsTaken === 0,
+    next: AFTER_ESCAPE.slice(1)
+  },
+  guard_stand: {
+    title: 'Last One Aboard',
+    text: 'The Heavy Guard held the pier while every last kid climbed onto the boat, then stepped aboard as the ropes came loose.',
+    hint: 'Free your friends as the Heavy Guard.',
+    when: (ctx) => ctx.charId === 'tank' && ctx.hasKey,
+    next: AFTER_ESCAPE.slice(2)
+  },
+  savior: {
+    title: 'Savior',
+    text: 'By clearing the hidden dungeon, you released all the trapped kids!',
+    hint: 'Clear the hidden building.',
+    when: (ctx) => ctx.hiddenCleared,
+    next: ['truth', 'island_remains']
+  },
+  truth: {
+    title: 'Truth Exposed',
+    // Each document found adds its own revelation. Any evidence gets the story out; only the
+    // complete files bring the raid, and with pages missing Island Remains follows.
+    text: (ctx) => [...foundEvidence(ctx), ctx.allFiles
+      ? 'With the complete files, you exposed the island to the media. Police raid incoming!'
+      : "It's enough for the papers, but with pages missing, the people behind it walk free for now."].join(' '),
+    hint: 'Escape with at least one case file. The more you carry, the more it tells.',
+    when: (ctx) => ctx.files > 0,
+    next: ['nobel', 'island_remains', 'legend']
+  },
+  island_remains: {
+    title: 'Island Remains',
+    text: (ctx) => ctx.files === 0
+      ? "You survived, but without evidence, the island's dark experiments continue."
+      : "Without the complete files, nobody can shut it down, and the island's dark experiments continue.",
+    hint: `Escape without all ${ITEMS.file.limit} case files.`,
+    when: (ctx) => !ctx.allFiles,
+    next: ['legend']
+  },
+  nobel: {
+    title: 'Nobel Peace Prize',
+    text: 'Your extraordinary bravery and complete exposure of the operation earned you the Nobel Peace Prize!',
+    hint: 'Expose everything and free everyone.',
+    when: (ctx) => ctx.hiddenCleared && ctx.allFiles,
+    next: ['legend']
+  },
+  legend: {
+    title: 'Island Legend',
+    text: 'Years later, kids still tell the story of the one who tore through every building on the island.',
+    hint: 'Escape with a score of 15000 or more.',
+    when: (ctx) => ctx.score >= 15000,
+    next: []
+  },
+};
+
+export const ENDING_START = ['escaped_together', 'escaped_alone'];
+
+// Everything the page conditions may look at, from the run's world map, stats and character
+export const createEndingContext = ({ worldMap, playerStats, charId }) => ({
+  hasKey: playerStats.keys > 0,
+  hiddenCleared: !!worldMap.find(b => b.id === HIDDEN_BUILDING_ID)?.cleared,
+  files: playerStats.files,
+  allFiles: playerStats.files >= ITEMS.file.limit,
+  lore: playerStats.lore || [],
+  hitsTaken: playerStats.hitsTaken || 0,
+  charId,
+  score: playerStats.score,
+});
+
+// Walks the graph and returns the ids of the pages to show, in order
+export const runEnding = (ctx) => {
+  const path = [];
+  const pick = (ids) => ids.find(id => !path.includes(id) && ENDING_PAGES[id].when(ctx));
+  let id = pick(ENDING_START);
+  while (id) {
+    path.push(id);
+    id = pick(ENDING_PAGES[id].next);
+  }
+  return path;
+};
+
+export const getEndingText = (id, ctx) => {
+  const { text } = ENDING_PAGES[id];
+  return typeof text === 'function' ? text(ctx) : text;
+};
+
+// --- GALLERY ---
+
+const GALLERY_KEY = 'escape_island_endings';
+
+export const loadUnlockedEndings = () => {
+  try {
+    const ids = JSON.parse(localStorage.getItem(GALLERY_KEY) || '[]');
+    return Array.isArray(ids) ? ids.filter(id => ENDING_PAGES[id]) : [];
+  } catch {
+    return [];
+  }
+};
+
+// Adds the pages of a finished run to the gallery and returns the full unlocked list
+export const unlockEndings = (ids) => {
+  const unlocked = [...new Set([...loadUnlockedEndings(), ...ids])];
+  try {
+    localStorage.setItem(GALLERY_KEY, JSON.stringify(unlocked));
+  } catch (err) {
+    console.warn('Failed to save unlocked endings', err);
+  }
+  return unlocked;
+};
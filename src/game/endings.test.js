@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HIDDEN_BUILDING_ID } from './constants.js';
+import { ITEMS } from './items.js';
+import { LORE_FILES } from './lore.js';
+import { createEndingContext, runEnding, getEndingText } from './endings.js';
+
+/**
+ * ==========================================
+ * ENDING TESTS (node --test)
+ * ==========================================
+ * Each test escapes with a made-up run: a runner who took a hit, has no key,
+ * found no files and left the hidden building alone, unless the test says otherwise.
+ */
+const escapeWith = ({ lore = [], keys = 0, hiddenCleared = false, hitsTaken = 1, charId = 'runner', score = 1000 } = {}) => createEndingContext({
+  worldMap: [{ id: 0, cleared: true }, { id: HIDDEN_BUILDING_ID, cleared: hiddenCleared }],
+  playerStats: { keys, files: lore.length, lore, hitsTaken, score },
+  charId
+});
+
+const ALL_FILES = LORE_FILES.map(f => f.id);
+
+test('escaping without evidence leaves the island as it is', () => {
+  const ctx = escapeWith();
+
+  assert.deepEqual(runEnding(ctx), ['escaped_alone', 'island_remains']);
+  assert.match(getEndingText('island_remains', ctx), /without evidence/);
+});
+
+test('some case files tell part of the truth and the island remains', () => {
+  const ctx = escapeWith({ lore: [1, 3] });
+  const truth = getEndingText('truth', ctx);
+
+  assert.deepEqual(runEnding(ctx), ['escaped_alone', 'truth', 'island_remains']);
+  [1, 3].forEach(id => assert.ok(truth.includes(LORE_FILES[id].ending), `document ${id} is told`));
+  [0, 2, 4].forEach(id => assert.ok(!truth.includes(LORE_FILES[id].ending), `document ${id} is not`));
+  assert.match(truth, /walk free/);
+  assert.match(getEndingText('island_remains', ctx), /complete files/);
+});
+
+test('all case files bring the raid', () => {
+  assert.equal(ALL_FILES.length, ITEMS.file.limit);
+  const ctx = escapeWith({ lore: ALL_FILES });
+  const truth = getEndingText('truth', ctx);
+
+  assert.deepEqual(runEnding(ctx), ['escaped_alone', 'truth']);
+  LORE_FILES.forEach(f => assert.ok(truth.includes(f.ending)));
+  assert.match(truth, /Police raid/);
+});
+
+test('a flawless full run reaches every page it qualifies for', () => {
+  const ctx = escapeWith({ lore: ALL_FILES, keys: 1, hiddenCleared: true, hitsTaken: 0, charId: 'tank', score: 20000 });
+
+  assert.deepEqual(runEnding(ctx), ['escaped_together', 'untouchable', 'guard_stand', 'savior', 'truth', 'nobel', 'legend']);
+});
+
+test('clearing the hidden building without every file misses the Nobel Prize', () => {
+  const ctx = escapeWith({ lore: [0], keys: 1, hiddenCleared: true });
+
+  assert.deepEqual(runEnding(ctx), ['escaped_together', 'savior', 'truth', 'island_remains']);
+});
+
+test('a high score ends any escape with the legend', () => {
+  assert.deepEqual(runEnding(escapeWith({ score: 15000 })), ['escaped_alone', 'island_remains', 'legend']);
+});
@@ -0,0 +1,1235 @@
+import { TILE_SIZE, PLAYER_SIZE, STEP_MS, HIDDEN_BUILDING_ID, COLORS, DIFFICULTY_SCALE, DIFFICULTY_PROFILES, DEFAULT_DIFFICULTY, CHECKPOINTS, BOSSES, BOSS_SIZE, BOSS_SLAM_RADIUS, BOSS_MAX_MINIONS, BOSS_VOLLEY, ENEMY_TYPES, THEME_ENEMY_MIX, PLAYER_IFRAMES, KNOCKBACK_SPEED, KNOCKBACK_FRICTION, SHOT_BLOCKING_TILES, TILE_SPEED, TILE_ACCEL, HAZARDS, BUILDING_SHAPE, ROUTE_MAP, ECONOMY } from './constants.js';
+import { mulberry32, getSeededInt } from './random.js';
+import { generateWorldMap, generateBuilding } from './generators.js';
+import { isSolidTile, buildFlowField, getFlowTarget } from './pathfinding.js';
+import { getBuildingLoreIds } from './lore.js';
+import { ABILITIES, getAbility } from './characters.js';
+import { createTelemetry, trackBuilding } from './telemetry.js';
+import { ITEMS, applyItem, canApplyItem, startBuff, tickBuffs, absorbHit, getBuffModifier, pickConsumable, getShopPrice } from './items.js';
+
+/**
+ * ==========================================
+ * HEADLESS GAME ENGINE
+ * ==========================================
+ * All game rules live here and operate on a plain run state object, so the
+ * simulation can be driven without React or a DOM (e.g. from Node).
+ *
+ * `step(state, input)` advances the state by one fixed STEP_MS tick and returns the events
+ * that happened during that tick. Given the same seed, building entries and
+ * inputs it always produces the same run, which is what replays rely on:
+ *   { type: 'shotFired' }
+ *   { type: 'abilityUsed', ability }   (the character's ability, on the bomb button)
+ *   { type: 'trapTriggered' }
+ *   { type: 'itemCollected', item }
+ *   { type: 'itemUsed', itemType }     (the carried active item)
+ *   { type: 'buffExpired', buff }
+ *   { type: 'damageBlocked' }          (a hit absorbed by a shield buff)
+ *   { type: 'enemyKilled', enemy }
+ *   { type: 'bossDamaged', hp }
+ *   { type: 'bossPhase', phase }
+ *   { type: 'bossDefeated', name }
+ *   { type: 'roomCleared', roomId }
+ *   { type: 'roomEntered', roomId, direction }
+ *   { type: 'doorLocked', lockId }     (bumped a locked door without its key)
+ *   { type: 'doorUnlocked', lockId }
+ *   { type: 'secretFound', roomId }    (a bomb opened a cracked wall)
+ *   { type: 'crateBroken', roomId, drop }  (drop is the item type or null)
+ *   { type: 'playerDamaged', hp }
+ *   { type: 'playerDied' }
+ *   { type: 'levelComplete', buildingId, revealedHidden, isFinal }
+ *
+ * Between steps the app drives the run with enterBuilding, visitNode and (after a death
+ * in checkpoint mode) reviveRun.
+ */
+
+// Run modes: MAP (between buildings), PLAYING (inside a building), DEAD
+export const createInput = () => ({ x: 0, y: 0, fire: false, bomb: false, use: false });
+
+const createPlayer = () => ({ x: 0, y: 0, vx: 0, vy: 0, cooldown: 0, abilityCooldown: 0, dash: null, facing: {x:1, y:0}, frameIndex: 0, frameTimer: 0, state: 'idle', invuln: 0, touchingLock: false, moveX: 0, moveY: 0, useHeld: false });
+
+export const createPlayerStats = (char, profile = DIFFICULTY_PROFILES[DEFAULT_DIFFICULTY]) => ({
+    hp: Math.max(1, char.maxHp + profile.startHp), maxHp: Math.max(1, char.maxHp + profile.startHp),
+    mp: char.maxMp + profile.startMp, maxMp: char.maxMp + profile.startMp,
+    speed: char.speed, damage: char.damage,
+    keys: 0, files: 0, score: 0,
+    coins: 0, // Spent at shop nodes
+    hitsTaken: 0, // Hits that cost HP this run
+    lore: [], // Ids of the case files read (see lore.js)
+    doorKeys: [], // Lock ids of in-building keys held; they only fit the building they were found in
+    buffs: {}, // Active timed buffs: buff id -> remaining steps
+    activeItem: null, // Type of the carried active item
+    pickups: {}, // How many of each limited item were picked up, for the inventory
+    deaths: 0 // Deaths undone by checkpoints
+});
+
+export const createRunState = (char, rootSeed, difficultyId = DEFAULT_DIFFICULTY, checkpoints = false) => ({
+    char,
+    rootSeed,
+    difficultyId, // Key of DIFFICULTY_PROFILES
+    checkpoints, // Checkpoint mode: a death can be undone with reviveRun
+    checkpoint: null, // { playerStats, collectedItems } as the player entered the current building
+    worldMap: generateWorldMap(rootSeed),
+    playerStats: createPlayerStats(char, DIFFICULTY_PROFILES[difficultyId]),
+    // IDs of all collected items, so regenerated buildings don't respawn them
+    collectedItems: new Set(),
+    currentBuildingId: null,
+    activeRoomId: 0,
+    mode: 'MAP',
+    building: null,
+    player: createPlayer(),
+    projectiles: [],
+    enemyProjectiles: [],
+    enemies: [],
+    items: [],
+    particles: [],
+    shockwaves: [],
+    currentTarget: null, // Currently targeted enemy, kept for rendering the reticle
+    decoy: null, // { x, y, life } while a decoy draws the enemies away
+    taunt: 0, // Steps left in which enemies ignore the decoy and go for the player
+    traps: [], // { x, y } snares set in the current room
+    roomEntry: { x: 0, y: 0 }, // Where the player came into the current room, for the beacon
+    flowField: null, // Distances to the player's tile, rebuilt when the player changes tile
+    hazardClock: 0, // Steps in the current building; drives the spike pulse
+    runSteps: 0, // Steps played this run, across buildings and retries
+    telemetry: createTelemetry(), // Run statistics for the post-game summary (see telemetry.js)
+    lootRng: null, // Coin drop rolls, reseeded from the room whenever its enemies spawn
+    // Cosmetic randomness (particles) has its own stream so it never shifts gameplay rolls
+    fxRng: mulberry32(rootSeed ^ 0x5EED)
+});
+
+export const getBuildingDifficulty = (node) => {
+  if (node.id === HIDDEN_BUILDING_ID) return 5; // Hidden is hard
+  return node.column + (node.type === 'elite' ? ROUTE_MAP.eliteDifficultyBonus : 0);
+};
+
+export const getDifficultyProfile = (state) => DIFFICULTY_PROFILES[state.difficultyId];
+
+export const getActiveRoom = (state) => state.building ? state.building.rooms.find(r => r.id === state.activeRoomId) : null;
+
+// --- COLLISION ---
+
+export const checkCollision = (rect1, rect2) => {
+    return (rect1.x < rect2.x + rect2.w && rect1.x + rect1.w > rect2.x && rect1.y < rect2.y + rect2.h && rect1.y + rect1.h > rect2.y);
+};
+
+// Tile under the point (x + 16, y + 16), matching checkWallCollision; null outside the room
+const tileAt = (x, y, room) => {
+  const gridX = Math.floor((x + 16) / TILE_SIZE);
+  const gridY = Math.floor((y + 16) / TILE_SIZE);
+  if (gridY < 0 || gridY >= room.height || gridX < 0 || gridX >= room.width) return null;
+  return room.layout.grid[gridY][gridX];
+};
+
+// Movement multiplier for an entity at (x, y), e.g. wading through water
+const getTileSpeed = (x, y, room) => {
+  const tile = tileAt(x, y, room);
+  return (tile && TILE_SPEED[tile.type]) || 1;
+};
+
+const getTileAccel = (x, y, room) => {
+  const tile = tileAt(x, y, room);
+  return (tile && TILE_ACCEL[tile.type]) || 1;
+};
+
+export const areSpikesRaised = (state) => (state.hazardClock % HAZARDS.spikeCycle) < HAZARDS.spikeActive;
+
+// Wall tile a door sits in
+export const getDoorTile = (room, door) => {
+  if (door.side === 'top') return { x: door.pos, y: 0 };
+  if (door.side === 'bottom') return { x: door.pos, y: room.height - 1 };
+  if (door.side === 'left') return { x: 0, y: door.pos };
+  return { x: room.width - 1, y: door.pos };
+};
+
+export const checkWallCollision = (x, y, room) => {
+  const gridX = Math.floor((x + 16) / TILE_SIZE);
+  const gridY = Math.floor((y + 16) / TILE_SIZE);
+  if (gridY < 0 || gridY >= room.height || gridX < 0 || gridX >= room.width) return true;
+  const tile = room.layout.grid[gridY][gridX];
+  if (isSolidTile(tile)) {
+      // Locked doors and undiscovered secret doors stay solid
+      const isDoor = room.doors.some(d => {
+         if (d.lockId !== null || d.hidden) return false;
+         const t = getDoorTile(room, d);
+         return t.x === gridX && t.y === gridY;
+      });
+
+      if (room.type === 'boss' && room.cleared) {
+         // Boss door offset logic: Top wall, midX + 2. Sealed until the boss is defeated.
+         const bossDoorX = Math.floor(room.width/2) + 2;
+         if (gridY === 0 && gridX === bossDoorX) return false;
+      }
+      return !isDoor;
+  }
+  return false;
+};
+
+// Whether a shot at (x, y) is stopped: walls (but not open doors), furniture, crates and
+// bushes. Pits and water don't stop shots.
+export const checkProjectileCollision = (x, y, room) => {
+  const tile = tileAt(x, y, room);
+  if (!tile) return true;
+  if (!SHOT_BLOCKING_TILES.includes(tile.type)) return false;
+  return isSolidTile(tile) ? checkWallCollision(x, y, room) : true;
+};
+
+// The door (matching `filter`) a player at (x, y) is within `reach` pixels of passing through
+const doorAt = (x, y, room, reach, filter) => {
+    const cx = x + 16; const cy = y + 16;
+    return room.doors.find(d => {
+        if (!filter(d)) return false;
+        const t = getDoorTile(room, d);
+        const dx = Math.abs(cx - (t.x * TILE_SIZE + TILE_SIZE / 2));
+        const dy = Math.abs(cy - (t.y * TILE_SIZE + TILE_SIZE / 2));
+        if (d.side === 'top') return cy < TILE_SIZE + reach && dx < TILE_SIZE;
+        if (d.side === 'bottom') return cy > (room.height-1)*TILE_SIZE - reach && dx < TILE_SIZE;
+        if (d.side === 'left') return cx < TILE_SIZE + reach && dy < TILE_SIZE;
+        return cx > (room.width-1)*TILE_SIZE - reach && dy < TILE_SIZE;
+    }) || null;
+};
+
+// Returns the door being walked through, 'boss' for the boss exit, or null.
+// Locked and hidden doors are never returned; see checkLockedDoor.
+export const checkDoorCollision = (x, y, room) => {
+    const cx = x + 16; const cy = y + 16;
+
+    // Standard Doors
+    const door = doorAt(x, y, room, 0, d => d.lockId === null && !d.hidden);
+    if (door) return door;
+
+    if (room.type === 'boss' && room.cleared) {
+        // Boss Exit: Top Wall, Offset +2 (only once the boss is defeated)
+        const bossDoorPixelX = (Math.floor(room.width/2) + 2) * TILE_SIZE + (TILE_SIZE/2);
+        if (cy < TILE_SIZE && Math.abs(cx - bossDoorPixelX) < TILE_SIZE) return 'boss';
+    }
+    return null;
+};
+
+// The locked door the player is pressing against, if any. Locked doors are solid,
+// so this reaches a few pixels further than checkDoorCollision.
+export const checkLockedDoor = (x, y, room) => doorAt(x, y, room, 8, d => d.lockId !== null && !d.hidden);
+
+// --- ROOM OBJECTS ---
+
+// Breaks a crate tile: it becomes floor and may drop a consumable, rolled from the
+// room seed and tile so the same crate always drops the same thing
+const breakCrate = (g, room, tile, events) => {
+  tile.type = 'floor'; tile.broken = true; delete tile.hp;
+  const cx = tile.x * TILE_SIZE; const cy = tile.y * TILE_SIZE;
+  createParticles(g, cx + TILE_SIZE / 2, cy + TILE_SIZE / 2, COLORS.crate);
+  g.flowField = null; // A new way through
+
+  const dropRng = mulberry32(room.seed + tile.y * room.width + tile.x);
+  let drop = null;
+  if (dropRng() < HAZARDS.crateDropChance * getDifficultyProfile(g).dropChance) {
+      drop = pickConsumable(dropRng);
+      // Negative ids never clash with generated items
+      const item = { id: -(1 + room.id * 10000 + tile.y * room.width + tile.x), type: drop, x: cx + 12, y: cy + 12, w: 24, h: 24, isUnlimited: true };
+      room.items.push(item);
+      g.items.push(item);
+  }
+  events.push({ type: 'crateBroken', roomId: room.id, drop });
+};
+
+// Regular enemies may leave a coin behind; bosses always drop a pile
+const dropCoins = (g, room, enemy) => {
+  const value = enemy.isBoss ? ECONOMY.bossCoins : (g.lootRng() < ECONOMY.enemyCoinChance ? 1 : 0);
+  if (value === 0) return;
+  room.coinDrops = (room.coinDrops || 0) + 1;
+  const c = center(enemy);
+  // Below the range of the crate drop ids
+  const item = { id: -(1e9 + room.id * 1000 + room.coinDrops), type: 'coin', value, x: c.x - 12, y: c.y - 12, w: 24, h: 24, isUnlimited: true };
+  room.items.push(item);
+  g.items.push(item);
+};
+
+const damageCrateAt = (g, room, x, y, amount, events) => {
+  const tile = tileAt(x, y, room);
+  if (!tile || tile.type !== 'crate') return;
+  tile.hp -= amount;
+  if (tile.hp <= 0) breakCrate(g, room, tile, events);
+};
+
+// --- ROOMS & BUILDINGS ---
+
+// The renderer interpolates from prevX/prevY to x/y; equal values mean "no motion this step"
+const savePrevPosition = (e) => { e.prevX = e.x; e.prevY = e.y; };
+
+const createParticles = (state, x, y, color) => {
+    for(let i=0; i<5; i++) {
+        state.particles.push({x, y, vx: (state.fxRng() - 0.5) * 5, vy: (state.fxRng() - 0.5) * 5, life: 20, color});
+    }
+};
+
+const createEnemy = (type, x, y, difficulty, profile) => {
+  const def = ENEMY_TYPES[type];
+  const hp = Math.max(1, Math.round((def.hp + def.hpPerLevel * difficulty) * profile.enemyHp));
+  const baseState = def.ai === 'turret' ? 'IDLE' : 'CHASE';
+  return {
+    type,
+    x, y,
+    w: def.size, h: def.size,
+    hp,
+    maxHp: hp,
+    state: baseState,
+    baseState, // State to return to after a stun or an attack
+    timer: 0,
+    fireTimer: def.fireInterval || 0,
+    angle: 0, // Locked aim / dash direction
+    frameIndex: 0,
+    frameTimer: 0,
+    speed: def.speed * (1.0 + difficulty * 0.25) * DIFFICULTY_SCALE.enemySpeedBase * profile.enemySpeed,
+    telegraph: profile.telegraph, // Scales wind-up times
+    color: def.color
+  };
+};
+
+// Weighted pick from the theme's mix, skipping types too hard for this difficulty
+const pickEnemyType = (rng, theme, difficulty) => {
+  const mix = THEME_ENEMY_MIX[theme] || { chaser: 1 };
+  const options = Object.entries(mix).filter(([type]) => ENEMY_TYPES[type].minDifficulty <= difficulty);
+  if (options.length === 0) return 'chaser';
+  const total = options.reduce((sum, [, weight]) => sum + weight, 0);
+  let roll = rng() * total;
+  for (const [type, weight] of options) {
+    roll -= weight;
+    if (roll < 0) return type;
+  }
+  return options[options.length - 1][0];
+};
+
+// Bosses are enemies too (targeting, bullets and bombs treat them alike) but
+// run their own AI in updateBoss. They start in the room center, which is always floor.
+const createBoss = (theme, room, difficulty, profile) => {
+  const def = BOSSES[theme] || BOSSES.dungeon;
+  const maxHp = Math.round(def.hp * (1 + difficulty * 0.4) * profile.enemyHp);
+  return {
+    isBoss: true,
+    theme,
+    name: def.name,
+    x: Math.floor(room.width / 2) * TILE_SIZE + (TILE_SIZE - BOSS_SIZE) / 2,
+    y: Math.floor(room.height / 2) * TILE_SIZE + (TILE_SIZE - BOSS_SIZE) / 2,
+    w: BOSS_SIZE, h: BOSS_SIZE,
+    hp: maxHp,
+    maxHp,
+    reward: def.reward * (1 + difficulty),
+    phase: 0,
+    state: 'IDLE',
+    timer: def.phases[0].cooldown,
+    attack: null, // { type, angle } while telegraphing / executing
+    frameIndex: 0,
+    frameTimer: 0,
+    speed: def.speed * DIFFICULTY_SCALE.enemySpeedBase * profile.enemySpeed,
+    telegraph: profile.telegraph,
+    color: def.color,
+    rng: mulberry32(room.seed + 9001) // Attack choices, seeded so replays match
+  };
+};
+
+const setupRoom = (state, roomId) => {
+  const room = state.building.rooms.find(r => r.id === roomId);
+  room.explored = true;
+  const tracked = trackBuilding(state);
+  tracked.roomsExplored = Math.max(tracked.roomsExplored, state.building.rooms.filter(r => r.explored).length);
+
+  state.enemies = [];
+  state.items = [...room.items];
+
+  const difficulty = state.building.difficulty;
+  const profile = getDifficultyProfile(state);
+  state.lootRng = mulberry32(room.seed + 6006);
+  const isStartRoom = roomId === state.building.startRoomId && difficulty === 0;
+
+  if (room.type === 'boss') {
+    if (!room.cleared) state.enemies.push(createBoss(state.building.theme, room, difficulty, profile));
+  } else if (!room.cleared && !isStartRoom) {
+    // Spawns derive from the room seed so the same island gets the same enemies
+    const spawnRng = mulberry32(room.seed + 4242);
+    // Large rooms get half as many again per extra map cell
+    const cellScale = 1 + 0.5 * (room.cw * room.ch - 1);
+    const enemyCount = Math.floor((2 + difficulty * profile.enemyCountMultiplier) * cellScale);
+    for (let i = 0; i < enemyCount; i++) {
+      let ex, ey, valid = false;
+      while (!valid) {
+         ex = getSeededInt(spawnRng, 2, room.width - 2) * TILE_SIZE;
+         ey = getSeededInt(spawnRng, 2, room.height - 2) * TILE_SIZE;
+         if (!checkWallCollision(ex, ey, room)) {
+              const dist = Math.hypot(ex - state.player.x, ey - state.player.y);
+              if (dist > 150) valid = true;
+         }
+      }
+
+      state.enemies.push(createEnemy(pickEnemyType(spawnRng, state.building.theme, difficulty), ex, ey, difficulty, profile));
+    }
+  }
+};
+
+// Opens a lock on both sides of its door
+const openLock = (building, lockId) => {
+  const lock = building.locks.find(l => l.id === lockId);
+  if (!lock) return;
+  lock.open = true;
+  building.rooms.forEach(room => {
+      room.doors.forEach(d => { if (d.lockId === lockId) d.lockId = null; });
+  });
+};
+
+// Reveals a secret door on both sides of its wall
+const revealSecret = (building, link) => {
+  building.rooms.forEach(room => {
+      room.doors.forEach(d => { if (d.link === link) d.hidden = false; });
+  });
+};
+
+// Copies what a building can change: the stats and which items are gone from the island
+const takeCheckpoint = (state) => ({
+  playerStats: { ...state.playerStats, buffs: { ...state.playerStats.buffs } },
+  collectedItems: new Set(state.collectedItems)
+});
+
+// Undoes a death in checkpoint mode. The run goes back to the checkpoint, so pickups from
+// the failed attempt are lost and respawn in the building, and pays the death penalty.
+// `choice` is 'retry' (enter the same building again) or 'map'. Returns events like `step`:
+//   { type: 'runRevived', choice, buildingId }
+export const reviveRun = (state, choice) => {
+  const events = [];
+  if (state.mode !== 'DEAD' || !state.checkpoint) return events;
+  const buildingId = state.currentBuildingId;
+  const deaths = state.playerStats.deaths + 1;
+  state.playerStats = { ...state.checkpoint.playerStats, buffs: { ...state.checkpoint.playerStats.buffs }, deaths };
+  state.playerStats.score = Math.max(0, state.playerStats.score - CHECKPOINTS.deathPenalty);
+  state.collectedItems = new Set(state.checkpoint.collectedItems);
+  if (choice === 'retry') {
+      enterBuilding(state, buildingId);
+  } else {
+      state.mode = 'MAP';
+      state.building = null;
+      state.checkpoint = null;
+  }
+  events.push({ type: 'runRevived', choice, buildingId });
+  return events;
+};
+
+// `resume` restores a saved building:
+// { roomId, rooms: [{ id, explored, cleared, brokenCrates: [tileIndex] }], unlockedLocks: [lockId], foundSecrets: [link] }
+export const enterBuilding = (state, buildingId, resume = null) => {
+  const buildingNode = state.worldMap.find(b => b.id === buildingId);
+  const theme = buildingNode ? buildingNode.theme : 'dungeon';
+  const difficulty = getBuildingDifficulty(buildingNode);
+
+  // Generate building deterministically
+  const building = generateBuilding(buildingId, difficulty, theme, state.rootSeed, [...buildingNode.specialItems], getDifficultyProfile(state));
+
+  // Files are numbered across the island so each one is a different document
+  const loreIds = getBuildingLoreIds(state.worldMap, buildingId);
+  building.rooms.flatMap(r => r.items).filter(i => i.type === 'file').forEach((item, i) => { item.docId = loreIds[i]; });
+
+  // Filter out already collected items (Global Persistence). Door keys aren't in the
+  // collection: every visit regenerates the building with its locks closed, so they
+  // respawn unless a resumed visit already holds the key or opened its lock.
+  const resumedKeys = resume ? [...state.playerStats.doorKeys, ...(resume.unlockedLocks || [])] : [];
+  building.rooms.forEach(room => {
+      room.items = room.items.filter(item => item.type === 'doorKey'
+          ? !resumedKeys.includes(item.lockId)
+          : !state.collectedItems.has(item.id));
+  });
+
+  let entryRoomId = building.startRoomId;
+  if (resume) {
+      resume.rooms.forEach(saved => {
+          const room = building.rooms.find(r => r.id === saved.id);
+          if (!room) return;
+          room.explored = saved.explored; room.cleared = saved.cleared;
+          (saved.brokenCrates || []).forEach(idx => {
+              const tile = room.layout.grid[Math.floor(idx / room.width)]?.[idx % room.width];
+              if (tile && tile.type === 'crate') { tile.type = 'floor'; tile.broken = true; delete tile.hp; }
+          });
+      });
+      (resume.unlockedLocks || []).forEach(lockId => openLock(building, lockId));
+      (resume.foundSecrets || []).forEach(link => revealSecret(building, link));
+      if (building.rooms.some(r => r.id === resume.roomId)) entryRoomId = resume.roomId;
+  } else {
+      state.playerStats.doorKeys = []; // Door keys don't carry over between buildings
+      state.playerStats.buffs = {}; // Neither do buffs
+      if (state.checkpoints) state.checkpoint = takeCheckpoint(state);
+  }
+
+  state.currentBuildingId = buildingId;
+  state.building = building;
+  state.activeRoomId = entryRoomId;
+  state.mode = 'PLAYING';
+  if (!resume) trackBuilding(state).attemptDamage = 0; // A new visit or checkpoint retry starts unhurt
+
+  // Room centers are always inside the safe zone, so this is a valid spawn for resumed rooms too
+  const startRoom = building.rooms.find(r => r.id === entryRoomId);
+  state.player.x = (Math.floor(startRoom.width / 2) * TILE_SIZE) + (TILE_SIZE - PLAYER_SIZE) / 2;
+  state.player.y = (Math.floor(startRoom.height / 2) * TILE_SIZE) + (TILE_SIZE - PLAYER_SIZE) / 2;
+  state.player.vx = 0; state.player.vy = 0; state.player.invuln = 0;
+  state.player.moveX = 0; state.player.moveY = 0;
+  state.hazardClock = 0;
+  savePrevPosition(state.player);
+  state.roomEntry = { x: state.player.x, y: state.player.y };
+  state.decoy = null; state.taunt = 0; state.traps = []; state.player.dash = null;
+  state.projectiles = [];
+  state.enemyProjectiles = [];
+  state.particles = [];
+  state.shockwaves = [];
+  state.currentTarget = null;
+
+  setupRoom(state, entryRoomId);
+};
+
+// Moves the player through `door` into the room behind it and returns true,
+// or returns false (and stays put) if the door is locked or still hidden
+const transitionRoom = (state, door, events) => {
+  if (door.lockId !== null || door.hidden) return false;
+  const nextRoomId = door.to;
+  const nextRoom = state.building.rooms.find(r => r.id === nextRoomId);
+  const entry = nextRoom.doors.find(d => d.link === door.link);
+  state.activeRoomId = nextRoomId;
+  const p = state.player;
+
+  // STUCK FIX: Calculate safe positions aligned to grid center
+  // We target the center of the entry door tile then step 1.5 tiles in
+  // Ensure centering within the tile by adding (TILE_SIZE - PLAYER_SIZE) / 2
+  const centerOffset = (TILE_SIZE - PLAYER_SIZE) / 2;
+
+  if (entry.side === 'bottom') {
+      p.x = (entry.pos * TILE_SIZE) + centerOffset;
+      p.y = ((nextRoom.height - 2) * TILE_SIZE) + centerOffset;
+  }
+  if (entry.side === 'top') {
+      p.x = (entry.pos * TILE_SIZE) + centerOffset;
+      p.y = (1.5 * TILE_SIZE);
+  }
+  if (entry.side === 'right') {
+      p.x = ((nextRoom.width - 2) * TILE_SIZE) + centerOffset;
+      p.y = (entry.pos * TILE_SIZE) + centerOffset;
+  }
+  if (entry.side === 'left') {
+      p.x = (1.5 * TILE_SIZE);
+      p.y = (entry.pos * TILE_SIZE) + centerOffset;
+  }
+
+  p.vx = 0; p.vy = 0; p.moveX = 0; p.moveY = 0; // Neither knockback nor sliding carries through the door
+  savePrevPosition(p); // Don't interpolate across the room change
+  state.roomEntry = { x: p.x, y: p.y };
+  state.decoy = null; state.taunt = 0; state.traps = []; p.dash = null;
+  state.particles = []; state.projectiles = []; state.enemyProjectiles = [];
+  // Reset Target
+  state.currentTarget = null;
+  setupRoom(state, nextRoomId);
+  events.push({ type: 'roomEntered', roomId: nextRoomId, direction: door.side });
+  return true;
+};
+
+// Marks `node` cleared on the route: the other nodes of its column close (the branch
+// was chosen) and only its successors open. Returns the new world map.
+const advanceRoute = (worldMap, node) => worldMap.map(b => {
+  if (b.id === node.id) return { ...b, cleared: true };
+  if (b.id === HIDDEN_BUILDING_ID) return b; // Only the key opens the hidden building
+  if (node.next.includes(b.id)) return { ...b, locked: false };
+  if (b.column === node.column && !b.cleared) return { ...b, locked: true };
+  return b;
+});
+
+const completeLevel = (state, events) => {
+  // Current building completed
+  const currentBuilding = state.worldMap.find(b => b.id === state.currentBuildingId);
+  const maxCol = Math.max(...state.worldMap.map(b => b.column));
+
+  // Re-clearing a building doesn't reopen the branches it closed the first time
+  let newMap = [...state.worldMap];
+  if (!currentBuilding.cleared) {
+      newMap = advanceRoute(state.worldMap, currentBuilding);
+      if (currentBuilding.type === 'elite') state.playerStats.score += ROUTE_MAP.eliteScoreBonus;
+  }
+
+  // Clearing the first building with the key reveals the hidden building
+  const revealedHidden = currentBuilding.id === 0 && state.playerStats.keys > 0;
+  if (revealedHidden) {
+      const hiddenIndex = newMap.findIndex(b => b.id === HIDDEN_BUILDING_ID);
+      if (hiddenIndex !== -1) {
+          newMap[hiddenIndex] = { ...newMap[hiddenIndex], locked: false, hidden: false };
+      }
+  }
+
+  state.worldMap = newMap;
+  state.mode = 'MAP';
+  state.checkpoint = null;
+  events.push({
+      type: 'levelComplete',
+      buildingId: currentBuilding.id,
+      revealedHidden,
+      // Clearing the final column ends the run
+      isFinal: currentBuilding.id !== 0 && currentBuilding.column === maxCol
+  });
+};
+
+// Rest and shop nodes have no building; visiting one takes effect right on the map.
+// At a shop, `choice` is the index of the offer to buy with coins, and a null choice
+// leaves the shop. Returns events like `step`:
+//   { type: 'itemBought', nodeId, item, price }
+//   { type: 'nodeVisited', nodeId, nodeType }  (rested, or left the shop; the route moves on)
+// Nothing happens for locked or cleared nodes, or an offer that is sold, too expensive
+// or can't be used right now.
+export const visitNode = (state, nodeId, choice = null) => {
+  const events = [];
+  const node = state.worldMap.find(b => b.id === nodeId);
+  if (state.mode !== 'MAP' || !node || node.locked || node.cleared) return events;
+  const stats = state.playerStats;
+  if (node.type === 'rest') {
+      stats.hp = stats.maxHp;
+      stats.mp = stats.maxMp;
+  } else if (node.type === 'shop' && choice !== null) {
+      const item = node.stock[choice];
+      if (!item || (node.sold || []).includes(choice)) return events;
+      const price = getShopPrice(item, node.column);
+      if (stats.coins < price || !canApplyItem(stats, item)) return events;
+      applyItem(stats, { type: item });
+      stats.coins -= price;
+      // Sold offers live on the map node, so they stay gone for the rest of the run
+      state.worldMap = state.worldMap.map(b => b.id === nodeId ? { ...b, sold: [...(b.sold || []), choice] } : b);
+      events.push({ type: 'itemBought', nodeId, item, price });
+      return events;
+  } else if (node.type !== 'shop') {
+      return events;
+  }
+  state.worldMap = advanceRoute(state.worldMap, node);
+  events.push({ type: 'nodeVisited', nodeId, nodeType: node.type });
+  return events;
+};
+
+// Hits are ignored during the invulnerability window. Knockback pushes the player away
+// from `source` (a point) and is applied over the next steps, so walls still stop it.
+const takeDamage = (state, events, source, amount = 1) => {
+    const p = state.player;
+    if (p.invuln > 0 || p.dash) return;
+    const stats = state.playerStats;
+    if (absorbHit(stats)) {
+        createParticles(state, p.x, p.y, COLORS.shield);
+        p.invuln = PLAYER_IFRAMES;
+        events.push({ type: 'damageBlocked' });
+        return;
+    }
+    stats.hp -= amount;
+    stats.hitsTaken += 1;
+    const tracked = trackBuilding(state);
+    tracked.damage += amount;
+    tracked.attemptDamage += amount;
+    events.push({ type: 'playerDamaged', hp: stats.hp });
+    if (stats.hp <= 0) {
+        state.mode = 'DEAD';
+        events.push({ type: 'playerDied' });
+    }
+    createParticles(state, p.x, p.y, '#ff0000');
+    p.invuln = PLAYER_IFRAMES;
+
+    let dx = -p.facing.x, dy = -p.facing.y;
+    if (source) { dx = p.x + 16 - source.x; dy = p.y + 16 - source.y; }
+    const len = Math.hypot(dx, dy) || 1;
+    p.vx = (dx / len) * KNOCKBACK_SPEED;
+    p.vy = (dy / len) * KNOCKBACK_SPEED;
+};
+
+// --- HOSTILE PROJECTILES ---
+
+// Shared by enemies and bosses. (x, y) is the projectile center.
+const spawnEnemyProjectile = (g, x, y, angle, { speed, radius = 5, damage = 1, life = 180, color = COLORS.enemyProjectile }) => {
+  g.enemyProjectiles.push({ x, y, vx: Math.cos(angle) * speed, vy: Math.sin(angle) * speed, r: radius, damage, life, color });
+};
+
+// --- ENEMY AI ---
+
+const center = (e) => ({ x: e.x + e.w / 2, y: e.y + e.h / 2 });
+
+const moveToward = (e, tx, ty, baseSpeed, room) => {
+  const speed = baseSpeed * getTileSpeed(e.x, e.y, room);
+  const angle = Math.atan2(ty - e.y, tx - e.x);
+  const nextX = e.x + Math.cos(angle) * speed;
+  const nextY = e.y + Math.sin(angle) * speed;
+  if (!checkWallCollision(nextX, e.y, room)) e.x = nextX;
+  if (!checkWallCollision(e.x, nextY, room)) e.y = nextY;
+};
+
+// What regular enemies go after: a live decoy, otherwise the player (both 32px, top-left).
+// A taunt overrides the decoy. Bosses aren't fooled and always target the player.
+const getEnemyTarget = (g) => (g.taunt <= 0 && g.decoy) || g.player;
+
+const fireAtTarget = (g, e, speed, angleOffset = 0) => {
+  const cx = e.x + e.w / 2; const cy = e.y + e.h / 2;
+  const t = getEnemyTarget(g);
+  const angle = Math.atan2(t.y + 16 - cy, t.x + 16 - cx) + angleOffset;
+  spawnEnemyProjectile(g, cx, cy, angle, { speed });
+};
+
+// Walks along the flow field toward the target, around furniture.
+// Falls back to a straight line on the target's own tile or when cut off.
+const chaseTarget = (g, e, speed, room) => {
+  const next = getFlowTarget(g.flowField, e.x + 16, e.y + 16);
+  const t = getEnemyTarget(g);
+  if (next) moveToward(e, next.x - 16, next.y - 16, speed, room);
+  else moveToward(e, t.x, t.y, speed, room);
+};
+
+const updateFlowField = (g, room) => {
+  const t = getEnemyTarget(g);
+  const px = t.x + 16; const py = t.y + 16;
+  const f = g.flowField;
+  if (f && f.room === room && f.tileX === Math.floor(px / TILE_SIZE) && f.tileY === Math.floor(py / TILE_SIZE)) return;
+  g.flowField = buildFlowField(room, px, py);
+};
+
+// CHASE -> PREPARE (wind-up) -> ATTACK (hit if the player is still close) -> CHASE
+const updateMeleeEnemy = (g, e, room, events) => {
+  const t = getEnemyTarget(g);
+  const dist = Math.hypot(t.x - e.x, t.y - e.y);
+  if (e.state === 'CHASE') {
+    if (dist < 40) {
+        const def = ENEMY_TYPES[e.type];
+        e.state = 'PREPARE'; e.timer = Math.round((def.windup + def.windupPerLevel * g.building.difficulty) * e.telegraph);
+    }
+    else chaseTarget(g, e, e.speed * 0.5, room);
+  } else if (e.state === 'PREPARE') {
+    const playerDist = Math.hypot(g.player.x - e.x, g.player.y - e.y);
+    e.timer--; if (e.timer <= 0) { e.state = 'ATTACK'; if (playerDist < 50 && g.mode === 'PLAYING') takeDamage(g, events, center(e)); e.timer = 60; }
+  } else if (e.state === 'ATTACK') {
+    e.timer--; if (e.timer <= 0) e.state = 'CHASE';
+  }
+};
+
+// CHASE keeps the target at mid range; AIM is a short telegraph before each shot
+const updateRangedEnemy = (g, e, room) => {
+  const def = ENEMY_TYPES[e.type];
+  const t = getEnemyTarget(g);
+  const dist = Math.hypot(t.x - e.x, t.y - e.y);
+  if (e.state === 'CHASE') {
+    if (dist > def.range) chaseTarget(g, e, e.speed * 0.5, room);
+    else if (dist < def.range * 0.5) moveToward(e, 2 * e.x - t.x, 2 * e.y - t.y, e.speed * 0.5, room);
+    e.fireTimer--;
+    if (e.fireTimer <= 0 && dist <= def.range) { e.state = 'AIM'; e.timer = Math.round(def.aimTime * e.telegraph); }
+  } else if (e.state === 'AIM') {
+    e.timer--;
+    if (e.timer <= 0) {
+      fireAtTarget(g, e, def.bulletSpeed);
+      e.fireTimer = def.fireInterval;
+      e.state = 'CHASE';
+    }
+  }
+};
+
+// CHASE slowly, WINDUP with a locked direction, DASH in a straight line, REST
+const updateChargerEnemy = (g, e, room, events) => {
+  const def = ENEMY_TYPES[e.type];
+  const t = getEnemyTarget(g);
+  const dist = Math.hypot(t.x - e.x, t.y - e.y);
+  if (e.state === 'CHASE') {
+    if (dist < def.triggerRange) {
+      e.state = 'WINDUP'; e.timer = Math.round(def.windup * e.telegraph);
+      e.angle = Math.atan2(t.y - e.y, t.x - e.x);
+    } else chaseTarget(g, e, e.speed * 0.5, room);
+  } else if (e.state === 'WINDUP') {
+    e.timer--; if (e.timer <= 0) { e.state = 'DASH'; e.timer = def.dashTime; e.hit = false; }
+  } else if (e.state === 'DASH') {
+    const nextX = e.x + Math.cos(e.angle) * def.dashSpeed;
+    const nextY = e.y + Math.sin(e.angle) * def.dashSpeed;
+    if (checkWallCollision(nextX, nextY, room)) e.timer = 0;
+    else { e.x = nextX; e.y = nextY; }
+    if (!e.hit && g.mode === 'PLAYING' && checkCollision(e, { x: g.player.x, y: g.player.y, w: PLAYER_SIZE, h: PLAYER_SIZE })) {
+      e.hit = true;
+      takeDamage(g, events, center(e));
+    }
+    e.timer--; if (e.timer <= 0) { e.state = 'REST'; e.timer = def.rest; }
+  } else if (e.state === 'REST') {
+    e.timer--; if (e.timer <= 0) e.state = 'CHASE';
+  }
+};
+
+// Stationary; fires a three-shot spread on a fixed interval
+const updateTurretEnemy = (g, e) => {
+  const def = ENEMY_TYPES[e.type];
+  e.fireTimer--;
+  if (e.fireTimer <= 0) {
+    [-def.spread, 0, def.spread].forEach(offset => fireAtTarget(g, e, def.bulletSpeed, offset));
+    e.fireTimer = def.fireInterval;
+  }
+};
+
+// --- BOSS AI ---
+
+// Bosses collide with walls using their center point, like 32px entities do
+const bossBlocked = (x, y, room) => checkWallCollision(x + BOSS_SIZE / 2 - 16, y + BOSS_SIZE / 2 - 16, room);
+
+const startBossAttack = (g, boss, phaseDef) => {
+  const type = phaseDef.attacks[getSeededInt(boss.rng, 0, phaseDef.attacks.length - 1)];
+  const bc = center(boss);
+  // Charges lock their direction when the telegraph starts, so the player can sidestep
+  const angle = Math.atan2(g.player.y + 16 - bc.y, g.player.x + 16 - bc.x);
+  const telegraph = Math.round(phaseDef.telegraph * boss.telegraph);
+  boss.attack = { type, angle, hit: false, duration: telegraph };
+  boss.state = 'TELEGRAPH';
+  boss.timer = telegraph;
+};
+
+const executeBossAttack = (g, boss, room, events) => {
+  const bc = center(boss);
+  const { type } = boss.attack;
+  if (type === 'slam') {
+      if (Math.hypot(g.player.x + 16 - bc.x, g.player.y + 16 - bc.y) < BOSS_SLAM_RADIUS) takeDamage(g, events, bc);
+      for (let i = 0; i < 4; i++) createParticles(g, bc.x, bc.y, boss.color);
+      boss.state = 'RECOVER'; boss.timer = 30;
+  } else if (type === 'charge') {
+      boss.state = 'CHARGING'; boss.timer = 40;
+  } else if (type === 'summon') {
+      const minions = g.enemies.filter(e => !e.isBoss).length;
+      [-1, 1].forEach(side => {
+          if (minions >= BOSS_MAX_MINIONS) return;
+          const mx = boss.x + side * BOSS_SIZE + (BOSS_SIZE - 32) / 2;
+          const my = boss.y + (BOSS_SIZE - 32) / 2;
+          if (!checkWallCollision(mx, my, room)) {
+              g.enemies.push(createEnemy('chaser', mx, my, g.building.difficulty, getDifficultyProfile(g)));
+              createParticles(g, mx, my, boss.color);
+          }
+      });
+      boss.state = 'RECOVER'; boss.timer = 30;
+  } else if (type === 'volley') {
+      // Ring aligned to the player so one shot always heads their way
+      for (let i = 0; i < BOSS_VOLLEY.count; i++) {
+          const angle = boss.attack.angle + (i / BOSS_VOLLEY.count) * Math.PI * 2;
+          spawnEnemyProjectile(g, bc.x, bc.y, angle, { speed: BOSS_VOLLEY.speed, radius: BOSS_VOLLEY.radius, color: boss.color });
+      }
+      boss.state = 'RECOVER'; boss.timer = 30;
+  }
+};
+
+const updateBoss = (g, boss, room, events) => {
+  const def = BOSSES[boss.theme] || BOSSES.dungeon;
+
+  // Phase follows remaining HP
+  const ratio = boss.hp / boss.maxHp;
+  let phase = 0;
+  def.phases.forEach((p, i) => { if (ratio <= p.hpRatio) phase = i; });
+  if (phase !== boss.phase) {
+      boss.phase = phase;
+      events.push({ type: 'bossPhase', phase });
+  }
+  const phaseDef = def.phases[boss.phase];
+
+  if (boss.state === 'IDLE') {
+      // Drift toward the player between attacks
+      const bc = center(boss);
+      const angle = Math.atan2(g.player.y + 16 - bc.y, g.player.x + 16 - bc.x);
+      const nextX = boss.x + Math.cos(angle) * boss.speed * 0.5;
+      const nextY = boss.y + Math.sin(angle) * boss.speed * 0.5;
+      if (!bossBlocked(nextX, boss.y, room)) boss.x = nextX;
+      if (!bossBlocked(boss.x, nextY, room)) boss.y = nextY;
+      boss.timer--;
+      if (boss.timer <= 0) startBossAttack(g, boss, phaseDef);
+  } else if (boss.state === 'TELEGRAPH') {
+      boss.timer--;
+      if (boss.timer <= 0) executeBossAttack(g, boss, room, events);
+  } else if (boss.state === 'CHARGING') {
+      const nextX = boss.x + Math.cos(boss.attack.angle) * boss.speed * 7;
+      const nextY = boss.y + Math.sin(boss.attack.angle) * boss.speed * 7;
+      if (bossBlocked(nextX, nextY, room)) {
+          boss.timer = 0; // Stopped by a wall
+      } else {
+          boss.x = nextX; boss.y = nextY;
+      }
+      if (!boss.attack.hit && checkCollision(boss, { x: g.player.x, y: g.player.y, w: PLAYER_SIZE, h: PLAYER_SIZE })) {
+          boss.attack.hit = true;
+          takeDamage(g, events, center(boss));
+      }
+      boss.timer--;
+      if (boss.timer <= 0) { boss.state = 'RECOVER'; boss.timer = 40; }
+  } else if (boss.state === 'RECOVER') {
+      boss.timer--;
+      if (boss.timer <= 0) {
+          boss.state = 'IDLE';
+          boss.attack = null;
+          boss.timer = phaseDef.cooldown;
+      }
+  }
+};
+
+// --- ACTIVE ITEMS ---
+
+const activateItem = (g, events) => {
+  const stats = g.playerStats;
+  const type = stats.activeItem;
+  const def = ITEMS[type];
+  const p = g.player;
+  createParticles(g, p.x, p.y, def.color);
+  if (def.use === 'decoy') {
+      g.decoy = { x: p.x, y: p.y, life: def.duration };
+  } else if (def.use === 'teleport') {
+      p.x = g.roomEntry.x; p.y = g.roomEntry.y;
+      p.vx = 0; p.vy = 0; p.moveX = 0; p.moveY = 0;
+      savePrevPosition(p);
+      createParticles(g, p.x, p.y, def.color);
+  } else if (def.use === 'buff') {
+      startBuff(stats, def.buff, def.duration);
+  }
+  stats.activeItem = null;
+  events.push({ type: 'itemUsed', itemType: type });
+};
+
+// --- ABILITIES ---
+
+// Breaks crates and opens cracked walls around (x, y), like a bomb blast
+const blastTerrain = (g, room, x, y, events) => {
+  room.layout.grid.flat().forEach(tile => {
+      if (tile.type !== 'crate') return;
+      const dist = Math.hypot(tile.x * TILE_SIZE + TILE_SIZE / 2 - x, tile.y * TILE_SIZE + TILE_SIZE / 2 - y);
+      if (dist <= HAZARDS.crateBombRadius) breakCrate(g, room, tile, events);
+  });
+  room.doors.forEach(d => {
+      if (!d.hidden) return;
+      const t = getDoorTile(room, d);
+      const dist = Math.hypot(t.x * TILE_SIZE + TILE_SIZE / 2 - x, t.y * TILE_SIZE + TILE_SIZE / 2 - y);
+      if (dist > BUILDING_SHAPE.secretBombRadius) return;
+      revealSecret(g.building, d.link);
+      createParticles(g, t.x * TILE_SIZE + TILE_SIZE / 2, t.y * TILE_SIZE + TILE_SIZE / 2, COLORS.furniture);
+      events.push({ type: 'secretFound', roomId: d.to });
+  });
+};
+
+// Ability hits: bosses only take the damage, other enemies are stunned too
+const hitEnemy = (g, e, damage, stun, color, events) => {
+  e.hp -= damage;
+  if (e.isBoss) events.push({ type: 'bossDamaged', hp: e.hp });
+  else { e.state = 'STUNNED'; e.timer = stun; }
+  createParticles(g, e.x, e.y, color);
+};
+
+const canUseAbility = (g, ability) => ability !== ABILITIES.heal || g.playerStats.hp < g.playerStats.maxHp;
+
+const triggerAbility = (g, ability, room, input, events) => {
+  const p = g.player;
+  const cx = p.x + 16; const cy = p.y + 16;
+  if (ability === ABILITIES.shockwave) {
+      g.shockwaves.push({ x: cx, y: cy, r: 10, alpha: 1.0 });
+      g.enemies.forEach(e => hitEnemy(g, e, ability.damage, ability.stun, COLORS.shockwave, events));
+      if (ability.blast) blastTerrain(g, room, cx, cy, events);
+  } else if (ability === ABILITIES.dash) {
+      // Along the stick if it's held, otherwise the way the player faces
+      const dir = (input.x || input.y) ? input : p.facing;
+      const len = Math.hypot(dir.x, dir.y) || 1;
+      p.dash = { vx: dir.x / len * ability.speed, vy: dir.y / len * ability.speed, life: ability.duration, hit: [] };
+      p.vx = 0; p.vy = 0;
+  } else if (ability === ABILITIES.taunt) {
+      g.taunt = ability.duration;
+      startBuff(g.playerStats, ability.buff, ability.duration);
+      g.shockwaves.push({ x: cx, y: cy, r: 10, alpha: 1.0, color: ability.color, speed: 10 });
+      // Stop whatever they were winding up and come at the Guard
+      g.enemies.forEach(e => {
+          if (e.isBoss || e.state === 'STUNNED' || Math.hypot(center(e).x - cx, center(e).y - cy) > ability.radius) return;
+          e.state = e.baseState; e.timer = 0;
+      });
+      if (ability.blast) blastTerrain(g, room, cx, cy, events);
+  } else if (ability === ABILITIES.trap) {
+      if (g.traps.length >= ability.maxTraps) g.traps.shift(); // The oldest snare makes way
+      g.traps.push({ x: cx, y: cy });
+  } else if (ability === ABILITIES.heal) {
+      g.playerStats.hp = Math.min(g.playerStats.hp + ability.amount, g.playerStats.maxHp);
+  }
+  createParticles(g, p.x, p.y, ability.color);
+};
+
+// Dashing moves the player on its own, checked per axis like walking, and bowls over
+// every enemy it passes once. A wall ends it early.
+const updateDash = (g, room, events) => {
+  const p = g.player;
+  const ability = ABILITIES.dash;
+  const nx = p.x + p.dash.vx; const ny = p.y + p.dash.vy;
+  let blocked = false;
+  if (!checkWallCollision(nx, p.y, room)) p.x = nx; else blocked = true;
+  if (!checkWallCollision(p.x, ny, room)) p.y = ny; else blocked = true;
+  g.enemies.forEach(e => {
+      if (p.dash.hit.includes(e) || !checkCollision({ x: p.x, y: p.y, w: PLAYER_SIZE, h: PLAYER_SIZE }, e)) return;
+      p.dash.hit.push(e);
+      hitEnemy(g, e, ability.damage, ability.stun, ability.color, events);
+  });
+  createParticles(g, p.x + 16, p.y + 16, ability.color);
+  if (--p.dash.life <= 0 || blocked) {
+      p.dash = null;
+      if (ability.blast) blastTerrain(g, room, p.x + 16, p.y + 16, events);
+  }
+};
+
+// A snare bursts when an enemy's center comes within a tile of it
+const updateTraps = (g, room, events) => {
+  const ability = ABILITIES.trap;
+  g.traps = g.traps.filter(t => {
+      const sprung = g.enemies.some(e => Math.hypot(center(e).x - t.x, center(e).y - t.y) < TILE_SIZE);
+      if (!sprung) return true;
+      g.enemies.forEach(e => {
+          if (Math.hypot(center(e).x - t.x, center(e).y - t.y) <= ability.radius) hitEnemy(g, e, ability.damage, ability.stun, ability.color, events);
+      });
+      g.shockwaves.push({ x: t.x, y: t.y, r: 10, alpha: 1.0, color: ability.color, speed: 6 });
+      if (ability.blast) blastTerrain(g, room, t.x, t.y, events);
+      events.push({ type: 'trapTriggered' });
+      return false;
+  });
+};
+
+// --- SIMULATION STEP ---
+
+export const step = (state, input) => {
+  const events = [];
+  if (state.mode !== 'PLAYING') return events;
+
+  const g = state;
+  const stats = g.playerStats;
+  const currentRoom = getActiveRoom(g);
+
+  // Remember where things were so the renderer can interpolate between steps
+  savePrevPosition(g.player);
+  g.enemies.forEach(savePrevPosition);
+  g.projectiles.forEach(savePrevPosition);
+  g.enemyProjectiles.forEach(savePrevPosition);
+
+  g.hazardClock++;
+  g.runSteps++;
+  const roomSteps = trackBuilding(g).roomSteps;
+  roomSteps[g.activeRoomId] = (roomSteps[g.activeRoomId] || 0) + 1;
+
+  // Player. Velocity follows the input at the tile's acceleration, so ice slides.
+  const speed = stats.speed * getTileSpeed(g.player.x, g.player.y, currentRoom);
+  const accel = getTileAccel(g.player.x, g.player.y, currentRoom);
+  if (accel >= 1) { g.player.moveX = input.x * speed; g.player.moveY = input.y * speed; }
+  else { g.player.moveX += (input.x * speed - g.player.moveX) * accel; g.player.moveY += (input.y * speed - g.player.moveY) * accel; }
+  const nextX = g.player.x + g.player.moveX;
+  const nextY = g.player.y + g.player.moveY;
+
+  const isMoving = input.x !== 0 || input.y !== 0;
+  g.player.state = isMoving ? 'run' : 'idle';
+  if (isMoving) {
+      g.player.frameTimer++;
+      if (g.player.frameTimer > 10) {
+          g.player.frameIndex = (g.player.frameIndex + 1) % 4;
+          g.player.frameTimer = 0;
+      }
+  } else {
+      g.player.frameIndex = 0;
+  }
+
+  if (!checkWallCollision(nextX, g.player.y, currentRoom)) g.player.x = nextX; else g.player.moveX = 0;
+  if (!checkWallCollision(g.player.x, nextY, currentRoom)) g.player.y = nextY; else g.player.moveY = 0;
+
+  // Knockback, checked per axis like walking so it can't push through walls
+  if (g.player.vx !== 0 || g.player.vy !== 0) {
+      const kx = g.player.x + g.player.vx; const ky = g.player.y + g.player.vy;
+      if (!checkWallCollision(kx, g.player.y, currentRoom)) g.player.x = kx; else g.player.vx = 0;
+      if (!checkWallCollision(g.player.x, ky, currentRoom)) g.player.y = ky; else g.player.vy = 0;
+      g.player.vx *= KNOCKBACK_FRICTION; g.player.vy *= KNOCKBACK_FRICTION;
+      if (Math.hypot(g.player.vx, g.player.vy) < 0.5) { g.player.vx = 0; g.player.vy = 0; }
+  }
+  if (g.player.invuln > 0) g.player.invuln--;
+  tickBuffs(stats).forEach(buff => events.push({ type: 'buffExpired', buff }));
+
+  // Raised spikes hurt (the hit's i-frames keep this from draining HP every step)
+  const underfoot = tileAt(g.player.x, g.player.y, currentRoom);
+  if (underfoot && underfoot.type === 'spikes' && areSpikesRaised(g)) {
+      takeDamage(g, events, null);
+  }
+
+  if (isMoving) {
+    g.player.facing = { x: input.x, y: input.y };
+  }
+
+  // Transitions
+  const doorHit = checkDoorCollision(g.player.x, g.player.y, currentRoom);
+  if (doorHit) {
+    if (doorHit === 'boss') { completeLevel(g, events); return events; }
+    else if (transitionRoom(g, doorHit, events)) return events;
+  }
+
+  // Locked doors open when bumped with their key
+  const lockedDoor = checkLockedDoor(g.player.x, g.player.y, currentRoom);
+  if (lockedDoor) {
+    const { lockId } = lockedDoor;
+    const keyIdx = stats.doorKeys.indexOf(lockId);
+    if (keyIdx !== -1) {
+      stats.doorKeys = stats.doorKeys.filter((_, i) => i !== keyIdx);
+      openLock(g.building, lockId);
+      createParticles(g, g.player.x, g.player.y, COLORS.doorKey);
+      events.push({ type: 'doorUnlocked', lockId });
+    } else if (!g.player.touchingLock) {
+      events.push({ type: 'doorLocked', lockId });
+    }
+  }
+  g.player.touchingLock = !!lockedDoor;
+
+  // Determine Closest Enemy for Auto-Aim
+  let closestEnemy = null;
+  let minDst = 1000; // Targeting Range
+  g.enemies.forEach(e => {
+      const dist = Math.hypot(e.x - g.player.x, e.y - g.player.y);
+      if (dist < minDst) {
+          minDst = dist;
+          closestEnemy = e;
+      }
+  });
+  g.currentTarget = closestEnemy;
+
+  // Projectile Combat
+  if (input.fire && g.player.cooldown <= 0) {
+    let vx = 0, vy = 0;
+
+    // Auto-Aim Logic
+    if (closestEnemy) {
+        const angle = Math.atan2(closestEnemy.y - g.player.y, closestEnemy.x - g.player.x);
+        const bulletSpeed = 10;
+        vx = Math.cos(angle) * bulletSpeed;
+        vy = Math.sin(angle) * bulletSpeed;
+    } else {
+        // Fallback to manual facing
+        // Normalize facing vector first to ensure consistent speed
+        const len = Math.sqrt(g.player.facing.x * g.player.facing.x + g.player.facing.y * g.player.facing.y) || 1;
+        vx = (g.player.facing.x / len) * 10;
+        vy = (g.player.facing.y / len) * 10;
+    }
+
+    g.projectiles.push({
+      x: g.player.x + 16, y: g.player.y + 16,
+      vx, vy,
+      life: 60
+    });
+    g.player.cooldown = g.char.fireRate * getBuffModifier(stats, 'fireRateMultiplier') / STEP_MS;
+    g.telemetry.shotsFired++;
+    events.push({ type: 'shotFired' });
+  }
+  if (g.player.cooldown > 0) g.player.cooldown--;
+
+  // ABILITY (the bomb button runs the character's ability)
+  const ability = getAbility(g.char);
+  if (input.bomb && g.player.abilityCooldown <= 0 && stats.mp >= ability.cost && canUseAbility(g, ability)) {
+      stats.mp -= ability.cost;
+      g.player.abilityCooldown = ability.cooldown;
+      triggerAbility(g, ability, currentRoom, input, events);
+      g.telemetry.bombs++;
+      events.push({ type: 'abilityUsed', ability: g.char.ability });
+  }
+  if (g.player.abilityCooldown > 0) g.player.abilityCooldown--;
+  if (g.player.dash) updateDash(g, currentRoom, events);
+  if (g.taunt > 0) g.taunt--;
+  updateTraps(g, currentRoom, events);
+
+  // ACTIVE ITEM (once per press)
+  if (input.use && !g.player.useHeld && stats.activeItem) activateItem(g, events);
+  g.player.useHeld = !!input.use;
+  if (g.decoy && --g.decoy.life <= 0) g.decoy = null;
+
+  // Update Shockwaves
+  g.shockwaves.forEach(s => {
+      s.r += s.speed || 15;
+      s.alpha -= 0.03;
+  });
+  g.shockwaves = g.shockwaves.filter(s => s.alpha > 0);
+
+  // Update Projectiles
+  g.projectiles = g.projectiles.filter(p => p.life > 0);
+  g.projectiles.forEach(p => {
+    p.x += p.vx; p.y += p.vy; p.life--;
+    if (checkProjectileCollision(p.x, p.y, currentRoom)) {
+      damageCrateAt(g, currentRoom, p.x, p.y, stats.damage, events);
+      p.life = 0;
+    }
+    let hit = false;
+    g.enemies.forEach(e => {
+      if (checkCollision({x: p.x, y: p.y, w: 10, h: 10}, e)) {
+        hit = true;
+        e.hp -= stats.damage;
+        if (e.isBoss) events.push({ type: 'bossDamaged', hp: e.hp });
+        else { e.state = 'STUNNED'; e.timer = 60; }
+        p.life = 0;
+        createParticles(g, e.x, e.y, COLORS.enemy);
+      }
+    });
+    if (hit) g.telemetry.shotsHit++;
+  });
+
+  // Check Deaths
+  const deadEnemies = g.enemies.filter(e => e.hp <= 0);
+  if (deadEnemies.length > 0) {
+      const spawned = [];
+      deadEnemies.forEach(enemy => {
+          stats.score += enemy.isBoss ? enemy.reward : ENEMY_TYPES[enemy.type].score;
+          events.push({ type: 'enemyKilled', enemy });
+          dropCoins(g, currentRoom, enemy);
+          const def = enemy.isBoss ? null : ENEMY_TYPES[enemy.type];
+          if (def && def.splitInto) {
+              for (let i = 0; i < def.splitCount; i++) {
+                  const offset = (i - (def.splitCount - 1) / 2) * 16;
+                  const sx = checkWallCollision(enemy.x + offset, enemy.y, currentRoom) ? enemy.x : enemy.x + offset;
+                  spawned.push(createEnemy(def.splitInto, sx, enemy.y, g.building.difficulty, getDifficultyProfile(g)));
+              }
+          }
+      });
+      g.enemies = g.enemies.filter(e => e.hp > 0).concat(spawned);
+      const deadBoss = deadEnemies.find(e => e.isBoss);
+      if (deadBoss) {
+          // Minions scatter with their boss, which unseals the exit
+          g.enemies.forEach(e => createParticles(g, e.x, e.y, deadBoss.color));
+          g.enemies = [];
+          events.push({ type: 'bossDefeated', name: deadBoss.name });
+      }
+      if (g.enemies.length === 0) {
+          currentRoom.cleared = true;
+          events.push({ type: 'roomCleared', roomId: currentRoom.id });
+      }
+  }
+
+  // Enemy AI
+  if (g.enemies.length > 0) updateFlowField(g, currentRoom);
+  g.enemies.forEach(e => {
+    e.frameTimer++;
+    if (e.frameTimer > 10) { e.frameIndex = (e.frameIndex + 1) % 4; e.frameTimer = 0; }
+
+    if (e.isBoss) { if (g.mode === 'PLAYING') updateBoss(g, e, currentRoom, events); return; }
+
+    if (e.state === 'STUNNED') {
+      e.timer--; if (e.timer <= 0) e.state = e.baseState; return;
+    }
+    const ai = ENEMY_TYPES[e.type].ai;
+    if (ai === 'melee') updateMeleeEnemy(g, e, currentRoom, events);
+    else if (ai === 'ranged') updateRangedEnemy(g, e, currentRoom);
+    else if (ai === 'charge') updateChargerEnemy(g, e, currentRoom, events);
+    else if (ai === 'turret') updateTurretEnemy(g, e);
+  });
+
+  // Enemy Projectiles
+  g.enemyProjectiles = g.enemyProjectiles.filter(p => p.life > 0);
+  g.enemyProjectiles.forEach(p => {
+    p.x += p.vx; p.y += p.vy; p.life--;
+    if (checkProjectileCollision(p.x - 16, p.y - 16, currentRoom)) p.life = 0;
+    else if (g.mode === 'PLAYING' && g.player.invuln <= 0
+        && checkCollision({ x: p.x - p.r, y: p.y - p.r, w: p.r * 2, h: p.r * 2 }, { x: g.player.x, y: g.player.y, w: PLAYER_SIZE, h: PLAYER_SIZE })) {
+      p.life = 0;
+      takeDamage(g, events, { x: p.x - p.vx, y: p.y - p.vy }, p.damage);
+    }
+  });
+
+  // Items
+  g.items = g.items.filter(item => {
+      if (checkCollision({x: item.x, y: item.y, w: item.w, h: item.h}, {x: g.player.x, y: g.player.y, w: 32, h: 32})) {
+          if (applyItem(stats, item)) {
+              createParticles(g, item.x, item.y, ITEMS[item.type].color);
+              // Add to global collection (persistence); consumables and drops don't need it,
+              // and door keys respawn with their locks
+              if (!item.isUnlimited && item.type !== 'doorKey') g.collectedItems.add(item.id);
+              // Remove from the persistent room too
+              currentRoom.items = currentRoom.items.filter(i => i.id !== item.id);
+              events.push({ type: 'itemCollected', item });
+              return false;
+          }
+      }
+      return true;
+  });
+
+  g.particles.forEach(p => { p.x += p.vx; p.y += p.vy; p.life--; });
+  g.particles = g.particles.filter(p => p.life > 0);
+
+  return events;
+};
@@ -0,0 +1,303 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TILE_SIZE, PLAYER_SIZE, CHARACTERS, DEFAULT_DIFFICULTY, CHECKPOINTS } from './constants.js';
+import {
+  createInput, createRunState, enterBuilding, step, visitNode, reviveRun, getActiveRoom, getDoorTile,
+  checkWallCollision, checkDoorCollision
+} from './engine.js';
+import { isBuildingNode, countClearedBuildings } from './generators.js';
+import { ITEMS, getShopPrice } from './items.js';
+
+/**
+ * ==========================================
+ * ENGINE TESTS (node --test)
+ * ==========================================
+ * Runs start in a building (the first one by default) of a fixed seed with its enemies cleared out,
+ * then each test sets up just what it checks.
+ */
+const startRun = (seed = 12345, buildingId = 0) => {
+  const state = createRunState(CHARACTERS[0], seed);
+  enterBuilding(state, buildingId);
+  state.enemies = [];
+  return state;
+};
+
+// Puts the player's top-left corner on a tile, centred in it
+const placeOnTile = (state, x, y) => {
+  const offset = (TILE_SIZE - PLAYER_SIZE) / 2;
+  state.player.x = x * TILE_SIZE + offset;
+  state.player.y = y * TILE_SIZE + offset;
+};
+
+const run = (state, input, steps) => {
+  const events = [];
+  for (let i = 0; i < steps && state.mode === 'PLAYING'; i++) events.push(...step(state, input));
+  return events;
+};
+
+const eventsOfType = (events, type) => events.filter(ev => ev.type === type);
+
+// Picks up `item` where it lies, even if it's in another room
+const collectItem = (state, item) => {
+  state.items = [item];
+  state.player.x = item.x;
+  state.player.y = item.y;
+  return step(state, createInput());
+};
+
+// Leaves the current building through its boss room, as if the boss were beaten
+const clearBuilding = (state) => {
+  const bossRoom = state.building.rooms.find(r => r.type === 'boss');
+  state.activeRoomId = bossRoom.id;
+  bossRoom.cleared = true;
+  state.enemies = [];
+  placeOnTile(state, Math.floor(bossRoom.width / 2) + 2, 0);
+  return step(state, createInput());
+};
+
+// Items that stay gone once collected: everything but consumables and door keys
+const persistentItems = (building) => building.rooms.flatMap(r => r.items).filter(i => !i.isUnlimited && i.type !== 'doorKey');
+
+const nodeById = (state, id) => state.worldMap.find(n => n.id === id);
+
+test('walking onto an item collects it', () => {
+  const state = startRun();
+  const coin = { id: 999001, type: 'coin', value: 3, x: state.player.x, y: state.player.y, w: 20, h: 20 };
+  state.items = [coin];
+
+  const events = step(state, createInput());
+
+  assert.deepEqual(eventsOfType(events, 'itemCollected').map(ev => ev.item), [coin]);
+  assert.equal(state.playerStats.coins, 3);
+  assert.ok(state.collectedItems.has(coin.id));
+  assert.equal(state.items.length, 0);
+});
+
+test('a shot kills the last enemy and clears the room', () => {
+  const state = startRun();
+  const room = getActiveRoom(state);
+  room.cleared = false;
+  const enemy = { type: 'chaser', x: state.player.x + 100, y: state.player.y, w: 32, h: 32, hp: 1, maxHp: 1, state: 'CHASE', baseState: 'CHASE', timer: 0, frameIndex: 0, frameTimer: 0, speed: 0, telegraph: 1 };
+  state.enemies = [enemy];
+  state.projectiles = [{ x: enemy.x + 10, y: enemy.y + 10, vx: 0, vy: 0, life: 10 }];
+
+  const events = step(state, createInput());
+
+  assert.deepEqual(eventsOfType(events, 'enemyKilled').map(ev => ev.enemy), [enemy]);
+  assert.deepEqual(eventsOfType(events, 'roomCleared'), [{ type: 'roomCleared', roomId: room.id }]);
+  assert.equal(state.enemies.length, 0);
+  assert.ok(room.cleared);
+  assert.ok(state.playerStats.score > 0);
+});
+
+test('leaving through the cleared boss room exit completes the level', () => {
+  const state = startRun();
+  const bossRoom = state.building.rooms.find(r => r.type === 'boss');
+  state.activeRoomId = bossRoom.id;
+  bossRoom.cleared = true;
+  placeOnTile(state, Math.floor(bossRoom.width / 2) + 2, 0);
+
+  const events = step(state, createInput());
+
+  assert.deepEqual(eventsOfType(events, 'levelComplete'), [{ type: 'levelComplete', buildingId: 0, revealedHidden: false, isFinal: false }]);
+  assert.equal(state.mode, 'MAP');
+  assert.ok(state.worldMap.find(b => b.id === 0).cleared);
+});
+
+test('the boss room exit stays sealed until the boss is beaten', () => {
+  const state = startRun();
+  const bossRoom = state.building.rooms.find(r => r.type === 'boss');
+  bossRoom.cleared = false;
+  const exitX = Math.floor(bossRoom.width / 2) + 2;
+  assert.ok(checkWallCollision(exitX * TILE_SIZE, 0, bossRoom));
+  assert.equal(checkDoorCollision(exitX * TILE_SIZE, 0, bossRoom), null);
+});
+
+test('walls stop the player', () => {
+  const state = startRun();
+  const room = getActiveRoom(state);
+  assert.ok(checkWallCollision(0, 0, room), 'corner tile is solid');
+  assert.ok(checkWallCollision(-TILE_SIZE, -TILE_SIZE, room), 'outside the room is solid');
+  assert.ok(!checkWallCollision(state.player.x, state.player.y, room), 'spawn point is open');
+
+  // Corners never hold doors, so pushing into one for a long time must not get through
+  run(state, { ...createInput(), x: -1, y: -1 }, 600);
+  assert.equal(state.activeRoomId, room.id);
+  assert.ok(!checkWallCollision(state.player.x, state.player.y, room));
+  assert.ok(state.player.x >= TILE_SIZE / 2 && state.player.y >= TILE_SIZE / 2);
+});
+
+test('walking through an open door enters the linked room', () => {
+  const state = startRun();
+  const room = getActiveRoom(state);
+  const door = room.doors.find(d => d.lockId === null && !d.hidden);
+  const tile = getDoorTile(room, door);
+  placeOnTile(state, tile.x, tile.y);
+  assert.equal(checkDoorCollision(state.player.x, state.player.y, room), door);
+
+  const events = step(state, createInput());
+
+  assert.deepEqual(eventsOfType(events, 'roomEntered'), [{ type: 'roomEntered', roomId: door.to, direction: door.side }]);
+  assert.equal(state.activeRoomId, door.to);
+  const entered = getActiveRoom(state);
+  assert.ok(!checkWallCollision(state.player.x, state.player.y, entered), 'lands inside the new room');
+});
+
+test('locked doors are solid until bumped with their key', () => {
+  // The first building never has locks; take the first later one that does
+  let state, room, door;
+  const candidates = createRunState(CHARACTERS[0], 12345).worldMap.filter(b => b.type === 'battle' || b.type === 'elite');
+  for (const node of candidates) {
+    state = startRun(12345, node.id);
+    room = state.building.rooms.find(r => r.doors.some(d => d.lockId !== null && !d.hidden));
+    door = room && room.doors.find(d => d.lockId !== null && !d.hidden);
+    if (door) break;
+  }
+  assert.ok(door, 'some building has a locked door');
+  state.activeRoomId = room.id;
+  state.items = [];
+  const tile = getDoorTile(room, door);
+  assert.ok(checkWallCollision(tile.x * TILE_SIZE, tile.y * TILE_SIZE, room));
+  assert.equal(checkDoorCollision(tile.x * TILE_SIZE, tile.y * TILE_SIZE, room), null);
+
+  // Stand on the floor tile in front of the door
+  const inward = { top: [0, 1], bottom: [0, -1], left: [1, 0], right: [-1, 0] }[door.side];
+  placeOnTile(state, tile.x + inward[0], tile.y + inward[1]);
+  const push = { ...createInput(), x: -inward[0], y: -inward[1] };
+
+  const lockId = door.lockId;
+  const blocked = run(state, push, 30);
+  assert.deepEqual(eventsOfType(blocked, 'doorLocked'), [{ type: 'doorLocked', lockId }]);
+  assert.equal(state.activeRoomId, room.id);
+
+  state.playerStats.doorKeys = [lockId];
+  const opened = run(state, push, 60);
+  assert.deepEqual(eventsOfType(opened, 'doorUnlocked'), [{ type: 'doorUnlocked', lockId }]);
+  assert.deepEqual(state.playerStats.doorKeys, []);
+  assert.equal(eventsOfType(opened, 'roomEntered').length, 1);
+});
+
+test('item ids are unique across the island', () => {
+  const state = createRunState(CHARACTERS[0], 12345);
+  const ids = state.worldMap.filter(isBuildingNode).flatMap(node => {
+    enterBuilding(state, node.id);
+    return state.building.rooms.flatMap(r => r.items.map(i => i.id));
+  });
+  assert.ok(ids.length > 0);
+  assert.equal(new Set(ids).size, ids.length);
+});
+
+test('collecting items in one building leaves the other buildings untouched', () => {
+  // Item ids used to be random, so a pickup could also remove an item with the same id elsewhere
+  const fresh = createRunState(CHARACTERS[0], 12345);
+  const others = fresh.worldMap.filter(n => isBuildingNode(n) && n.id !== 0);
+  const itemsOf = (state, id) => {
+    enterBuilding(state, id);
+    return state.building.rooms.flatMap(r => r.items.map(i => i.id));
+  };
+  const expected = others.map(n => itemsOf(fresh, n.id));
+
+  const state = startRun();
+  const items = persistentItems(state.building);
+  assert.ok(items.length > 0);
+  items.forEach(item => collectItem(state, item));
+  assert.equal(state.collectedItems.size, items.length);
+
+  assert.deepEqual(others.map(n => itemsOf(state, n.id)), expected);
+  assert.deepEqual(itemsOf(state, 0).filter(id => state.collectedItems.has(id)), [], 'collected items stay gone');
+});
+
+test('clearing a node opens its successors and closes the branches not taken', () => {
+  // Seed 2 puts a rest stop next to two buildings in the second column
+  const state = startRun(2);
+  clearBuilding(state);
+  nodeById(state, 0).next.forEach(id => assert.equal(nodeById(state, id).locked, false));
+  const rest = state.worldMap.find(n => n.type === 'rest' && !n.locked);
+  const siblings = state.worldMap.filter(n => n.column === rest.column && n.id !== rest.id);
+  state.playerStats.hp = 1;
+
+  const events = visitNode(state, rest.id);
+
+  assert.deepEqual(events, [{ type: 'nodeVisited', nodeId: rest.id, nodeType: 'rest' }]);
+  assert.equal(state.playerStats.hp, state.playerStats.maxHp);
+  assert.ok(nodeById(state, rest.id).cleared);
+  siblings.forEach(n => assert.ok(nodeById(state, n.id).locked, `node ${n.id} closes`));
+  rest.next.forEach(id => assert.equal(nodeById(state, id).locked, false));
+  assert.equal(countClearedBuildings(state.worldMap), 1, 'a rest stop is no building');
+  assert.deepEqual(visitNode(state, rest.id), [], 'a cleared node does nothing');
+});
+
+test('shops sell each offer once for its price and let the player leave', () => {
+  const state = startRun();
+  clearBuilding(state);
+  const shop = state.worldMap.find(n => n.type === 'shop' && !n.locked);
+  state.playerStats.coins = 1000;
+  const price = getShopPrice(shop.stock[0], shop.column);
+
+  const bought = visitNode(state, shop.id, 0);
+
+  assert.deepEqual(bought, [{ type: 'itemBought', nodeId: shop.id, item: shop.stock[0], price }]);
+  assert.equal(state.playerStats.coins, 1000 - price);
+  assert.deepEqual(nodeById(state, shop.id).sold, [0]);
+  assert.deepEqual(visitNode(state, shop.id, 0), [], 'sold out');
+  state.playerStats.coins = 0;
+  assert.deepEqual(visitNode(state, shop.id, 1), [], 'too expensive');
+
+  assert.deepEqual(visitNode(state, shop.id), [{ type: 'nodeVisited', nodeId: shop.id, nodeType: 'shop' }]);
+  assert.ok(nodeById(state, shop.id).cleared);
+});
+
+test('shops stop selling an upgrade once the run has its limit', () => {
+  const state = startRun();
+  clearBuilding(state);
+  const shop = state.worldMap.find(n => n.type === 'shop' && !n.locked);
+  const { limit } = ITEMS.rollerSkates;
+  shop.stock = Array(limit + 1).fill('rollerSkates');
+  state.playerStats.coins = 1000;
+
+  const bought = shop.stock.map((type, i) => visitNode(state, shop.id, i).length);
+
+  assert.deepEqual(bought, [...Array(limit).fill(1), 0]);
+  assert.equal(state.playerStats.pickups.rollerSkates, limit);
+});
+
+test('a checkpoint retry respawns the pickups of the failed attempt and costs points', () => {
+  const state = createRunState(CHARACTERS[0], 12345, DEFAULT_DIFFICULTY, true);
+  state.playerStats.score = 2000;
+  enterBuilding(state, 0);
+  const item = persistentItems(state.building)[0];
+  collectItem(state, item);
+  assert.ok(state.collectedItems.has(item.id));
+
+  // Dies to a shot that lands on the player
+  state.playerStats.hp = 1;
+  state.enemies = [];
+  state.enemyProjectiles = [{ x: state.player.x + PLAYER_SIZE / 2, y: state.player.y + PLAYER_SIZE / 2, vx: 0, vy: 0, r: 5, damage: 1, life: 10 }];
+  assert.equal(eventsOfType(step(state, createInput()), 'playerDied').length, 1);
+  assert.equal(state.mode, 'DEAD');
+
+  const events = reviveRun(state, 'retry');
+
+  assert.deepEqual(events, [{ type: 'runRevived', choice: 'retry', buildingId: 0 }]);
+  assert.equal(state.mode, 'PLAYING');
+  assert.equal(state.currentBuildingId, 0);
+  assert.equal(state.playerStats.deaths, 1);
+  assert.equal(state.playerStats.score, 2000 - CHECKPOINTS.deathPenalty);
+  assert.equal(state.playerStats.hp, state.playerStats.maxHp);
+  assert.ok(!state.collectedItems.has(item.id));
+  assert.ok(state.building.rooms.some(r => r.items.some(i => i.id === item.id)), 'the item is back');
+  assert.deepEqual(reviveRun(state, 'retry'), [], 'only a death can be undone');
+});
+
+test('giving up a checkpoint retry goes back to the map', () => {
+  const state = createRunState(CHARACTERS[0], 12345, DEFAULT_DIFFICULTY, true);
+  enterBuilding(state, 0);
+  state.mode = 'DEAD';
+
+  reviveRun(state, 'map');
+
+  assert.equal(state.mode, 'MAP');
+  assert.equal(state.checkpoint, null);
+  assert.equal(state.building, null);
+  assert.equal(nodeById(state, 0).cleared, false);
+});
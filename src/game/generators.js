@@ -0,0 +1,586 @@
+import { TILE_SIZE, HIDDEN_BUILDING_ID, THEMES, ROUTE_MAP, ROOM_VARIANTS, LARGE_ROOM_VARIANTS, BUILDING_SHAPE, DIFFICULTY_SCALE, DIFFICULTY_PROFILES, DEFAULT_DIFFICULTY, SOLID_TILES, HAZARDS, THEME_HAZARDS, ECONOMY } from './constants.js';
+import { mulberry32, getSeededInt } from './random.js';
+import { TEMPLATE_TILES, TEMPLATE_CHANCE, pickTemplate } from './roomTemplates.js';
+import { ITEMS, pickConsumable, pickShopItem } from './items.js';
+
+/**
+ * ==========================================
+ * WORLD, BUILDING & ROOM GENERATORS
+ * ==========================================
+ */
+
+// Connects two neighbouring route columns (arrays of node ids, top to bottom) without
+// crossing edges: every node gets at least one way out and every target one way in.
+const linkColumns = (rng, from, to, nodeById) => {
+  const edges = []; // [fromIndex, toIndex]
+  const crosses = (a, b) => edges.some(([a2, b2]) => (a2 < a && b2 > b) || (a2 > a && b2 < b));
+  const has = (a, b) => edges.some(([a2, b2]) => a2 === a && b2 === b);
+  const scale = (i, n, m) => n === 1 ? Math.floor((m - 1) / 2) : Math.round(i * (m - 1) / (n - 1));
+
+  // Evenly spread base edges
+  from.forEach((_, i) => edges.push([i, scale(i, from.length, to.length)]));
+  // Targets nobody leads to get an edge from the closest source that doesn't cross
+  to.forEach((_, j) => {
+      if (edges.some(([, b]) => b === j)) return;
+      const target = scale(j, to.length, from.length);
+      const sources = from.map((_, i) => i).sort((a, b) => Math.abs(a - target) - Math.abs(b - target));
+      const src = sources.find(i => !crosses(i, j));
+      edges.push([src ?? target, j]);
+  });
+  // Some extra branching to a neighbouring target
+  from.forEach((_, i) => {
+      if (rng() >= ROUTE_MAP.extraEdgeChance) return;
+      const base = edges.find(([a]) => a === i)[1];
+      const j = base + (rng() < 0.5 ? -1 : 1);
+      if (j < 0 || j >= to.length || has(i, j) || crosses(i, j)) return;
+      edges.push([i, j]);
+  });
+
+  edges.sort((e1, e2) => e1[1] - e2[1]).forEach(([a, b]) => nodeById[from[a]].next.push(to[b]));
+};
+
+// Route nodes that hold a building to fight through; rest stops and shops don't
+export const isBuildingNode = (node) => node.type === 'battle' || node.type === 'elite' || node.id === HIDDEN_BUILDING_ID;
+
+export const countClearedBuildings = (worldMap) => worldMap.filter(n => n.cleared && isBuildingNode(n)).length;
+
+// Generates the island's route graph and distributes the special items across its buildings.
+// Nodes: { id, column, row, level, type, theme, cleared, locked, hidden, specialItems, next: [ids], stock?, sold? }
+export const generateWorldMap = (rootSeed) => {
+  const rng = mulberry32(rootSeed);
+  const buildings = [];
+  const nodeById = {};
+  let idCounter = 0;
+
+  // Theme order for this island
+  const themeOrder = [...THEMES];
+  for (let i = themeOrder.length - 1; i > 0; i--) {
+      const j = getSeededInt(rng, 0, i);
+      [themeOrder[i], themeOrder[j]] = [themeOrder[j], themeOrder[i]];
+  }
+
+  // 1. Columns: a single start and final building with branching columns in between
+  const columns = [];
+  for (let col = 0; col < ROUTE_MAP.columns; col++) {
+      const isEnd = col === 0 || col === ROUTE_MAP.columns - 1;
+      const count = isEnd ? 1 : getSeededInt(rng, ROUTE_MAP.minWidth, ROUTE_MAP.maxWidth);
+      const ids = [];
+      for (let row = 0; row < count; row++) {
+          const node = {
+              id: idCounter++,
+              column: col,
+              row,
+              level: col + 1,
+              type: 'battle',
+              theme: themeOrder[(col + row) % themeOrder.length],
+              cleared: false,
+              locked: col !== 0,
+              hidden: false,
+              specialItems: [],
+              next: []
+          };
+          buildings.push(node);
+          nodeById[node.id] = node;
+          ids.push(node.id);
+      }
+      columns.push(ids);
+  }
+
+  // 2. Edges to the next column
+  for (let col = 0; col < columns.length - 1; col++) linkColumns(rng, columns[col], columns[col + 1], nodeById);
+
+  // 3. One random route is kept to buildings only and carries every case file, so a
+  //    full set of evidence is always collectable in a single run
+  const evidencePath = [columns[0][0]];
+  while (nodeById[evidencePath[evidencePath.length - 1]].next.length > 0) {
+      const options = nodeById[evidencePath[evidencePath.length - 1]].next;
+      evidencePath.push(options[getSeededInt(rng, 0, options.length - 1)]);
+  }
+
+  // 4. Node types for the middle columns
+  const weights = Object.entries(ROUTE_MAP.nodeWeights);
+  buildings.forEach(node => {
+      if (node.column === 0 || node.column === ROUTE_MAP.columns - 1) return;
+      const options = evidencePath.includes(node.id) ? weights.filter(([type]) => type === 'battle' || type === 'elite') : weights;
+      const total = options.reduce((sum, [, w]) => sum + w, 0);
+      let roll = rng() * total;
+      node.type = (options.find(([, w]) => (roll -= w) < 0) || options[0])[0];
+  });
+
+  // 5. Shop stock
+  buildings.filter(n => n.type === 'shop').forEach(node => {
+      node.stock = [];
+      // Rerolls duplicates a few times so the shelf usually shows different items
+      for (let tries = 0; node.stock.length < ROUTE_MAP.shopStockSize; tries++) {
+          const type = pickShopItem(rng);
+          if (!node.stock.includes(type) || tries >= 10) node.stock.push(type);
+      }
+  });
+
+  // 6. Hidden Building (Left of Start)
+  buildings.push({
+      id: HIDDEN_BUILDING_ID,
+      column: -1, // Left of column 0
+      row: 0,
+      level: 6,   // Same difficulty as last level
+      type: 'battle',
+      theme: 'dungeon',
+      cleared: false,
+      locked: true,
+      hidden: true, // Not visible initially
+      specialItems: [],
+      next: []
+  });
+
+  // Create Special Item Pool from the registry limits (Key and files are placed separately)
+  let itemPool = [];
+  Object.entries(ITEMS).forEach(([type, def]) => {
+      if (!def.limit || type === 'key' || type === 'file') return; 
+      for(let i=0; i<def.limit; i++) itemPool.push(type);
+  });
+  
+  // Shuffle Pool
+  for (let i = itemPool.length - 1; i > 0; i--) {
+      const j = getSeededInt(rng, 0, i);
+      [itemPool[i], itemPool[j]] = [itemPool[j], itemPool[i]];
+  }
+
+  // 7. Place Key: Ensure it is NOT in the last column and NOT in the hidden building
+  const lastColIdx = ROUTE_MAP.columns - 1;
+  const keyCandidates = buildings.filter(b => b.id !== HIDDEN_BUILDING_ID && b.column < lastColIdx && isBuildingNode(b));
+  
+  if (keyCandidates.length > 0) {
+      // Pick random valid building
+      const kIdx = getSeededInt(rng, 0, keyCandidates.length - 1);
+      keyCandidates[kIdx].specialItems.push('key');
+  }
+
+  // 8. Case files along the evidence path
+  for (let i = 0; i < ITEMS.file.limit; i++) {
+      nodeById[evidencePath[i % evidencePath.length]].specialItems.push('file');
+  }
+
+  // 9. Assign remaining items to buildings (Round Robin)
+  const lootBuildings = buildings.filter(b => b.id !== HIDDEN_BUILDING_ID && isBuildingNode(b));
+  let bIdx = 0;
+  while(itemPool.length > 0) {
+      lootBuildings[bIdx].specialItems.push(itemPool.pop());
+      bIdx = (bIdx + 1) % lootBuildings.length;
+  }
+  
+  return buildings;
+};
+
+// Flood fill from the room center over walkable tiles
+const floodTiles = (grid, width, height, midX, midY) => {
+  const reachable = [];
+  const visited = new Set();
+  const queue = [{x: midX, y: midY}];
+  visited.add(`${midX},${midY}`);
+
+  const dirs = [{x:0, y:1}, {x:0, y:-1}, {x:1, y:0}, {x:-1, y:0}];
+
+  while(queue.length > 0) {
+      const curr = queue.shift();
+      reachable.push(curr);
+
+      for(let d of dirs) {
+          const nx = curr.x + d.x;
+          const ny = curr.y + d.y;
+          if (nx >= 0 && ny >= 0 && nx < width && ny < height) {
+              const tile = grid[ny][nx];
+              if (!SOLID_TILES.includes(tile.type) && !visited.has(`${nx},${ny}`)) {
+                  visited.add(`${nx},${ny}`);
+                  queue.push({x: nx, y: ny});
+              }
+          }
+      }
+  }
+  return reachable;
+};
+
+// Scatters a theme's hazards over plain floor: patches of ice, spikes and bushes, single crates.
+// Only ice may cover the safe lanes, since it never blocks or hurts.
+const placeHazards = (grid, width, height, rng, hazards, isSafe) => {
+  hazards.forEach(type => {
+      if (type === 'crate') {
+          const count = getSeededInt(rng, 0, 4);
+          for (let i = 0; i < count; i++) {
+              const tile = grid[getSeededInt(rng, 1, height - 2)][getSeededInt(rng, 1, width - 2)];
+              if (tile.type === 'floor' && !isSafe(tile.x, tile.y)) { tile.type = 'crate'; tile.hp = HAZARDS.crateHp; }
+          }
+          return;
+      }
+      const patches = getSeededInt(rng, 0, 2);
+      for (let i = 0; i < patches; i++) {
+          const pw = getSeededInt(rng, 2, 4); const ph = getSeededInt(rng, 1, 3);
+          const px = getSeededInt(rng, 1, width - 1 - pw); const py = getSeededInt(rng, 1, height - 1 - ph);
+          for (let y = py; y < py + ph; y++) {
+              for (let x = px; x < px + pw; x++) {
+                  const tile = grid[y][x];
+                  if (tile.type === 'floor' && (type === 'ice' || !isSafe(x, y))) tile.type = type;
+              }
+          }
+      }
+  });
+};
+
+// Layout Generator + Reachability Check
+// `doors` lists the room's doors as { side, pos }, pos being the tile along that wall
+export const generateRoomLayout = (width, height, seed, doors, isBossRoom, theme, allowTemplate = true) => {
+  const rng = mulberry32(seed);
+  const grid = [];
+  const midX = Math.floor(width / 2);
+  const midY = Math.floor(height / 2);
+
+  // Safe Zones: the room center, the lanes to each door and the boss exit stay clear.
+  // A door's lane runs straight in to the middle row/column, then along it to the center.
+  const between = (v, a, b) => v >= Math.min(a, b) && v <= Math.max(a, b);
+  const onDoorLane = (d, x, y) => {
+    if (d.side === 'top') return (x === d.pos && y <= midY) || (y === midY && between(x, d.pos, midX));
+    if (d.side === 'bottom') return (x === d.pos && y >= midY) || (y === midY && between(x, d.pos, midX));
+    if (d.side === 'left') return (y === d.pos && x <= midX) || (x === midX && between(y, d.pos, midY));
+    return (y === d.pos && x >= midX) || (x === midX && between(y, d.pos, midY));
+  };
+  const isSafe = (x, y) => {
+    if (Math.abs(x - midX) <= 1 && Math.abs(y - midY) <= 1) return true;
+    if (doors.some(d => onDoorLane(d, x, y))) return true;
+    if (isBossRoom) {
+        const bossDoorX = midX + 2;
+        if (y === midY && x > midX && x <= bossDoorX) return true;
+        if (x === bossDoorX && y < midY) return true;
+    }
+    return false;
+  };
+
+  // Normal rooms sometimes use an authored template (own stream, so procedural rooms are unchanged)
+  const templateRng = mulberry32(seed + 555);
+  const template = (allowTemplate && !isBossRoom && theme && templateRng() < TEMPLATE_CHANCE)
+      ? pickTemplate(templateRng, theme, width - 2, height - 2) : null;
+  const templateTile = (x, y) => {
+    const ox = 1 + Math.floor((width - 2 - template.rows[0].length) / 2);
+    const oy = 1 + Math.floor((height - 2 - template.rows.length) / 2);
+    const row = template.rows[y - oy];
+    const ch = row && row[x - ox];
+    return TEMPLATE_TILES[ch] || 'floor';
+  };
+
+  // 1. Generate Base Grid
+  for (let y = 0; y < height; y++) {
+    const row = [];
+    for (let x = 0; x < width; x++) {
+      let type = 'floor';
+      if (x === 0 || x === width - 1 || y === 0 || y === height - 1) {
+        type = 'wall';
+      } else if (template) {
+        if (!isSafe(x, y)) type = templateTile(x, y);
+      } else if (!isSafe(x, y) && rng() < 0.15) { 
+        type = 'furniture';
+      }
+      row.push({ type, x, y });
+    }
+    grid.push(row);
+  }
+
+  // 2. Flood Fill to find valid item spots
+  const open = floodTiles(grid, width, height, midX, midY);
+
+  // A template must not cut off any walkable tile; otherwise fall back to a procedural room
+  if (template) {
+      const walkable = grid.flat().filter(t => !SOLID_TILES.includes(t.type)).length;
+      if (open.length < walkable) return generateRoomLayout(width, height, seed, doors, isBossRoom, theme, false);
+  }
+
+  // 3. Hazards (own stream). Crates are solid until broken, so if they'd cut anything off they go again.
+  if (theme && !isBossRoom) {
+      placeHazards(grid, width, height, mulberry32(seed + 777), THEME_HAZARDS[theme] || [], isSafe);
+      const stillOpen = open.filter(t => !SOLID_TILES.includes(grid[t.y][t.x].type)).length;
+      if (floodTiles(grid, width, height, midX, midY).length < stillOpen) {
+          grid.flat().forEach(t => { if (t.type === 'crate') { t.type = 'floor'; delete t.hp; } });
+      }
+  }
+
+  // Items only go on plain floor
+  const reachable = open.filter(t => grid[t.y][t.x].type === 'floor');
+  return { grid, reachable, template: template ? template.name : null };
+};
+
+const pickItemLocation = (rng, reachableTiles) => {
+    if (reachableTiles.length === 0) return null;
+    const idx = getSeededInt(rng, 0, reachableTiles.length - 1);
+    const tile = reachableTiles[idx];
+    reachableTiles.splice(idx, 1); 
+    return tile;
+};
+
+// Rooms reachable from the start room without crossing any of the `closed` links
+const floodRooms = (connections, closed) => {
+    const seen = new Set([0]);
+    const queue = [0];
+    while (queue.length > 0) {
+        const id = queue.shift();
+        connections.forEach(conn => {
+            if (closed.includes(conn.id)) return;
+            const other = conn.a === id ? conn.b : (conn.b === id ? conn.a : null);
+            if (other !== null && !seen.has(other)) { seen.add(other); queue.push(other); }
+        });
+    }
+    return seen;
+};
+
+// Picks connections to lock and a room for each matching key. Every key must be
+// reachable from the start with ALL locks still closed, so any opening order works.
+// A lock has to cut off at least one room, which rules out links that a loop bypasses.
+const placeLocks = (rng, connections, numLocks, numRooms, bossRoomId) => {
+    const locks = [];
+    for (let n = 0; n < numLocks; n++) {
+        const closed = locks.map(l => l.link);
+        const candidates = connections.filter(conn => {
+            if (closed.includes(conn.id)) return false;
+            const region = floodRooms(connections, [...closed, conn.id]);
+            return region.size < numRooms && locks.every(l => region.has(l.keyRoom))
+                && Array.from(region).some(id => id !== 0 && id !== bossRoomId);
+        });
+        if (candidates.length === 0) break;
+        const link = candidates[getSeededInt(rng, 0, candidates.length - 1)].id;
+        const keyRooms = Array.from(floodRooms(connections, [...closed, link])).filter(id => id !== 0 && id !== bossRoomId);
+        locks.push({ id: n, link, keyRoom: keyRooms[getSeededInt(rng, 0, keyRooms.length - 1)], open: false });
+    }
+    return locks;
+};
+
+const CELL_DIRS = [
+    { x: 0, y: -1, side: 'top' }, { x: 1, y: 0, side: 'right' },
+    { x: 0, y: 1, side: 'bottom' }, { x: -1, y: 0, side: 'left' }
+];
+const LARGE_SHAPES = [{ cw: 2, ch: 1 }, { cw: 1, ch: 2 }, { cw: 2, ch: 2 }];
+
+const roomCells = (pos) => {
+    const cells = [];
+    for (let y = 0; y < pos.ch; y++) for (let x = 0; x < pos.cw; x++) cells.push({ x: pos.x + x, y: pos.y + y });
+    return cells;
+};
+
+// Every way to place a cw x ch room so that it touches `parent`, as
+// { x, y (top-left cell), cellA (parent side), cellB (new room side) }
+const placementsAround = (parent, cw, ch, occupied) => {
+    const placements = [];
+    roomCells(parent).forEach(cellA => {
+        CELL_DIRS.forEach(d => {
+            const cellB = { x: cellA.x + d.x, y: cellA.y + d.y };
+            if (occupied.has(`${cellB.x},${cellB.y}`)) return;
+            for (let oy = 0; oy < ch; oy++) {
+                for (let ox = 0; ox < cw; ox++) {
+                    const x = cellB.x - ox; const y = cellB.y - oy;
+                    if (roomCells({ x, y, cw, ch }).every(c => !occupied.has(`${c.x},${c.y}`))) placements.push({ x, y, cellA, cellB });
+                }
+            }
+        });
+    });
+    return placements;
+};
+
+// Tile index of a door along its wall: centered on the map cell it leads out of
+const doorPosition = (pos, size, cell, side) => {
+    if (side === 'top' || side === 'bottom') return Math.floor((2 * (cell.x - pos.x) + 1) * size.w / (2 * pos.cw));
+    return Math.floor((2 * (cell.y - pos.y) + 1) * size.h / (2 * pos.ch));
+};
+
+// ROBUST GRID-BASED GENERATOR
+// Rooms sit on a grid of map cells and may span 2x1, 1x2 or 2x2 cells. The layout starts
+// as a spanning tree, gains optional loops between touching rooms, and may get a secret
+// room behind a bombable wall. Doors are links between two cells of neighbouring rooms,
+// so a wall can have several doors.
+// Id of the `slot`-th item generated in a room; positive, unlike crate and enemy drops
+const getItemId = (buildingId, roomId, slot) => buildingId * 10000 + roomId * 100 + slot + 1;
+
+export const generateBuilding = (buildingId, difficulty, theme, rootSeed, assignedSpecialItems, profile = DIFFICULTY_PROFILES[DEFAULT_DIFFICULTY]) => {
+  const buildingSeed = rootSeed + (buildingId * 777); 
+  const rng = mulberry32(buildingSeed);
+  const numRooms = Math.max(2, Math.floor(4 + difficulty * profile.roomsMultiplier)); 
+  const bossRoomId = numRooms - 1;
+  
+  // 1. Grid Phase
+  const roomPositions = [{ id: 0, x: 0, y: 0, cw: 1, ch: 1 }];
+  const occupied = new Map();
+  occupied.set("0,0", 0);
+  const connections = []; // { id, a, b, cellA, cellB, secret }
+  const connect = (a, b, cellA, cellB, secret = false) => {
+      connections.push({ id: connections.length, a, b, cellA, cellB, secret });
+  };
+  const place = (pos) => {
+      roomPositions.push(pos);
+      roomCells(pos).forEach(c => occupied.set(`${c.x},${c.y}`, pos.id));
+  };
+
+  for (let i = 1; i < numRooms; i++) {
+      const shape = (i !== bossRoomId && rng() < BUILDING_SHAPE.largeRoomChance)
+          ? LARGE_SHAPES[getSeededInt(rng, 0, LARGE_SHAPES.length - 1)] : { cw: 1, ch: 1 };
+      let placed = false;
+      let attempts = 0;
+      while(attempts < 50 && !placed) {
+          const parent = roomPositions[getSeededInt(rng, 0, roomPositions.length - 1)];
+          let { cw, ch } = shape;
+          let options = placementsAround(parent, cw, ch, occupied);
+          if (options.length === 0 && (cw > 1 || ch > 1)) { cw = 1; ch = 1; options = placementsAround(parent, 1, 1, occupied); }
+          if (options.length > 0) {
+              const spot = options[getSeededInt(rng, 0, options.length - 1)];
+              place({ id: i, x: spot.x, y: spot.y, cw, ch });
+              connect(parent.id, i, spot.cellA, spot.cellB);
+              placed = true;
+          }
+          attempts++;
+      }
+      if (!placed) {
+          for(let parent of roomPositions) {
+              const spot = placementsAround(parent, 1, 1, occupied)[0];
+              if (spot) {
+                  place({ id: i, x: spot.x, y: spot.y, cw: 1, ch: 1 });
+                  connect(parent.id, i, spot.cellA, spot.cellB);
+                  placed = true; break;
+              }
+          }
+      }
+  }
+
+  // 2. Loop Phase (own stream): extra doors between touching rooms turn the tree into a graph.
+  // The boss room keeps its single entrance.
+  const loopRng = mulberry32(buildingSeed + 4711);
+  const linked = (a, b) => connections.some(c => (c.a === a && c.b === b) || (c.a === b && c.b === a));
+  roomPositions.forEach(pos => {
+      if (pos.id === bossRoomId) return;
+      roomCells(pos).forEach(cellA => {
+          CELL_DIRS.forEach(d => {
+              const cellB = { x: cellA.x + d.x, y: cellA.y + d.y };
+              const other = occupied.get(`${cellB.x},${cellB.y}`);
+              if (other === undefined || other <= pos.id || other === bossRoomId || linked(pos.id, other)) return;
+              if (loopRng() < BUILDING_SHAPE.loopChance) connect(pos.id, other, cellA, cellB);
+          });
+      });
+  });
+
+  // 3. Lock Phase (own stream, so layouts don't change with the lock count)
+  const lockRng = mulberry32(buildingSeed + 31337);
+  const numLocks = Math.min(DIFFICULTY_SCALE.maxLockedDoors, Math.floor((difficulty + 1) / 2));
+  const locks = placeLocks(lockRng, connections, numLocks, roomPositions.length, bossRoomId);
+
+  // 4. Secret Phase (own stream): one cell off a normal room, behind a cracked wall
+  const secretRng = mulberry32(buildingSeed + 2024);
+  let secretRoomId = null;
+  if (secretRng() < BUILDING_SHAPE.secretRoomChance) {
+      const spots = roomPositions.filter(pos => pos.id !== bossRoomId)
+          .flatMap(pos => placementsAround(pos, 1, 1, occupied).map(spot => ({ ...spot, host: pos.id })));
+      if (spots.length > 0) {
+          const spot = spots[getSeededInt(secretRng, 0, spots.length - 1)];
+          secretRoomId = roomPositions.length;
+          place({ id: secretRoomId, x: spot.x, y: spot.y, cw: 1, ch: 1 });
+          connect(spot.host, secretRoomId, spot.cellA, spot.cellB, true);
+      }
+  }
+
+  // 5. Object Phase
+  const roomIdsForItems = roomPositions.map(r => r.id).filter(id => id !== 0 && id !== bossRoomId && id !== secretRoomId);
+  if (roomIdsForItems.length === 0) roomIdsForItems.push(0);
+
+  // Distribute items deterministically to valid rooms first
+  const itemsPerRoom = {};
+  const itemsToPlace = [...assignedSpecialItems];
+  
+  while(itemsToPlace.length > 0) {
+      // Pick a random room from valid list for this specific item
+      const rIdx = getSeededInt(rng, 0, roomIdsForItems.length - 1);
+      const roomId = roomIdsForItems[rIdx];
+      
+      if (!itemsPerRoom[roomId]) itemsPerRoom[roomId] = [];
+      itemsPerRoom[roomId].push(itemsToPlace.pop());
+  }
+
+  const rooms = roomPositions.map(pos => {
+      const roomSeed = Math.floor(rng() * 1000000); 
+      const size = (pos.cw > 1 || pos.ch > 1)
+          ? LARGE_ROOM_VARIANTS[`${pos.cw}x${pos.ch}`]
+          : ROOM_VARIANTS[getSeededInt(rng, 0, ROOM_VARIANTS.length - 1)];
+      
+      // Doors: { link, side, pos (tile along the wall), to, cell, lockId, secret, hidden, style }
+      const doors = connections.filter(c => c.a === pos.id || c.b === pos.id).map(conn => {
+          const mine = conn.a === pos.id;
+          const cell = mine ? conn.cellA : conn.cellB;
+          const outside = mine ? conn.cellB : conn.cellA;
+          const side = CELL_DIRS.find(d => d.x === outside.x - cell.x && d.y === outside.y - cell.y).side;
+          const lock = locks.find(l => l.link === conn.id);
+          return {
+              link: conn.id, side, pos: doorPosition(pos, size, cell, side),
+              to: mine ? conn.b : conn.a, cell,
+              lockId: lock ? lock.id : null,
+              secret: conn.secret, hidden: conn.secret,
+              style: getSeededInt(rng, 1, 5)
+          };
+      });
+
+      const isBoss = (pos.id === bossRoomId);
+      const isSecret = (pos.id === secretRoomId);
+      
+      const layoutData = generateRoomLayout(size.w, size.h, roomSeed, doors, isBoss, isSecret ? null : theme);
+      const reachable = layoutData.reachable;
+
+      const items = [];
+      const itemRng = mulberry32(roomSeed + 999);
+      // collectedItems is keyed on item ids, so they're built from where the item is placed
+      // (building, room, slot) to stay unique across the island. Each still takes the roll
+      // the old random ids used, so item spots don't move for existing seeds.
+      let slot = 0;
+      const nextItemId = () => { itemRng(); return getItemId(buildingId, pos.id, slot++); };
+
+      // A. Special Items (Deterministic)
+      if (itemsPerRoom[pos.id]) {
+          itemsPerRoom[pos.id].forEach(specialType => {
+             const spot = pickItemLocation(itemRng, reachable);
+             if (spot) {
+                 items.push({ id: nextItemId(), type: specialType, x: spot.x * TILE_SIZE + 12, y: spot.y * TILE_SIZE + 12, w: 24, h: 24, isUnlimited: false });
+             } else {
+                 // Fallback if flood fill failed (should not happen, but safe fallback to center)
+                 items.push({ id: nextItemId(), type: specialType, x: (size.w/2) * TILE_SIZE + 12, y: (size.h/2) * TILE_SIZE + 12, w: 24, h: 24, isUnlimited: false });
+             }
+          });
+      }
+
+      // B. Random Consumables (Unlimited); a secret room always stocks one of each
+      const consumables = isSecret ? ['pizza', 'soda'] : [];
+      if (!isBoss && !isSecret && itemRng() < 0.3 * profile.dropChance) consumables.push(pickConsumable(itemRng));
+      consumables.forEach(type => {
+          const spot = pickItemLocation(itemRng, reachable);
+          if (spot) {
+              // Note: IDs are deterministic, so we can track them
+              items.push({ id: nextItemId(), type, x: spot.x * TILE_SIZE + 12, y: spot.y * TILE_SIZE + 12, w: 24, h: 24, isUnlimited: true });
+          }
+      });
+
+      // C. Door Keys (placed last so they don't shift the rolls above)
+      locks.filter(l => l.keyRoom === pos.id).forEach(lock => {
+          const spot = pickItemLocation(itemRng, reachable) || { x: Math.floor(size.w / 2), y: Math.floor(size.h / 2) };
+          items.push({ id: nextItemId(), type: 'doorKey', lockId: lock.id, x: spot.x * TILE_SIZE + 12, y: spot.y * TILE_SIZE + 12, w: 24, h: 24, isUnlimited: false });
+      });
+
+      // D. A coin pile in some regular rooms; collected ones stay gone like special items
+      if (!isBoss && !isSecret && itemRng() < ECONOMY.roomCoinChance) {
+          const spot = pickItemLocation(itemRng, reachable);
+          const value = getSeededInt(itemRng, ECONOMY.roomCoinValue[0], ECONOMY.roomCoinValue[1]);
+          if (spot) items.push({ id: nextItemId(), type: 'coin', value, x: spot.x * TILE_SIZE + 12, y: spot.y * TILE_SIZE + 12, w: 24, h: 24, isUnlimited: false });
+      }
+
+      return {
+          id: pos.id,
+          x: pos.x, y: pos.y, cw: pos.cw, ch: pos.ch,
+          width: size.w, height: size.h,
+          doors,
+          layout: layoutData, 
+          seed: roomSeed,
+          type: isBoss ? 'boss' : (isSecret ? 'secret' : 'normal'),
+          cleared: isSecret, // Nothing to fight in a secret room
+          explored: false,
+          items
+      };
+  });
+
+  return { rooms, startRoomId: 0, theme, difficulty, locks };
+};
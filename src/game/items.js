@@ -0,0 +1,183 @@
+import { COLORS, ECONOMY } from './constants.js';
+
+/**
+ * ==========================================
+ * ITEM REGISTRY
+ * ==========================================
+ * Every pickup is declared here; the engine, generators, canvas, HUD and inventory all read it.
+ *   name, description    shown in the inventory overlay
+ *   kind                 inventory grouping: upgrade, story, consumable, buff, active, doorKey, currency
+ *   label, color, icon   floor label, floor/particle color and the lucide icon name used by the HUD
+ *   canPickUp(stats)     optional; the item stays on the floor while this returns false
+ *   apply(stats, item)   permanent effect of picking the item up
+ *   buff, duration       timed items start (or refresh) a buff lasting `duration` steps instead
+ *   use                  active items go into the carried slot and run this engine effect when used
+ *                        ('decoy' lasting `duration` steps, 'teleport', or 'buff' to start `buff` for `duration` steps)
+ *   limit                special items: how many the world map spreads across the island, and
+ *                        the most one run can pick up or buy
+ *   spawnWeight          consumables: relative chance for random room and crate drops
+ *   shopWeight, price    relative chance of showing up in a shop node's stock, and its base price in coins
+ * Keep the special items in their original order; generateWorldMap shuffles them in
+ * declaration order, so reordering would reshuffle every seed's island.
+ */
+export const ITEMS = {
+  pizzaBox: {
+    name: 'Pizza Box', kind: 'upgrade', description: 'A whole box. Raises max HP by one.',
+    label: '+HP', color: COLORS.pizzaBox, icon: 'Box', limit: 3, shopWeight: 1, price: 12,
+    apply: (stats) => { stats.maxHp += 1; stats.hp += 1; }
+  },
+  sodaCarrier: {
+    name: 'Soda Carrier', kind: 'upgrade', description: 'Six-pack holder. Raises max MP by one.',
+    label: '+MP', color: COLORS.sodaCarrier, icon: 'ShoppingBag', limit: 3, shopWeight: 1, price: 10,
+    apply: (stats) => { stats.maxMp += 1; stats.mp += 1; }
+  },
+  rollerSkates: {
+    name: 'Roller Skates', kind: 'upgrade', description: 'Move faster for the rest of the run.',
+    label: 'SPD', color: COLORS.rollerSkates, icon: 'Wind', limit: 2, shopWeight: 1, price: 14,
+    apply: (stats) => { stats.speed += 1; }
+  },
+  cookieBag: {
+    name: 'Cookie Bag', kind: 'upgrade', description: 'Sugar rush. Shots deal one more damage.',
+    label: 'DMG', color: COLORS.cookieBag, icon: 'Cookie', limit: 2, shopWeight: 1, price: 16,
+    apply: (stats) => { stats.damage += 1; }
+  },
+  file: {
+    name: 'Case File', kind: 'story', description: 'Evidence of what really happens on the island.',
+    label: 'FILE', color: COLORS.file, icon: 'FileText', limit: 5,
+    apply: (stats, item) => {
+      stats.files += 1;
+      if (item.docId !== undefined) stats.lore = [...stats.lore, item.docId];
+    }
+  },
+  key: {
+    name: 'Master Key', kind: 'story', description: 'Opens the way to the hidden building.',
+    label: 'KEY', color: COLORS.key, icon: 'Key', limit: 1,
+    apply: (stats) => { stats.keys += 1; }
+  },
+  pizza: {
+    name: 'Pizza Slice', kind: 'consumable', description: 'Restores one HP.',
+    label: '', color: COLORS.pizza, icon: 'Pizza', spawnWeight: 4, shopWeight: 2, price: 3,
+    canPickUp: (stats) => stats.hp < stats.maxHp,
+    apply: (stats) => { stats.hp = Math.min(stats.hp + 1, stats.maxHp); }
+  },
+  soda: {
+    name: 'Soda', kind: 'consumable', description: 'Restores one MP.',
+    label: 'MP', color: COLORS.soda, icon: 'Grape', spawnWeight: 4, shopWeight: 2, price: 3,
+    canPickUp: (stats) => stats.mp < stats.maxMp,
+    apply: (stats) => { stats.mp = Math.min(stats.mp + 1, stats.maxMp); }
+  },
+  bubbleGum: {
+    name: 'Bubble Gum', kind: 'buff', description: 'Blow a bubble that absorbs every hit for ten seconds.',
+    label: 'SHLD', color: COLORS.shield, icon: 'Shield', spawnWeight: 1,
+    buff: 'shield', duration: 600
+  },
+  espresso: {
+    name: 'Espresso', kind: 'buff', description: 'Fire twice as fast for ten seconds.',
+    label: 'RAPID', color: COLORS.rapidFire, icon: 'Zap', spawnWeight: 1,
+    buff: 'rapidFire', duration: 600
+  },
+  decoy: {
+    name: 'Cardboard Cutout', kind: 'active', description: 'Set it down and enemies chase it instead of you for five seconds.',
+    label: 'DECOY', color: COLORS.decoy, icon: 'Ghost', spawnWeight: 1, shopWeight: 2, price: 6,
+    use: 'decoy', duration: 300
+  },
+  beacon: {
+    name: 'Homing Beacon', kind: 'active', description: 'Warps you back to where you entered the room.',
+    label: 'WARP', color: COLORS.beacon, icon: 'Sparkles', spawnWeight: 1, shopWeight: 2, price: 5,
+    use: 'teleport'
+  },
+  ward: {
+    name: 'Lucky Charm', kind: 'active', description: 'When used, blocks the next hit you take in this building.',
+    label: 'WARD', color: COLORS.shield, icon: 'ShieldCheck', spawnWeight: 1, shopWeight: 2, price: 8,
+    use: 'buff', buff: 'ward', duration: 36000
+  },
+  coin: {
+    name: 'Coins', kind: 'currency', description: 'Spend them at shops on the island map.',
+    label: '$', color: COLORS.coin, icon: 'Coins',
+    apply: (stats, item) => { stats.coins += item.value || 1; }
+  },
+  doorKey: {
+    name: 'Door Key', kind: 'doorKey', description: 'Opens one locked door in this building.',
+    label: 'DOOR KEY', color: COLORS.doorKey, icon: 'Lock',
+    apply: (stats, item) => { stats.doorKeys = [...stats.doorKeys, item.lockId]; }
+  },
+};
+
+// Timed effects started by items. The engine looks up the flags and modifiers
+// below on every active buff, so a new buff only needs an entry here.
+//   blocksDamage        hits are absorbed without losing HP
+//   breaksOnHit         the buff ends after absorbing one hit
+//   fireRateMultiplier  multiplies the character's fire cooldown
+export const BUFFS = {
+  shield: { label: 'Shield', color: COLORS.shield, icon: 'Shield', blocksDamage: true },
+  rapidFire: { label: 'Rapid Fire', color: COLORS.rapidFire, icon: 'Zap', fireRateMultiplier: 0.5 },
+  ward: { label: 'Ward', color: COLORS.shield, icon: 'ShieldCheck', blocksDamage: true, breaksOnHit: true },
+  guard: { label: 'Block', color: COLORS.taunt, icon: 'ShieldCheck', blocksDamage: true }, // The Guard's taunt
+};
+
+// Applies an item to the player's stats. Returns false when it can't be picked up
+// right now (unknown type, its pickup condition fails, or the active slot is taken)
+// so it stays on the floor.
+export const applyItem = (stats, item) => {
+  if (!canApplyItem(stats, item.type)) return false;
+  const def = ITEMS[item.type];
+  if (def.use) stats.activeItem = item.type;
+  else if (def.buff) startBuff(stats, def.buff, def.duration);
+  else def.apply(stats, item);
+  if (def.limit) stats.pickups = { ...stats.pickups, [item.type]: (stats.pickups[item.type] || 0) + 1 };
+  return true;
+};
+
+// Whether the run already has as many of a limited item as it may (shop purchases included)
+export const isAtLimit = (stats, type) => !!ITEMS[type].limit && (stats.pickups[type] || 0) >= ITEMS[type].limit;
+
+export const canApplyItem = (stats, type) => {
+  const def = ITEMS[type];
+  if (!def || (def.canPickUp && !def.canPickUp(stats)) || isAtLimit(stats, type)) return false;
+  return !(def.use && stats.activeItem);
+};
+
+export const startBuff = (stats, id, duration) => {
+  stats.buffs = { ...stats.buffs, [id]: duration };
+};
+
+// Counts every active buff down by one step; returns the ids that ran out
+export const tickBuffs = (stats) => {
+  const expired = [];
+  Object.keys(stats.buffs).forEach(id => {
+    stats.buffs[id] -= 1;
+    if (stats.buffs[id] <= 0) { delete stats.buffs[id]; expired.push(id); }
+  });
+  return expired;
+};
+
+// Whether an active buff soaks up a hit. Lasting shields are used before
+// one-shot ones, so a ward isn't wasted while a shield is up.
+export const absorbHit = (stats) => {
+  const blockers = Object.keys(stats.buffs).filter(id => BUFFS[id] && BUFFS[id].blocksDamage);
+  if (blockers.length === 0) return false;
+  if (blockers.every(id => BUFFS[id].breaksOnHit)) delete stats.buffs[blockers[0]];
+  return true;
+};
+
+// Product of a numeric modifier over all active buffs (1 when none set it)
+export const getBuffModifier = (stats, field) =>
+  Object.keys(stats.buffs).reduce((m, id) => m * ((BUFFS[id] && BUFFS[id][field]) || 1), 1);
+
+// Weighted pick among the items that set `field` (one rng roll)
+const pickWeightedItem = (rng, field) => {
+  const options = Object.entries(ITEMS).filter(([, def]) => def[field]);
+  const total = options.reduce((sum, [, def]) => sum + def[field], 0);
+  let roll = rng() * total;
+  for (const [type, def] of options) {
+    roll -= def[field];
+    if (roll < 0) return type;
+  }
+  return options[options.length - 1][0];
+};
+
+// Coin price of a shop item on a node in `column`
+export const getShopPrice = (type, column) => Math.round(ITEMS[type].price * (1 + Math.max(0, column) * ECONOMY.priceGrowth));
+
+export const pickConsumable = (rng) => pickWeightedItem(rng, 'spawnWeight');
+export const pickShopItem = (rng) => pickWeightedItem(rng, 'shopWeight');
@@ -0,0 +1,95 @@
+import { CHARACTERS, DIFFICULTY_PROFILES, STEP_MS } from './constants.js';
+import { ENDING_PAGES } from './endings.js';
+import { countClearedBuildings } from './generators.js';
+import { MAX_SEED } from './random.js';
+
+/**
+ * ==========================================
+ * LEADERBOARD
+ * ==========================================
+ * The best LEADERBOARD_SIZE finished runs, kept in localStorage. An entry is written
+ * when a run ends (a death that isn't undone, or an escape):
+ *   score, charId, seed, difficultyId
+ *   buildingsCleared, files, keys   how far the run got (rest stops and shops aren't buildings)
+ *   ending                          id of the last ending page reached, null for a death
+ *   durationMs                      time spent inside buildings
+ *   date                            when the run ended (ms since epoch)
+ * Boards can be exported as JSON and merged into another player's board.
+ */
+const LEADERBOARD_KEY = 'escape_island_leaderboard';
+const LEADERBOARD_VERSION = 1;
+export const LEADERBOARD_SIZE = 20;
+
+const isCount = (v) => Number.isInteger(v) && v >= 0;
+
+const isValidEntry = (e) => e !== null && typeof e === 'object'
+    && isCount(e.score) && CHARACTERS.some(c => c.id === e.charId)
+    && Number.isInteger(e.seed) && e.seed >= 0 && e.seed <= MAX_SEED
+    && !!DIFFICULTY_PROFILES[e.difficultyId]
+    && isCount(e.buildingsCleared) && isCount(e.files) && isCount(e.keys)
+    && (e.ending === null || !!ENDING_PAGES[e.ending])
+    && isCount(e.durationMs) && isCount(e.date);
+
+// Two boards can hold the same run (a board merged twice); these fields tell runs apart
+const entryKey = (e) => `${e.date}:${e.seed}:${e.charId}:${e.score}`;
+
+// Highest score first; ties go to the earlier run
+const rankEntries = (entries) => {
+  const seen = new Set();
+  return entries
+    .filter(e => !seen.has(entryKey(e)) && seen.add(entryKey(e)))
+    .sort((a, b) => b.score - a.score || a.date - b.date)
+    .slice(0, LEADERBOARD_SIZE);
+};
+
+// Board entry for a run that just ended. `endingPath` is the ending pages shown, if it escaped.
+export const createLeaderboardEntry = (state, endingPath = null) => ({
+  score: state.playerStats.score,
+  charId: state.char.id,
+  seed: state.rootSeed,
+  difficultyId: state.difficultyId,
+  buildingsCleared: countClearedBuildings(state.worldMap),
+  files: state.playerStats.files,
+  keys: state.playerStats.keys,
+  ending: endingPath && endingPath.length > 0 ? endingPath[endingPath.length - 1] : null,
+  durationMs: Math.round(state.runSteps * STEP_MS),
+  date: Date.now()
+});
+
+export const loadLeaderboard = () => {
+  try {
+    const entries = JSON.parse(localStorage.getItem(LEADERBOARD_KEY) || '[]');
+    return Array.isArray(entries) ? rankEntries(entries.filter(isValidEntry)) : [];
+  } catch {
+    return [];
+  }
+};
+
+const storeLeaderboard = (entries) => {
+  try {
+    localStorage.setItem(LEADERBOARD_KEY, JSON.stringify(entries));
+  } catch (err) {
+    console.warn('Failed to save the leaderboard', err);
+  }
+  return entries;
+};
+
+// Adds a run to the board and returns the new board (the run is dropped if it doesn't place)
+export const addLeaderboardEntry = (entry) => storeLeaderboard(rankEntries([...loadLeaderboard(), entry]));
+
+// --- EXPORT / IMPORT ---
+
+export const encodeLeaderboard = (entries) => JSON.stringify({ version: LEADERBOARD_VERSION, entries });
+
+// Merges an exported board into ours. Returns the merged board, or null if the text
+// isn't an exported board. Invalid entries in an otherwise valid file are skipped.
+export const importLeaderboard = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return null;
+  }
+  if (data === null || typeof data !== 'object' || data.version !== LEADERBOARD_VERSION || !Array.isArray(data.entries)) return null;
+  return storeLeaderboard(rankEntries([...loadLeaderboard(), ...data.entries.filter(isValidEntry)]));
+};
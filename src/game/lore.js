@@ -0,0 +1,54 @@
+/**
+ * ==========================================
+ * CASE FILES (LORE)
+ * ==========================================
+ * Each `file` item on the island is one of these documents. They are handed out in
+ * world map order: the n-th file placed on the map (buildings in map order, then room
+ * order inside the building) is document n, so a seed always hides the same papers
+ * in the same buildings. `ending` is the line the document adds to the Truth ending.
+ */
+export const LORE_FILES = [
+  {
+    id: 0,
+    title: 'Intake Ledger',
+    text: '"Summer program, cohort 14. Twelve arrivals by boat. Parents informed of a three-week stay; extend indefinitely if results are promising." Every name on the list has a number stamped next to it.',
+    ending: 'The intake ledger proved the summer camp was a front for taking children.'
+  },
+  {
+    id: 1,
+    title: 'Kitchen Memo',
+    text: '"Compound R-7 goes into the pizza sauce and the soda syrup, nowhere else. Subjects will self-dose when hungry. Do NOT let the staff eat from the kids\' trays."',
+    ending: 'The kitchen memo showed the pizza and soda were laced with an experimental compound.'
+  },
+  {
+    id: 2,
+    title: 'Subject Evaluation',
+    text: '"Subject 0412 (\'Scout\'): exceptional speed after dosing, low endurance. Subject 0419 (\'Guard\'): absorbs punishment, slow to react. Recommend pairing them for the field trials."',
+    ending: 'The evaluation reports revealed the kids were graded like lab animals.'
+  },
+  {
+    id: 3,
+    title: 'Warden\'s Orders',
+    text: '"Each building is sealed at dusk. Keys are split between rooms so no single escapee can open a floor. Anyone found near the hidden wing is to be returned to the dungeon."',
+    ending: 'The warden\'s orders named every guard who kept the buildings locked.'
+  },
+  {
+    id: 4,
+    title: 'Wire Transfer',
+    text: 'A bank slip for an enormous sum, "for continued research on the island". The sender is a charity whose board members appear on the evening news every week.',
+    ending: 'The wire transfer led straight to the respectable people paying for it all.'
+  },
+];
+
+export const getLoreFile = (id) => LORE_FILES.find(f => f.id === id) || null;
+
+// Document ids of the files in `buildingId`, in room order
+export const getBuildingLoreIds = (worldMap, buildingId) => {
+  let offset = 0;
+  for (const b of worldMap) {
+    const count = b.specialItems.filter(t => t === 'file').length;
+    if (b.id === buildingId) return Array.from({ length: count }, (_, i) => (offset + i) % LORE_FILES.length);
+    offset += count;
+  }
+  return [];
+};
@@ -0,0 +1,71 @@
+import { TILE_SIZE, SOLID_TILES } from './constants.js';
+
+/**
+ * ==========================================
+ * FLOW FIELD PATHFINDING
+ * ==========================================
+ * One breadth-first search from the player's tile gives every floor tile its
+ * step distance to the player. Each enemy then just walks to the neighbouring
+ * tile with the lowest distance, so the cost per step stays flat no matter
+ * how many enemies are chasing.
+ */
+
+const NEIGHBORS = [
+    { x: 0, y: -1 }, { x: 1, y: 0 }, { x: 0, y: 1 }, { x: -1, y: 0 },
+    { x: 1, y: -1 }, { x: 1, y: 1 }, { x: -1, y: 1 }, { x: -1, y: -1 }
+];
+
+export const isSolidTile = (tile) => SOLID_TILES.includes(tile.type);
+
+// Distance field over `room` toward the tile containing pixel (px, py)
+export const buildFlowField = (room, px, py) => {
+    const { width, height } = room;
+    const grid = room.layout.grid;
+    const tileX = Math.min(width - 1, Math.max(0, Math.floor(px / TILE_SIZE)));
+    const tileY = Math.min(height - 1, Math.max(0, Math.floor(py / TILE_SIZE)));
+
+    const dist = new Int32Array(width * height).fill(-1);
+    const queue = new Int32Array(width * height);
+    let head = 0, tail = 0;
+    dist[tileY * width + tileX] = 0;
+    queue[tail++] = tileY * width + tileX;
+
+    while (head < tail) {
+        const idx = queue[head++];
+        const x = idx % width; const y = (idx - x) / width;
+        for (let i = 0; i < 4; i++) {
+            const nx = x + NEIGHBORS[i].x; const ny = y + NEIGHBORS[i].y;
+            if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+            const nIdx = ny * width + nx;
+            if (dist[nIdx] !== -1 || isSolidTile(grid[ny][nx])) continue;
+            dist[nIdx] = dist[idx] + 1;
+            queue[tail++] = nIdx;
+        }
+    }
+
+    return { room, tileX, tileY, width, height, dist };
+};
+
+// Pixel center of the next tile to walk to from pixel (x, y), or null when
+// already on the target tile or when the target can't be reached from here.
+export const getFlowTarget = (field, x, y) => {
+    const { width, height, dist } = field;
+    const grid = field.room.layout.grid;
+    const tx = Math.floor(x / TILE_SIZE); const ty = Math.floor(y / TILE_SIZE);
+    if (tx < 0 || ty < 0 || tx >= width || ty >= height) return null;
+    const here = dist[ty * width + tx];
+    if (here <= 0) return null;
+
+    let best = null; let bestDist = here;
+    NEIGHBORS.forEach(d => {
+        const nx = tx + d.x; const ny = ty + d.y;
+        if (nx < 0 || ny < 0 || nx >= width || ny >= height) return;
+        const nDist = dist[ny * width + nx];
+        if (nDist < 0 || nDist >= bestDist) return;
+        // No cutting corners: a diagonal step needs both side tiles open
+        if (d.x !== 0 && d.y !== 0 && (isSolidTile(grid[ty][nx]) || isSolidTile(grid[ny][tx]))) return;
+        best = d; bestDist = nDist;
+    });
+    if (!best) return null;
+    return { x: (tx + best.x) * TILE_SIZE + TILE_SIZE / 2, y: (ty + best.y) * TILE_SIZE + TILE_SIZE / 2 };
+};
@@ -0,0 +1,29 @@
+/**
+ * ==========================================
+ * SEEDED RANDOMNESS
+ * ==========================================
+ */
+
+export const mulberry32 = (a) => {
+    return function() {
+      var t = a += 0x6D2B79F5;
+      t = Math.imul(t ^ t >>> 15, t | 1);
+      t ^= t + Math.imul(t ^ t >>> 7, t | 61);
+      return ((t ^ t >>> 14) >>> 0) / 4294967296;
+    }
+}
+
+export const getSeededInt = (rng, min, max) => Math.floor(rng() * (max - min + 1)) + min;
+
+// Run seeds are unsigned 32-bit ints, shared as a short base-36 code (e.g. "0K3F9ZQ")
+export const SEED_CODE_LENGTH = 7;
+export const MAX_SEED = 0xFFFFFFFF;
+export const randomSeed = () => Math.floor(Math.random() * (MAX_SEED + 1));
+export const seedToCode = (seed) => (seed >>> 0).toString(36).toUpperCase().padStart(SEED_CODE_LENGTH, '0');
+export const codeToSeed = (code) => {
+    const clean = code.trim().toUpperCase();
+    if (!/^[0-9A-Z]+$/.test(clean) || clean.length > SEED_CODE_LENGTH) return null;
+    const seed = parseInt(clean, 36);
+    return seed <= MAX_SEED ? seed : null;
+};
+
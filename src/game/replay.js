@@ -0,0 +1,136 @@
+import { CHARACTERS, DIFFICULTY_PROFILES } from './constants.js';
+import { MAX_SEED } from './random.js';
+import { createInput, createRunState, enterBuilding, visitNode, reviveRun, step } from './engine.js';
+
+/**
+ * ==========================================
+ * INPUT RECORDING & REPLAY
+ * ==========================================
+ * A recording is the seed, the character, the difficulty, checkpoint mode and, for every building entered,
+ * the input snapshot fed to each engine step. Since the engine is
+ * deterministic, stepping a fresh run with the same inputs reproduces it.
+ * Rest and shop visits on the map are segments too: { buildingId, visit: true,
+ * choice, inputs: [] }, replayed with visitNode between the buildings. A death undone in
+ * checkpoint mode starts a { buildingId, revive: 'retry' | 'map', inputs } segment, replayed
+ * with reviveRun; a retry's inputs follow in the same segment.
+ *
+ * Inputs are run-length encoded as [count, x, y, buttons] where x/y are the
+ * axis values in hundredths and buttons is a bitmask (1 = fire, 2 = bomb, 4 = use item).
+ */
+// v4: the use-item button bit and revive segments, which earlier versions were recorded
+// without; v3: difficulty profiles; v2: route graph world map and map node visits
+const REPLAY_VERSION = 4;
+const FIRE_BIT = 1;
+const BOMB_BIT = 2;
+const USE_BIT = 4;
+
+// Analog input is rounded to what a recording can store, before it reaches the engine
+export const quantizeInput = (input) => ({
+    x: Math.round(input.x * 100) / 100,
+    y: Math.round(input.y * 100) / 100,
+    fire: !!input.fire,
+    bomb: !!input.bomb,
+    use: !!input.use
+});
+
+export const createRecording = (seed, charId, difficultyId, checkpoints = false) => ({ seed, charId, difficultyId, checkpoints, segments: [] });
+
+export const recordBuildingEntry = (rec, buildingId) => {
+    rec.segments.push({ buildingId, inputs: [] });
+};
+
+export const recordNodeVisit = (rec, nodeId, choice = null) => {
+    rec.segments.push({ buildingId: nodeId, visit: true, choice, inputs: [] });
+};
+
+export const recordRevive = (rec, buildingId, choice) => {
+    rec.segments.push({ buildingId, revive: choice, inputs: [] });
+};
+
+export const recordInput = (rec, input) => {
+    const segment = rec.segments[rec.segments.length - 1];
+    if (!segment) return;
+    const x = Math.round(input.x * 100);
+    const y = Math.round(input.y * 100);
+    const buttons = (input.fire ? FIRE_BIT : 0) | (input.bomb ? BOMB_BIT : 0) | (input.use ? USE_BIT : 0);
+    const last = segment.inputs[segment.inputs.length - 1];
+    if (last && last[1] === x && last[2] === y && last[3] === buttons) last[0]++;
+    else segment.inputs.push([1, x, y, buttons]);
+};
+
+export const getRecordingLength = (rec) => rec.segments.reduce(
+    (sum, seg) => sum + seg.inputs.reduce((n, run) => n + run[0], 0), 0);
+
+export const encodeReplay = (rec) => JSON.stringify({ version: REPLAY_VERSION, ...rec });
+
+// Returns the recording in `text`, or null if it isn't a valid replay
+export const decodeReplay = (text) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        return null;
+    }
+    if (!data || typeof data !== 'object' || data.version !== REPLAY_VERSION) return null;
+    if (!Number.isInteger(data.seed) || data.seed < 0 || data.seed > MAX_SEED) return null;
+    if (!CHARACTERS.some(c => c.id === data.charId)) return null;
+    if (!DIFFICULTY_PROFILES[data.difficultyId]) return null;
+    if (data.checkpoints !== undefined && typeof data.checkpoints !== 'boolean') return null;
+    if (!Array.isArray(data.segments)) return null;
+
+    const isRun = (run) => Array.isArray(run) && run.length === 4 && run.every(Number.isInteger)
+        && run[0] > 0 && Math.abs(run[1]) <= 100 && Math.abs(run[2]) <= 100 && run[3] >= 0 && run[3] <= 7;
+    const isVisit = (seg) => seg.visit === undefined
+        || (seg.visit === true && seg.inputs.length === 0 && (seg.choice === null || Number.isInteger(seg.choice)));
+    const isRevive = (seg) => seg.revive === undefined || seg.revive === 'retry' || (seg.revive === 'map' && seg.inputs.length === 0);
+    const segmentsOk = data.segments.every(seg => seg && Number.isInteger(seg.buildingId)
+        && Array.isArray(seg.inputs) && seg.inputs.every(isRun) && isVisit(seg) && isRevive(seg));
+    if (!segmentsOk) return null;
+
+    return { seed: data.seed, charId: data.charId, difficultyId: data.difficultyId, checkpoints: !!data.checkpoints, segments: data.segments };
+};
+
+// --- PLAYBACK ---
+
+export const createReplayPlayer = (rec) => ({
+    rec,
+    state: createRunState(CHARACTERS.find(c => c.id === rec.charId), rec.seed, rec.difficultyId, rec.checkpoints),
+    segmentIdx: 0,
+    runIdx: 0,
+    runFrame: 0,
+    frame: 0,
+    totalFrames: getRecordingLength(rec),
+    done: false
+});
+
+// Advances the replay by one recorded engine step and returns its events
+export const advanceReplay = (player) => {
+    if (player.done) return [];
+    const { rec, state } = player;
+
+    // Skip exhausted segments, entering each new building (or visiting each map node) like the player did
+    let segment = rec.segments[player.segmentIdx];
+    while (segment && player.runIdx >= segment.inputs.length) {
+        player.segmentIdx++; player.runIdx = 0; player.runFrame = 0;
+        segment = rec.segments[player.segmentIdx];
+        if (segment && segment.visit) visitNode(state, segment.buildingId, segment.choice);
+        if (segment && segment.revive) reviveRun(state, segment.revive);
+    }
+    if (!segment || state.mode === 'DEAD') { player.done = true; return []; }
+    // A retry already re-entered the building
+    if (player.runIdx === 0 && player.runFrame === 0 && !segment.revive) enterBuilding(state, segment.buildingId);
+
+    const [count, x, y, buttons] = segment.inputs[player.runIdx];
+    const input = createInput();
+    input.x = x / 100; input.y = y / 100;
+    input.fire = (buttons & FIRE_BIT) !== 0;
+    input.bomb = (buttons & BOMB_BIT) !== 0;
+    input.use = (buttons & USE_BIT) !== 0;
+
+    const events = step(state, input);
+    player.frame++;
+    player.runFrame++;
+    if (player.runFrame >= count) { player.runIdx++; player.runFrame = 0; }
+    if (player.frame >= player.totalFrames) player.done = true;
+    return events;
+};
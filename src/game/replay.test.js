@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CHARACTERS } from './constants.js';
+import { createRunState, enterBuilding, reviveRun, step } from './engine.js';
+import {
+  quantizeInput, createRecording, recordBuildingEntry, recordRevive, recordInput,
+  encodeReplay, decodeReplay, createReplayPlayer, advanceReplay, getRecordingLength
+} from './replay.js';
+
+/**
+ * ==========================================
+ * REPLAY TESTS (node --test)
+ * ==========================================
+ * Runs are played with seeded random inputs while being recorded, then the
+ * recording is played back on a fresh run and both runs must end the same.
+ */
+// Random inputs from a fixed seed, held for 30 steps each like a player would
+const createRandomInput = (seed) => {
+  let r = seed;
+  const rnd = () => (r = (r * 16807) % 2147483647) / 2147483647;
+  let input = null;
+  return (i) => {
+    if (i % 30 === 0) input = quantizeInput({ x: rnd() * 2 - 1, y: rnd() * 2 - 1, fire: rnd() < 0.5, bomb: rnd() < 0.02, use: rnd() < 0.05 });
+    return input;
+  };
+};
+
+const play = (state, rec, nextInput, maxSteps) => {
+  for (let i = 0; i < maxSteps && state.mode === 'PLAYING'; i++) {
+    const input = nextInput(i);
+    recordInput(rec, input);
+    step(state, input);
+  }
+};
+
+const playBack = (text) => {
+  const player = createReplayPlayer(decodeReplay(text));
+  while (!player.done) advanceReplay(player);
+  return player.state;
+};
+
+// What the two runs are compared on
+const snapshot = (state) => ({
+  mode: state.mode,
+  buildingId: state.currentBuildingId,
+  roomId: state.activeRoomId,
+  player: [state.player.x, state.player.y],
+  playerStats: state.playerStats,
+  enemies: state.enemies.map(e => [e.type, e.x, e.y, e.hp]),
+  collectedItems: [...state.collectedItems],
+  runSteps: state.runSteps
+});
+
+test('a replay reproduces the recorded run', () => {
+  const state = createRunState(CHARACTERS[1], 777);
+  const rec = createRecording(777, CHARACTERS[1].id, state.difficultyId);
+  const nextInput = createRandomInput(1);
+  enterBuilding(state, 0);
+  recordBuildingEntry(rec, 0);
+  play(state, rec, nextInput, 8000);
+
+  const text = encodeReplay(rec);
+
+  assert.equal(getRecordingLength(decodeReplay(text)), state.runSteps);
+  assert.ok(rec.segments[0].inputs.some(run => run[3] & 4), 'the use button was recorded');
+  assert.deepEqual(snapshot(playBack(text)), snapshot(state));
+});
+
+test('a replay reproduces a death undone by a checkpoint', () => {
+  // On Nightmare this input stream dies in the first building
+  const state = createRunState(CHARACTERS[0], 4242, 'nightmare', true);
+  const rec = createRecording(4242, CHARACTERS[0].id, 'nightmare', true);
+  const nextInput = createRandomInput(7);
+  enterBuilding(state, 0);
+  recordBuildingEntry(rec, 0);
+  play(state, rec, nextInput, 20000);
+  assert.equal(state.mode, 'DEAD');
+
+  reviveRun(state, 'retry');
+  recordRevive(rec, 0, 'retry');
+  play(state, rec, nextInput, 3000);
+
+  const replayed = playBack(encodeReplay(rec));
+
+  assert.equal(replayed.playerStats.deaths, 1);
+  assert.deepEqual(snapshot(replayed), snapshot(state));
+});
+
+test('recordings are run-length encoded', () => {
+  const rec = createRecording(1, CHARACTERS[0].id, 'normal');
+  recordBuildingEntry(rec, 0);
+  const still = quantizeInput({ x: 0, y: 0, fire: false, bomb: false, use: false });
+  const moving = quantizeInput({ x: 0.333, y: -1, fire: true, bomb: false, use: true });
+  [still, still, still, moving, moving].forEach(input => recordInput(rec, input));
+
+  assert.deepEqual(rec.segments[0].inputs, [[3, 0, 0, 0], [2, 33, -100, 5]]);
+  assert.deepEqual(decodeReplay(encodeReplay(rec)), rec);
+});
+
+test('text that is not a replay of this version is rejected', () => {
+  const rec = createRecording(1, CHARACTERS[0].id, 'normal');
+  recordBuildingEntry(rec, 0);
+  recordInput(rec, quantizeInput({ x: 1, y: 0, fire: false, bomb: false, use: false }));
+  const valid = JSON.parse(encodeReplay(rec));
+
+  assert.equal(decodeReplay('{not json'), null);
+  assert.equal(decodeReplay(JSON.stringify({ ...valid, version: 3 })), null);
+  assert.equal(decodeReplay(JSON.stringify({ ...valid, charId: 'nobody' })), null);
+  assert.equal(decodeReplay(JSON.stringify({ ...valid, segments: [{ buildingId: 0, inputs: [[1, 500, 0, 0]] }] })), null);
+  assert.equal(decodeReplay(JSON.stringify({ ...valid, segments: [{ buildingId: 0, revive: 'map', inputs: [[1, 0, 0, 0]] }] })), null);
+});
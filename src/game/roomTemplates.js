@@ -0,0 +1,203 @@
+/**
+ * ==========================================
+ * ROOM TEMPLATES
+ * ==========================================
+ * Hand-authored interiors stamped into the center of a room by generateRoomLayout.
+ * Rows are ASCII, one character per tile:
+ *   .  floor     #  furniture / pillar     O  pit (blocks walking, not shots)     ~  water (slows)
+ * Templates must have odd dimensions so their middle lines up with the room's
+ * doors; the safe cross through the room is always cleared afterwards, and a
+ * template that cuts off any floor is rejected in favour of a procedural room.
+ */
+export const TEMPLATE_TILES = { '.': 'floor', '#': 'furniture', 'O': 'pit', '~': 'water' };
+
+// Chance that a normal room uses a template (when one fits)
+export const TEMPLATE_CHANCE = 0.4;
+
+// Shared by every theme
+const COMMON_TEMPLATES = [
+    { name: 'pillar_hall', rows: [
+        '.........',
+        '.#.#.#.#.',
+        '.........',
+        '.........',
+        '.........',
+        '.#.#.#.#.',
+        '.........',
+    ] },
+    { name: 'four_blocks', rows: [
+        '.........',
+        '.##...##.',
+        '.##...##.',
+        '.........',
+        '.##...##.',
+        '.##...##.',
+        '.........',
+    ] },
+    { name: 'ring', rows: [
+        '.............',
+        '.###########.',
+        '.#.........#.',
+        '.#.........#.',
+        '.............',
+        '.#.........#.',
+        '.#.........#.',
+        '.###########.',
+        '.............',
+    ] },
+];
+
+export const ROOM_TEMPLATES = {
+    bathroom: [
+        { name: 'tubs', rows: [
+            '.............',
+            '.~~~.....~~~.',
+            '.~~~.....~~~.',
+            '.............',
+            '.~~~.....~~~.',
+            '.~~~.....~~~.',
+            '.............',
+        ] },
+        { name: 'stalls', rows: [
+            '.............',
+            '.#.#.#.#.#.#.',
+            '.#.#.#.#.#.#.',
+            '.............',
+            '.............',
+            '.............',
+            '.#.#.#.#.#.#.',
+            '.#.#.#.#.#.#.',
+            '.............',
+        ] },
+    ],
+    ballroom: [
+        { name: 'colonnade', rows: [
+            '.............',
+            '..#...#...#..',
+            '.............',
+            '.............',
+            '.............',
+            '.............',
+            '.............',
+            '..#...#...#..',
+            '.............',
+        ] },
+        { name: 'orchestra_pit', rows: [
+            '.........',
+            '..OO.OO..',
+            '..O...O..',
+            '.........',
+            '..O...O..',
+            '..OO.OO..',
+            '.........',
+        ] },
+    ],
+    living_room: [
+        { name: 'sofa_corners', rows: [
+            '.............',
+            '.##.......##.',
+            '.#.........#.',
+            '.............',
+            '.............',
+            '.............',
+            '.#.........#.',
+            '.##.......##.',
+            '.............',
+        ] },
+        { name: 'fish_tanks', rows: [
+            '.........',
+            '.~~...~~.',
+            '.~~...~~.',
+            '.........',
+            '..#...#..',
+            '..#...#..',
+            '.........',
+        ] },
+    ],
+    warehouse: [
+        { name: 'aisles', rows: [
+            '.............',
+            '.####...####.',
+            '.............',
+            '.####...####.',
+            '.............',
+            '.####...####.',
+            '.............',
+            '.####...####.',
+            '.............',
+        ] },
+        { name: 'loading_pits', rows: [
+            '.............',
+            '.OOO.....OOO.',
+            '.OOO.....OOO.',
+            '.............',
+            '.............',
+            '.............',
+            '.OOO.....OOO.',
+            '.OOO.....OOO.',
+            '.............',
+        ] },
+    ],
+    dungeon: [
+        { name: 'moat', rows: [
+            '.............',
+            '.~~~~~.~~~~~.',
+            '.~.........~.',
+            '.~.........~.',
+            '.............',
+            '.~.........~.',
+            '.~.........~.',
+            '.~~~~~.~~~~~.',
+            '.............',
+        ] },
+        { name: 'chasm', rows: [
+            '.............',
+            '....OO.OO....',
+            '...OO...OO...',
+            '..OO.....OO..',
+            '.............',
+            '..OO.....OO..',
+            '...OO...OO...',
+            '....OO.OO....',
+            '.............',
+        ] },
+    ],
+    garden: [
+        { name: 'pond', rows: [
+            '.............',
+            '...~~~.~~~...',
+            '..~~~~.~~~~..',
+            '.............',
+            '.............',
+            '.............',
+            '..~~~~.~~~~..',
+            '...~~~.~~~...',
+            '.............',
+        ] },
+        { name: 'hedge_maze', rows: [
+            '.............',
+            '.#####.#####.',
+            '.#.........#.',
+            '.#.#######.#.',
+            '.............',
+            '.#.#######.#.',
+            '.#.........#.',
+            '.#####.#####.',
+            '.............',
+        ] },
+    ],
+};
+
+// Picks a template that fits the room interior, or null. Theme templates are
+// twice as likely as the shared ones so each theme keeps its own character.
+export const pickTemplate = (rng, theme, innerW, innerH) => {
+    const fits = (t) => t.rows[0].length <= innerW && t.rows.length <= innerH;
+    const options = [
+        ...(ROOM_TEMPLATES[theme] || []).filter(fits).map(t => ({ t, weight: 2 })),
+        ...COMMON_TEMPLATES.filter(fits).map(t => ({ t, weight: 1 }))
+    ];
+    const total = options.reduce((sum, o) => sum + o.weight, 0);
+    let roll = rng() * total;
+    const picked = options.find(o => (roll -= o.weight) < 0);
+    return picked ? picked.t : null;
+};
@@ -0,0 +1,180 @@
+import { THEMES, CHARACTERS, NODE_TYPES, DIFFICULTY_PROFILES, DEFAULT_DIFFICULTY } from './constants.js';
+import { MAX_SEED } from './random.js';
+import { createRunState, enterBuilding } from './engine.js';
+import { createTelemetry } from './telemetry.js';
+import { ITEMS } from './items.js';
+
+/**
+ * ==========================================
+ * SAVE / RESUME
+ * ==========================================
+ */
+// v2: rootSeed is a 32-bit seed that regenerates the whole island; v3: route graph map;
+// v4: item ids come from building, room and slot (collectedItems from older saves no longer match)
+const SAVE_VERSION = 4;
+const SAVE_KEY_PREFIX = 'escape_island_save_';
+const AUTOSAVE_SLOT = 'auto';
+
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+const isFiniteNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+
+const isItemIdList = (v) => Array.isArray(v) && v.every(isFiniteNumber);
+
+// Player stats; fields added after the first save format are optional
+const isValidStats = (stats) => {
+    if (!isPlainObject(stats)) return false;
+    const statKeys = ['hp', 'maxHp', 'mp', 'maxMp', 'score', 'speed', 'damage', 'keys', 'files'];
+    if (!statKeys.every(k => isFiniteNumber(stats[k]))) return false;
+    if (stats.doorKeys !== undefined && !(Array.isArray(stats.doorKeys) && stats.doorKeys.every(Number.isInteger))) return false;
+    if (stats.buffs !== undefined && !(isPlainObject(stats.buffs) && Object.values(stats.buffs).every(isFiniteNumber))) return false;
+    if (stats.hitsTaken !== undefined && !isFiniteNumber(stats.hitsTaken)) return false;
+    if (stats.coins !== undefined && !isFiniteNumber(stats.coins)) return false;
+    if (stats.deaths !== undefined && !isFiniteNumber(stats.deaths)) return false;
+    if (stats.lore !== undefined && !(Array.isArray(stats.lore) && stats.lore.every(Number.isInteger))) return false;
+    if (stats.pickups !== undefined && !(isPlainObject(stats.pickups) && Object.values(stats.pickups).every(isFiniteNumber))) return false;
+    if (stats.activeItem !== undefined && stats.activeItem !== null && !(ITEMS[stats.activeItem] && ITEMS[stats.activeItem].use)) return false;
+    return true;
+};
+
+const isValidTelemetry = (t) => isPlainObject(t)
+    && ['shotsFired', 'shotsHit', 'bombs'].every(k => isFiniteNumber(t[k]))
+    && isPlainObject(t.buildings) && Object.values(t.buildings).every(b => isPlainObject(b)
+        && isFiniteNumber(b.damage) && (b.attemptDamage === undefined || isFiniteNumber(b.attemptDamage)) && isFiniteNumber(b.roomsExplored) && isFiniteNumber(b.roomsTotal)
+        && isPlainObject(b.roomSteps) && Object.values(b.roomSteps).every(isFiniteNumber));
+
+// Shape check for a parsed save. Anything unexpected rejects the whole save.
+const isValidSave = (data) => {
+    if (!isPlainObject(data) || data.version !== SAVE_VERSION) return false;
+    if (!Number.isInteger(data.rootSeed) || data.rootSeed < 0 || data.rootSeed > MAX_SEED) return false;
+    if (typeof data.charId !== 'string') return false;
+    if (!CHARACTERS.some(c => c.id === data.charId)) return false;
+    if (data.difficultyId !== undefined && !DIFFICULTY_PROFILES[data.difficultyId]) return false;
+
+    if (!isValidStats(data.playerStats)) return false;
+    if (!isItemIdList(data.collectedItems)) return false;
+    if (data.checkpoints !== undefined && typeof data.checkpoints !== 'boolean') return false;
+    if (data.runSteps !== undefined && !isFiniteNumber(data.runSteps)) return false;
+    if (data.telemetry !== undefined && !isValidTelemetry(data.telemetry)) return false;
+    if (data.checkpoint !== undefined && data.checkpoint !== null
+        && !(isPlainObject(data.checkpoint) && isValidStats(data.checkpoint.playerStats) && isItemIdList(data.checkpoint.collectedItems))) return false;
+
+    if (!Array.isArray(data.worldMap) || data.worldMap.length === 0) return false;
+    const nodesOk = data.worldMap.every(b => isPlainObject(b)
+        && isFiniteNumber(b.id) && isFiniteNumber(b.column) && isFiniteNumber(b.row) && isFiniteNumber(b.level)
+        && THEMES.includes(b.theme) && Array.isArray(b.specialItems)
+        && typeof b.cleared === 'boolean' && typeof b.locked === 'boolean' && typeof b.hidden === 'boolean'
+        && NODE_TYPES.includes(b.type) && Array.isArray(b.next) && b.next.every(Number.isInteger)
+        && (b.stock === undefined || (Array.isArray(b.stock) && b.stock.every(t => typeof t === 'string')))
+        && (b.sold === undefined || (Array.isArray(b.sold) && b.sold.every(Number.isInteger))));
+    if (!nodesOk) return false;
+
+    if (data.deadIn !== undefined && data.deadIn !== null && !data.worldMap.some(n => n.id === data.deadIn)) return false;
+
+    if (data.building !== null) {
+        const b = data.building;
+        if (!isPlainObject(b) || !isFiniteNumber(b.id) || !isFiniteNumber(b.activeRoomId)) return false;
+        if (!data.worldMap.some(n => n.id === b.id)) return false;
+        if (!Array.isArray(b.rooms)) return false;
+        const isIdList = (v) => v === undefined || (Array.isArray(v) && v.every(Number.isInteger));
+        const roomsOk = b.rooms.every(r => isPlainObject(r) && isFiniteNumber(r.id)
+            && typeof r.explored === 'boolean' && typeof r.cleared === 'boolean' && isIdList(r.brokenCrates));
+        if (!roomsOk) return false;
+        if (!isIdList(b.unlockedLocks) || !isIdList(b.foundSecrets)) return false;
+    }
+    return true;
+};
+
+// Returns the save in `slot`, or null if missing, malformed or from another version.
+export const loadRun = (slot = AUTOSAVE_SLOT) => {
+    try {
+        const raw = localStorage.getItem(SAVE_KEY_PREFIX + slot);
+        if (!raw) return null;
+        const data = JSON.parse(raw);
+        if (!isValidSave(data)) {
+            console.warn(`Discarding invalid save in slot "${slot}"`);
+            localStorage.removeItem(SAVE_KEY_PREFIX + slot);
+            return null;
+        }
+        return data;
+    } catch (err) {
+        console.warn(`Failed to read save slot "${slot}"`, err);
+        return null;
+    }
+};
+
+export const writeRun = (data, slot = AUTOSAVE_SLOT) => {
+    try {
+        localStorage.setItem(SAVE_KEY_PREFIX + slot, JSON.stringify({ ...data, version: SAVE_VERSION, savedAt: Date.now() }));
+    } catch (err) {
+        console.warn(`Failed to write save slot "${slot}"`, err);
+    }
+};
+
+export const clearRun = (slot = AUTOSAVE_SLOT) => {
+    try {
+        localStorage.removeItem(SAVE_KEY_PREFIX + slot);
+    } catch {
+        // Storage unavailable, nothing to clear
+    }
+};
+
+// Snapshot of a run state in the save format
+export const toSaveData = (state) => ({
+    charId: state.char.id,
+    rootSeed: state.rootSeed,
+    difficultyId: state.difficultyId,
+    checkpoints: state.checkpoints,
+    checkpoint: state.checkpoint ? {
+        playerStats: { ...state.checkpoint.playerStats, buffs: { ...state.checkpoint.playerStats.buffs } },
+        collectedItems: Array.from(state.checkpoint.collectedItems)
+    } : null,
+    playerStats: { ...state.playerStats, buffs: { ...state.playerStats.buffs } },
+    // Building the player died in while a checkpoint can still undo it
+    deadIn: state.mode === 'DEAD' && state.checkpoint ? state.currentBuildingId : null,
+    collectedItems: Array.from(state.collectedItems),
+    runSteps: state.runSteps,
+    telemetry: state.telemetry,
+    worldMap: state.worldMap,
+    // Only an in-progress building is resumed; otherwise we resume on the MAP
+    building: (state.mode === 'PLAYING' && state.building) ? {
+        id: state.currentBuildingId,
+        activeRoomId: state.activeRoomId,
+        rooms: state.building.rooms.map(r => ({
+            id: r.id, explored: r.explored, cleared: r.cleared,
+            brokenCrates: r.layout.grid.flat().filter(t => t.broken).map(t => t.y * r.width + t.x)
+        })),
+        unlockedLocks: state.building.locks.filter(l => l.open).map(l => l.id),
+        foundSecrets: state.building.rooms.flatMap(r => r.doors).filter(d => d.secret && !d.hidden).map(d => d.link)
+    } : null
+});
+
+// Saves from before door keys, buffs, the active slot, case files, the hit counter, coins and deaths lack them
+const withStatDefaults = (stats) => ({ doorKeys: [], buffs: {}, activeItem: null, pickups: {}, lore: [], hitsTaken: 0, coins: 0, deaths: 0, ...stats });
+
+// Rebuilds a run state from a validated save
+export const restoreRunState = (save) => {
+    const char = CHARACTERS.find(c => c.id === save.charId);
+    // Saves from before difficulty modes were played on Normal, without checkpoints
+    const state = createRunState(char, save.rootSeed, save.difficultyId || DEFAULT_DIFFICULTY, !!save.checkpoints);
+    state.worldMap = save.worldMap;
+    state.playerStats = withStatDefaults(save.playerStats);
+    state.collectedItems = new Set(save.collectedItems);
+    state.runSteps = save.runSteps || 0;
+    // Saves from before run statistics start counting from here
+    state.telemetry = save.telemetry || createTelemetry();
+    if (save.building) {
+        enterBuilding(state, save.building.id, {
+            roomId: save.building.activeRoomId, rooms: save.building.rooms,
+            unlockedLocks: save.building.unlockedLocks, foundSecrets: save.building.foundSecrets
+        });
+        if (state.checkpoints && save.checkpoint) {
+            state.checkpoint = { playerStats: withStatDefaults(save.checkpoint.playerStats), collectedItems: new Set(save.checkpoint.collectedItems) };
+        }
+    } else if (save.deadIn !== undefined && save.deadIn !== null && state.checkpoints && save.checkpoint) {
+        // Back on the death screen, with reviveRun still possible
+        state.currentBuildingId = save.deadIn;
+        state.mode = 'DEAD';
+        state.checkpoint = { playerStats: withStatDefaults(save.checkpoint.playerStats), collectedItems: new Set(save.checkpoint.collectedItems) };
+    }
+    return state;
+};
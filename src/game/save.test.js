@@ -0,0 +1,110 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { CHARACTERS, DEFAULT_DIFFICULTY } from './constants.js';
+import { createRunState, enterBuilding, reviveRun } from './engine.js';
+import { loadRun, writeRun, clearRun, toSaveData, restoreRunState } from './save.js';
+
+/**
+ * ==========================================
+ * SAVE TESTS (node --test)
+ * ==========================================
+ * Saves go through an in-memory localStorage that starts empty for every test.
+ */
+let store;
+globalThis.localStorage = {
+  getItem: (key) => store.get(key) ?? null,
+  setItem: (key, value) => { store.set(key, String(value)); },
+  removeItem: (key) => { store.delete(key); }
+};
+beforeEach(() => { store = new Map(); });
+
+const saveAndLoad = (state) => {
+  writeRun(toSaveData(state));
+  return loadRun();
+};
+
+test('a run saved inside a building resumes where it was', () => {
+  const state = createRunState(CHARACTERS[1], 12345);
+  enterBuilding(state, 0);
+  const room = state.building.rooms.find(r => r.id !== state.activeRoomId);
+  const item = state.building.rooms.flatMap(r => r.items).find(i => !i.isUnlimited && i.type !== 'doorKey');
+  state.activeRoomId = room.id;
+  room.explored = true;
+  state.collectedItems.add(item.id);
+  state.playerStats.score = 1234;
+  state.runSteps = 900;
+
+  const back = restoreRunState(saveAndLoad(state));
+
+  assert.equal(back.mode, 'PLAYING');
+  assert.equal(back.char.id, CHARACTERS[1].id);
+  assert.equal(back.currentBuildingId, 0);
+  assert.equal(back.activeRoomId, room.id);
+  assert.ok(back.building.rooms.find(r => r.id === room.id).explored);
+  assert.deepEqual(back.playerStats, state.playerStats);
+  assert.deepEqual(back.collectedItems, state.collectedItems);
+  assert.equal(back.runSteps, 900);
+  assert.ok(!back.building.rooms.some(r => r.items.some(i => i.id === item.id)), 'collected items stay gone');
+});
+
+test('a run saved on the map resumes on the map', () => {
+  const state = createRunState(CHARACTERS[0], 12345);
+
+  const back = restoreRunState(saveAndLoad(state));
+
+  assert.equal(back.mode, 'MAP');
+  assert.equal(back.building, null);
+  assert.deepEqual(back.worldMap, state.worldMap);
+});
+
+test('a death a checkpoint can undo is saved and can still be revived', () => {
+  const state = createRunState(CHARACTERS[0], 12345, DEFAULT_DIFFICULTY, true);
+  enterBuilding(state, 0);
+  state.mode = 'DEAD';
+
+  const back = restoreRunState(saveAndLoad(state));
+
+  assert.equal(back.mode, 'DEAD');
+  assert.equal(back.currentBuildingId, 0);
+  assert.ok(back.checkpoint);
+  assert.deepEqual(reviveRun(back, 'retry'), [{ type: 'runRevived', choice: 'retry', buildingId: 0 }]);
+  assert.equal(back.mode, 'PLAYING');
+});
+
+test('invalid saves are discarded', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const data = toSaveData(createRunState(CHARACTERS[0], 12345));
+  const broken = [
+    { ...data, charId: 'nobody' },
+    { ...data, rootSeed: -1 },
+    { ...data, difficultyId: 'impossible' },
+    { ...data, worldMap: [] },
+    { ...data, collectedItems: ['a'] },
+    { ...data, playerStats: { ...data.playerStats, hp: 'full' } },
+    { ...data, deadIn: 12 },
+    { ...data, building: { id: 77, activeRoomId: 0, rooms: [] } }
+  ];
+  broken.forEach((save, i) => {
+    writeRun(save);
+    assert.equal(loadRun(), null, `broken save ${i}`);
+  });
+  assert.equal(store.size, 0, 'the invalid save is removed');
+});
+
+test('saves from another version are discarded', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  writeRun(toSaveData(createRunState(CHARACTERS[0], 12345)));
+  const [[key, raw]] = store;
+  store.set(key, JSON.stringify({ ...JSON.parse(raw), version: 3 }));
+
+  assert.equal(loadRun(), null);
+});
+
+test('clearing the save leaves nothing to resume', () => {
+  writeRun(toSaveData(createRunState(CHARACTERS[0], 12345)));
+  assert.ok(loadRun());
+
+  clearRun();
+
+  assert.equal(loadRun(), null);
+});
@@ -0,0 +1,87 @@
+import { STEP_MS } from './constants.js';
+import { countClearedBuildings } from './generators.js';
+
+/**
+ * ==========================================
+ * RUN TELEMETRY
+ * ==========================================
+ * The engine counts what happens during a run in `state.telemetry`:
+ *   shotsFired, shotsHit   player shots, and those that struck an enemy
+ *   bombs                  bomb-button uses (each character's ability)
+ *   buildings              building id -> { damage, attemptDamage, roomSteps: { roomId: steps }, roomsExplored, roomsTotal }
+ *                          (damage counts every visit; attemptDamage only the current visit or retry)
+ * It lives on the run state rather than the player stats, so a checkpoint retry keeps
+ * counting instead of rewinding. Finished runs are added to lifetime totals in localStorage.
+ */
+export const createTelemetry = () => ({ shotsFired: 0, shotsHit: 0, bombs: 0, buildings: {} });
+
+// Numbers of the building being played, created the first time it's entered
+export const trackBuilding = (state) => {
+  const { buildings } = state.telemetry;
+  const id = state.currentBuildingId;
+  if (!buildings[id]) buildings[id] = { damage: 0, attemptDamage: 0, roomSteps: {}, roomsExplored: 0, roomsTotal: state.building.rooms.length };
+  // Saves from before attempts were tracked
+  if (buildings[id].attemptDamage === undefined) buildings[id].attemptDamage = buildings[id].damage;
+  return buildings[id];
+};
+
+const sum = (values) => values.reduce((a, b) => a + b, 0);
+
+// Run summary for the post-game screen. Buildings come in the order they were entered.
+export const summarizeRun = (state) => {
+  const t = state.telemetry;
+  const buildings = Object.entries(t.buildings).map(([id, b]) => ({
+    id: Number(id),
+    damage: b.damage,
+    roomsExplored: b.roomsExplored,
+    roomsTotal: b.roomsTotal,
+    rooms: Object.entries(b.roomSteps).map(([roomId, steps]) => ({ id: Number(roomId), ms: steps * STEP_MS })),
+    ms: sum(Object.values(b.roomSteps)) * STEP_MS
+  }));
+  return {
+    shotsFired: t.shotsFired,
+    shotsHit: t.shotsHit,
+    accuracy: t.shotsFired > 0 ? t.shotsHit / t.shotsFired : 0,
+    bombs: t.bombs,
+    damageTaken: sum(buildings.map(b => b.damage)),
+    roomsExplored: sum(buildings.map(b => b.roomsExplored)),
+    roomsTotal: sum(buildings.map(b => b.roomsTotal)),
+    buildingsCleared: countClearedBuildings(state.worldMap),
+    deaths: state.playerStats.deaths,
+    score: state.playerStats.score,
+    ms: state.runSteps * STEP_MS,
+    buildings
+  };
+};
+
+// --- LIFETIME TOTALS ---
+
+const LIFETIME_KEY = 'escape_island_lifetime';
+
+const LIFETIME_FIELDS = ['runs', 'escapes', 'shotsFired', 'shotsHit', 'bombs', 'damageTaken', 'roomsExplored', 'buildingsCleared', 'deaths', 'score', 'ms'];
+
+export const loadLifetimeStats = () => {
+  const totals = Object.fromEntries(LIFETIME_FIELDS.map(k => [k, 0]));
+  try {
+    const saved = JSON.parse(localStorage.getItem(LIFETIME_KEY) || '{}');
+    LIFETIME_FIELDS.forEach(k => { if (Number.isFinite(saved?.[k])) totals[k] = saved[k]; });
+  } catch {
+    // Unreadable totals start over from zero
+  }
+  return totals;
+};
+
+// Adds a finished run's summary to the lifetime totals and returns the new totals
+export const addLifetimeStats = (summary, escaped) => {
+  const totals = loadLifetimeStats();
+  LIFETIME_FIELDS.forEach(k => { if (summary[k] !== undefined) totals[k] += summary[k]; });
+  totals.runs += 1;
+  if (escaped) totals.escapes += 1;
+  else totals.deaths += 1; // The death that ended the run; `summary.deaths` are the undone ones
+  try {
+    localStorage.setItem(LIFETIME_KEY, JSON.stringify(totals));
+  } catch (err) {
+    console.warn('Failed to save lifetime stats', err);
+  }
+  return totals;
+};